@@ -4,79 +4,66 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const ExcelJS = require('exceljs');
 const { createClient } = require('@supabase/supabase-js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Create uploads directories if they don't exist
 // IMPORTANT: On Vercel, filesystem is READ-ONLY except for /tmp
-// So we MUST use /tmp for uploads on Vercel (files won't persist between invocations)
+// So the local storage backend MUST use /tmp on Vercel (files won't persist between invocations)
 // For local development, use 'uploads' folder
 // Static files can be served from 'temp' folder (read-only, from repo)
 const isVercel = process.env.VERCEL === '1' || process.env.VERCEL_ENV;
 
-// For uploads: use /tmp on Vercel, uploads folder locally
+// Default folder of the local storage backend: /tmp on Vercel, uploads folder locally
 const uploadBaseDir = isVercel ? '/tmp' : path.join(__dirname, 'uploads');
-const uploadsDir = path.join(uploadBaseDir, 'products');
-const videosDir = path.join(uploadBaseDir, 'videos');
 
 // For static file serving: use temp folder on Vercel (read-only from repo), uploads locally
 const staticBaseDir = isVercel ? path.join(__dirname, 'temp') : path.join(__dirname, 'uploads');
 
-// Create upload directories with error handling
-try {
-  // Create subdirectories in upload location
-  if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-  }
-  if (!fs.existsSync(videosDir)) {
-    fs.mkdirSync(videosDir, { recursive: true });
-  }
-} catch (error) {
-  // Log error for debugging
-  console.error('Could not create upload directories:', error.message);
-  console.warn('File uploads may not work on this platform');
-}
-
-// Configure multer for image uploads (using memory storage for Supabase Storage)
+// Configure multer for image uploads (memory storage: files go to the storage backend, see STORAGE).
+// File types are checked from the file content by the routes (see UPLOAD VALIDATION).
 const imageStorage = multer.memoryStorage();
 
-const imageFileFilter = (req, file, cb) => {
-  // Accept only images
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
-  }
-};
-
 const imageUpload = multer({
   storage: imageStorage,
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: imageFileFilter
+  }
 });
 
-// Configure multer for video uploads (using memory storage for Supabase Storage)
+// Configure multer for video uploads (memory storage: files go to the storage backend, see STORAGE)
 const videoStorage = multer.memoryStorage();
 
-const videoFileFilter = (req, file, cb) => {
-  // Accept only videos
-  if (file.mimetype.startsWith('video/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only video files are allowed!'), false);
-  }
-};
-
 const videoUpload = multer({
   storage: videoStorage,
   limits: {
     fileSize: 50 * 1024 * 1024 // 50MB limit for videos
-  },
-  fileFilter: videoFileFilter
+  }
+});
+
+// Configure multer for prescription uploads (images or PDF, kept in a private bucket)
+const prescriptionStorage = multer.memoryStorage();
+
+const prescriptionUpload = multer({
+  storage: prescriptionStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+// Configure multer for product spreadsheet imports (CSV or XLSX, parsed in memory)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
 });
 
 // Initialize Supabase client
@@ -85,932 +72,11783 @@ const supabaseKey = process.env.SUPABASE_ANON_KEY;
 // Use service role key for storage operations if available (has admin access), otherwise use anon key
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
 
-let supabase = null;
+let supabaseClient = null;
 if (supabaseUrl && supabaseKey) {
   // Use service role key for server-side operations (has admin access to storage)
-  supabase = createClient(supabaseUrl, supabaseServiceKey);
+  supabaseClient = createClient(supabaseUrl, supabaseServiceKey);
   console.log('✓ Supabase client initialized');
 } else {
-  console.log('⚠ Supabase credentials not found. API will work without database.');
+  console.log('⚠ Supabase credentials not found. Using the local data store.');
 }
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// ==================== LOCAL DATA STORE ====================
 
-// Dynamic video serving endpoint for Vercel (files in /tmp)
-// IMPORTANT: Place this BEFORE static middleware so it gets checked first
-// This allows serving videos uploaded to /tmp on Vercel
-app.get('/uploads/videos/:filename', (req, res) => {
-  try {
-    const filename = req.params.filename;
-    
-    // On Vercel, check /tmp/videos first, then fallback to temp folder
-    const videoPaths = [];
-    if (isVercel) {
-      videoPaths.push(path.join('/tmp/videos', filename));
-    }
-    videoPaths.push(path.join(staticBaseDir, 'videos', filename));
-    
-    // Try to find the video file
-    let videoPath = null;
-    for (const testPath of videoPaths) {
-      try {
-        if (fs.existsSync(testPath)) {
-          videoPath = testPath;
-          break;
-        }
-      } catch (err) {
-        // Continue to next path
-        continue;
+// Without Supabase the API runs on an embedded data store: a JSON file holding the tables of
+// setup.sql, behind the same query interface as the Supabase client (from().select().eq()...),
+// so every route works unchanged and writes persist across restarts.
+// Read from setup.sql: columns and defaults, primary keys, UNIQUE constraints and unique indexes,
+// NOT NULL and foreign keys with their ON DELETE action. Not enforced: CHECK constraints,
+// row level security and triggers. Meant for local development and demos, not production.
+const DATA_STORE = process.env.DATA_STORE || (supabaseClient ? 'supabase' : 'local');
+const LOCAL_DATA_FILE = path.resolve(process.env.LOCAL_DATA_FILE ||
+  (isVercel ? '/tmp/biomed-data.json' : path.join(__dirname, 'data', 'local-db.json')));
+const SETUP_SQL_FILE = path.join(__dirname, 'setup.sql');
+
+// Columns that Postgres computes (GENERATED ALWAYS AS ... STORED in setup.sql)
+const LOCAL_GENERATED_COLUMNS = {
+  products: {
+    id_number: row => getProductIdNumber(row.id),
+    discount_percent: row => getDiscountPercent(row)
+  }
+};
+
+const SQL_NUMERIC_TYPE = /^(SMALLINT|INTEGER|INT|BIGINT|DECIMAL|NUMERIC|REAL|DOUBLE)/;
+const SQL_INTEGER_TYPE = /^(SMALLINT|INTEGER|INT|BIGINT)\b/;
+const SQL_COLUMN_CLAUSE = '(?:NOT\\s+NULL|NULL|PRIMARY\\s+KEY|UNIQUE|REFERENCES|CHECK|GENERATED|CONSTRAINT)\\b';
+const ISO_DATE_PREFIX = /^\d{4}-\d{2}-\d{2}/;
+
+// Split SQL into statements, dropping comments and keeping quoted strings and $$ bodies whole
+function splitSqlStatements(sql) {
+  const statements = [];
+  let current = '';
+
+  for (let i = 0; i < sql.length; i++) {
+    if (sql[i] === "'") {
+      let end = i + 1;
+      while (end < sql.length && !(sql[end] === "'" && sql[end + 1] !== "'")) {
+        end += sql[end] === "'" ? 2 : 1;
       }
-    }
-    
-    if (!videoPath) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-    
-    // Get file stats
-    const stat = fs.statSync(videoPath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
-    if (range) {
-      // Handle range requests for video streaming
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      const file = fs.createReadStream(videoPath, { start, end });
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'video/mp4',
-      };
-      res.writeHead(206, head);
-      file.pipe(res);
+      current += sql.slice(i, end + 1);
+      i = end;
+    } else if (sql.startsWith('$$', i)) {
+      const end = sql.indexOf('$$', i + 2);
+      current += sql.slice(i, end + 2);
+      i = end + 1;
+    } else if (sql.startsWith('--', i)) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end - 1;
+    } else if (sql[i] === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
     } else {
-      // Send entire file
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': 'video/mp4',
-      };
-      res.writeHead(200, head);
-      fs.createReadStream(videoPath).pipe(res);
+      current += sql[i];
     }
-  } catch (error) {
-    console.error('Error serving video:', error);
-    res.status(500).json({ error: 'Error serving video', details: error.message });
   }
-});
 
-// Dynamic image serving endpoint for Vercel (files in /tmp)
-// IMPORTANT: Place this BEFORE static middleware so it gets checked first
-app.get('/uploads/products/:filename', (req, res, next) => {
-  try {
-    const filename = req.params.filename;
-    
-    // On Vercel, check /tmp/products first, then fallback to temp folder
-    const imagePaths = [];
-    if (isVercel) {
-      imagePaths.push(path.join('/tmp/products', filename));
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+// Split a comma-separated SQL list, ignoring commas inside parentheses and strings
+function splitSqlList(text) {
+  const items = [];
+  let current = '';
+  let depth = 0;
+  let inString = false;
+
+  for (const char of text) {
+    if (char === "'") inString = !inString;
+    if (!inString && char === '(') depth++;
+    if (!inString && char === ')') depth--;
+    if (!inString && depth === 0 && char === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
     }
-    imagePaths.push(path.join(staticBaseDir, 'products', filename));
-    
-    // Try to find the image file
-    let imagePath = null;
-    for (const testPath of imagePaths) {
-      try {
-        if (fs.existsSync(testPath)) {
-          imagePath = testPath;
-          break;
+    current += char;
+  }
+
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+function parseSqlIdentifiers(text) {
+  return splitSqlList(text).map(name => name.replace(/^"|"$/g, ''));
+}
+
+function parseSqlLiteral(text) {
+  const value = text.trim();
+  if (/^null$/i.test(value)) return null;
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  const string = value.match(/^'((?:[^']|'')*)'(?:::(\w+))?$/);
+  if (!string) {
+    throw new Error(`Unsupported SQL value in setup.sql: ${value}`);
+  }
+  const content = string[1].replace(/''/g, "'");
+  return string[2] === 'jsonb' || string[2] === 'json' ? JSON.parse(content) : content;
+}
+
+// Column default as a function returning the value for a new row
+function parseSqlDefault(expression, column) {
+  if (/gen_random_uuid\(\)/i.test(expression)) return () => crypto.randomUUID();
+  if (/now\(\)/i.test(expression)) return () => new Date().toISOString();
+
+  const value = parseSqlLiteral(expression);
+  if (column.isArray && value === '{}') return () => [];
+  return () => (value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+}
+
+// WHERE clause of a partial unique index. Returns a row predicate, or null when unsupported.
+function parseSqlPredicate(text) {
+  const notNull = text.match(/^"?(\w+)"?\s+IS\s+NOT\s+NULL$/i);
+  if (notNull) return row => row[notNull[1]] !== null && row[notNull[1]] !== undefined;
+
+  const equals = text.match(/^"?(\w+)"?\s*=\s*('(?:[^']|'')*'|[\w.-]+)$/);
+  if (equals) {
+    const value = parseSqlLiteral(equals[2]);
+    return row => row[equals[1]] === value;
+  }
+
+  const flag = text.match(/^"?(\w+)"?$/);
+  if (flag) return row => row[flag[1]] === true;
+
+  return null;
+}
+
+function parseSqlColumn(definition) {
+  const [, quotedName, rest] = definition.match(/^("[^"]+"|\w+)\s+([\s\S]*)$/);
+  const name = quotedName.replace(/^"|"$/g, '');
+  const clauseIndex = rest.search(new RegExp(`\\s+(?:DEFAULT\\b|${SQL_COLUMN_CLAUSE})`, 'i'));
+  const type = (clauseIndex === -1 ? rest : rest.slice(0, clauseIndex)).trim().toUpperCase();
+  const clauses = clauseIndex === -1 ? '' : rest.slice(clauseIndex);
+
+  const column = {
+    name,
+    type,
+    isArray: type.endsWith('[]'),
+    primaryKey: /\bPRIMARY\s+KEY\b/i.test(clauses),
+    unique: /\bUNIQUE\b/i.test(clauses),
+    notNull: /\bNOT\s+NULL\b|\bPRIMARY\s+KEY\b/i.test(clauses),
+    generated: /\bGENERATED\b/i.test(clauses),
+    default: null,
+    reference: null
+  };
+
+  const defaultMatch = clauses.match(new RegExp(`\\bDEFAULT\\s+([\\s\\S]+?)(?=\\s+${SQL_COLUMN_CLAUSE}|$)`, 'i'));
+  if (defaultMatch) {
+    column.default = parseSqlDefault(defaultMatch[1], column);
+  }
+
+  column.reference = parseSqlReference(name, clauses);
+  return column;
+}
+
+// REFERENCES table(column) [ON DELETE action] of a column
+function parseSqlReference(column, text) {
+  const match = text.match(/\bREFERENCES\s+(\w+)\s*\(\s*"?(\w+)"?\s*\)(?:\s+ON\s+DELETE\s+(CASCADE|SET\s+NULL|RESTRICT|NO\s+ACTION))?/i);
+  if (!match) return null;
+  return {
+    column,
+    table: match[1],
+    refColumn: match[2],
+    onDelete: (match[3] || 'NO ACTION').toUpperCase().replace(/\s+/g, ' ')
+  };
+}
+
+function addSqlColumn(table, column) {
+  if (table.columns[column.name]) return;
+  table.columns[column.name] = column;
+  if (column.primaryKey) {
+    table.uniques.push({ name: `${table.name}_pkey`, columns: [column.name], where: null });
+  } else if (column.unique) {
+    table.uniques.push({ name: `${table.name}_${column.name}_key`, columns: [column.name], where: null });
+  }
+  if (column.reference) table.references.push(column.reference);
+}
+
+// Tables, constraints and sample rows of setup.sql.
+// Returns { tables: { [name]: { name, columns, uniques, references } }, inserts: [{ table, row }] }.
+function parseSetupSql(sql) {
+  const tables = {};
+  const inserts = [];
+
+  for (const statement of splitSqlStatements(sql)) {
+    const createTable = statement.match(/^CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)\s*\(([\s\S]*)\)$/i);
+    if (createTable) {
+      const table = tables[createTable[1]] || { name: createTable[1], columns: {}, uniques: [], references: [] };
+      tables[table.name] = table;
+
+      for (const item of splitSqlList(createTable[2])) {
+        const constraint = item.match(/^(PRIMARY\s+KEY|UNIQUE)\s*\(([^)]*)\)$/i);
+        if (constraint) {
+          const columns = parseSqlIdentifiers(constraint[2]);
+          const isPrimaryKey = /^PRIMARY/i.test(constraint[1]);
+          columns.forEach(name => { if (isPrimaryKey) table.columns[name].notNull = true; });
+          table.uniques.push({ name: isPrimaryKey ? `${table.name}_pkey` : `${table.name}_${columns.join('_')}_key`, columns, where: null });
+        } else if (!/^(CONSTRAINT|CHECK|FOREIGN\s+KEY)\b/i.test(item)) {
+          addSqlColumn(table, parseSqlColumn(item));
+        }
+      }
+      continue;
+    }
+
+    const alterTable = statement.match(/^ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(\w+)\s+([\s\S]*)$/i);
+    if (alterTable) {
+      const table = tables[alterTable[1]];
+      if (!table) continue;
+
+      for (const action of splitSqlList(alterTable[2])) {
+        const addColumn = action.match(/^ADD\s+COLUMN\s+(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]*)$/i);
+        const dropConstraint = action.match(/^DROP\s+CONSTRAINT\s+(?:IF\s+EXISTS\s+)?(\w+)/i);
+        const foreignKey = action.match(/^ADD\s+CONSTRAINT\s+\w+\s+FOREIGN\s+KEY\s*\(\s*"?(\w+)"?\s*\)\s+([\s\S]*)$/i);
+        const setNotNull = action.match(/^ALTER\s+COLUMN\s+"?(\w+)"?\s+SET\s+NOT\s+NULL$/i);
+
+        if (addColumn) {
+          addSqlColumn(table, parseSqlColumn(addColumn[1]));
+        } else if (dropConstraint) {
+          table.uniques = table.uniques.filter(unique => unique.name !== dropConstraint[1]);
+        } else if (foreignKey) {
+          table.references.push(parseSqlReference(foreignKey[1], foreignKey[2]));
+        } else if (setNotNull && table.columns[setNotNull[1]]) {
+          table.columns[setNotNull[1]].notNull = true;
         }
-      } catch (err) {
-        // Continue to next path
+      }
+      continue;
+    }
+
+    const uniqueIndex = statement.match(/^CREATE\s+UNIQUE\s+INDEX\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)\s+ON\s+(\w+)\s*\(([^)]*)\)(?:\s+WHERE\s+([\s\S]+))?$/i);
+    if (uniqueIndex && tables[uniqueIndex[2]]) {
+      const where = uniqueIndex[4] ? parseSqlPredicate(uniqueIndex[4].trim()) : null;
+      if (uniqueIndex[4] && !where) {
+        console.warn(`⚠ Local data store: unique index ${uniqueIndex[1]} is not enforced (unsupported WHERE clause)`);
         continue;
       }
+      tables[uniqueIndex[2]].uniques.push({ name: uniqueIndex[1], columns: parseSqlIdentifiers(uniqueIndex[3]), where });
+      continue;
     }
-    
-    if (!imagePath) {
-      // If not found, continue to static middleware (next())
-      return next();
+
+    const insert = statement.match(/^INSERT\s+INTO\s+(\w+)\s*\(([^)]*)\)\s*VALUES\s*([\s\S]+?)(?:\s+ON\s+CONFLICT[\s\S]*)?$/i);
+    if (insert) {
+      const columns = parseSqlIdentifiers(insert[2]);
+      for (const tuple of splitSqlList(insert[3])) {
+        const values = splitSqlList(tuple.replace(/^\(|\)$/g, '')).map(parseSqlLiteral);
+        inserts.push({ table: insert[1], row: Object.fromEntries(columns.map((column, index) => [column, values[index]])) });
+      }
     }
-    
-    // Determine content type based on file extension
-    const ext = path.extname(filename).toLowerCase();
-    const contentTypeMap = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp'
-    };
-    const contentType = contentTypeMap[ext] || 'image/jpeg';
-    
-    res.setHeader('Content-Type', contentType);
-    fs.createReadStream(imagePath).pipe(res);
-  } catch (error) {
-    console.error('Error serving image:', error);
-    // Continue to static middleware on error
-    next();
   }
-});
 
-// Serve uploaded files statically (fallback for files in temp folder)
-// On Vercel: serve static files from 'temp' folder (pre-existing files in repo)
-// Locally: serve from 'uploads' folder
-app.use('/uploads', express.static(staticBaseDir));
+  return { tables, inserts };
+}
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    message: 'Biomed Backend API is running',
-    timestamp: new Date().toISOString()
-  });
-});
+// Compare two column values like Postgres would: numbers numerically, timestamps as instants
+function compareSqlValues(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    const x = Number(a);
+    const y = Number(b);
+    if (!isNaN(x) && !isNaN(y)) return x < y ? -1 : x > y ? 1 : 0;
+  }
 
-// Test endpoint
-app.get('/api/test', (req, res) => {
-  res.json({
-    message: 'Backend API is working!',
-    data: {
-      server: 'Express.js',
-      database: supabase ? 'Supabase Connected' : 'Supabase Not Configured',
-      timestamp: new Date().toISOString()
-    }
-  });
-});
+  const x = String(a);
+  const y = String(b);
+  if (ISO_DATE_PREFIX.test(x) && ISO_DATE_PREFIX.test(y)) {
+    const dx = Date.parse(x);
+    const dy = Date.parse(y);
+    if (!isNaN(dx) && !isNaN(dy)) return dx < dy ? -1 : dx > dy ? 1 : 0;
+  }
+  return x < y ? -1 : x > y ? 1 : 0;
+}
 
-// Admin Login endpoint
-app.post('/api/auth/login', (req, res) => {
-  try {
-    const { email, password } = req.body;
+function sqlLikeToRegExp(pattern, flags) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
 
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email and password are required' 
-      });
-    }
+function jsonContains(value, expected) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(value) && expected.every(item => value.some(candidate => jsonContains(candidate, item)));
+  }
+  if (expected !== null && typeof expected === 'object') {
+    return value !== null && typeof value === 'object' &&
+      Object.entries(expected).every(([key, item]) => jsonContains(value[key], item));
+  }
+  return value !== null && value !== undefined && compareSqlValues(value, expected) === 0;
+}
 
-    // Valid admin credentials
-    const validEmail = 'biomedinnovationpharmaceutical@gmail.com';
-    const validPassword = 'Imran@216216';
+// Filter operators (PostgREST names). A null column value only matches 'is'.
+const LOCAL_FILTERS = {
+  eq: (value, operand) => compareSqlValues(value, operand) === 0,
+  neq: (value, operand) => compareSqlValues(value, operand) !== 0,
+  gt: (value, operand) => compareSqlValues(value, operand) > 0,
+  gte: (value, operand) => compareSqlValues(value, operand) >= 0,
+  lt: (value, operand) => compareSqlValues(value, operand) < 0,
+  lte: (value, operand) => compareSqlValues(value, operand) <= 0,
+  like: (value, operand) => sqlLikeToRegExp(operand, 's').test(String(value)),
+  ilike: (value, operand) => sqlLikeToRegExp(operand, 'is').test(String(value)),
+  in: (value, operand) => operand.some(item => compareSqlValues(value, item) === 0),
+  cs: (value, operand) => jsonContains(value, operand),
+  ov: (value, operand) => Array.isArray(value) && operand.some(item => value.some(candidate => compareSqlValues(candidate, item) === 0))
+};
 
-    // Check credentials
-    if (email === validEmail && password === validPassword) {
-      return res.json({ 
-        success: true, 
-        message: 'Login successful' 
-      });
-    } else {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Invalid email or password' 
-      });
-    }
-  } catch (error) {
-    console.error('Login error:', error);
-    return res.status(500).json({ 
-      success: false, 
-      error: 'Internal server error' 
-    });
+function matchesLocalFilter(row, { column, operator, operand }) {
+  const value = row[column];
+  if (operator === 'is') {
+    return operand === null ? value === null || value === undefined : value === operand;
   }
-});
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return LOCAL_FILTERS[operator](value, operand);
+}
+
+// Operand of a filter written as text, as in or('a.eq.1,b.in.(x,y)') and not()
+function parseFilterOperand(operator, text) {
+  if (operator === 'is') return text === 'null' ? null : text === 'true';
+  if (operator === 'in' || operator === 'ov') return splitSqlList(text.replace(/^\(|\)$/g, '')).map(item => item.replace(/^"|"$/g, ''));
+  if (operator === 'cs') return text.startsWith('{') ? splitSqlList(text.replace(/^\{|\}$/g, '')) : JSON.parse(text);
+  return text;
+}
 
-// Helper function to upload file to Supabase Storage
-async function uploadToSupabaseStorage(file, bucket, folder = '') {
-  if (!supabase) {
-    throw new Error('Supabase is not configured');
+function localDataError(code, message) {
+  return { code, message, details: null, hint: null };
+}
+
+// Supabase-compatible client over a JSON file (see the top of this section)
+function createLocalDataStore({ file, tables, seedRows }) {
+  // Tables referencing each table, for ON DELETE actions
+  const referencedBy = {};
+  for (const table of Object.values(tables)) {
+    for (const reference of table.references) {
+      (referencedBy[reference.table] = referencedBy[reference.table] || []).push({ ...reference, table: table.name });
+    }
   }
 
-  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-  const fileExt = path.extname(file.originalname);
-  const fileName = folder ? `${folder}/${uniqueSuffix}${fileExt}` : `${uniqueSuffix}${fileExt}`;
-  
-  const { data, error } = await supabase.storage
-    .from(bucket)
-    .upload(fileName, file.buffer, {
-      contentType: file.mimetype,
-      upsert: false
-    });
+  let db = { tables: {} };
+  // JSON of the last saved state: the snapshot restored when a statement fails
+  let saved = null;
 
-  if (error) {
-    // Provide helpful error messages
-    if (error.message && error.message.includes('Bucket not found')) {
-      throw new Error(`Bucket '${bucket}' not found. Please verify:
-1. Bucket exists in Supabase Dashboard → Storage
-2. Bucket name is exactly: ${bucket} (case-sensitive)
-3. If using Anon Key, make sure storage policies are set
-4. If bucket exists, try using SUPABASE_SERVICE_ROLE_KEY in .env file`);
+  const getRows = name => db.tables[name];
+
+  const computeGenerated = (name, row) => {
+    for (const [column, compute] of Object.entries(LOCAL_GENERATED_COLUMNS[name] || {})) {
+      if (tables[name].columns[column]) row[column] = compute(row);
     }
-    
-    // Handle permission errors
-    if (error.message && (error.message.includes('permission') || error.message.includes('policy'))) {
-      throw new Error(`Permission denied. Please check:
-1. Storage policies are set for the '${bucket}' bucket
-2. Or use SUPABASE_SERVICE_ROLE_KEY instead of SUPABASE_ANON_KEY
-3. Service Role Key can be found in: Supabase Dashboard → Settings → API → service_role key`);
+  };
+
+  // Value as Postgres would store it from a JSON request body
+  const toColumnValue = (name, column, value) => {
+    const json = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    if (json === null) return null;
+
+    if (SQL_NUMERIC_TYPE.test(column.type) && !column.isArray) {
+      const number = typeof json === 'number' ? json : (typeof json === 'string' && json.trim() !== '' ? Number(json) : NaN);
+      if (!Number.isFinite(number)) {
+        throw localDataError('22P02', `invalid input syntax for type ${column.type.toLowerCase()}: "${json}"`);
+      }
+      return SQL_INTEGER_TYPE.test(column.type) ? Math.round(number) : number;
     }
-    
-    // Generic error
-    throw new Error(`Upload failed: ${error.message}`);
-  }
+    if (column.type === 'BOOLEAN' && typeof json === 'string') {
+      return json === 'true';
+    }
+    if (column.type === 'UUID' && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(json))) {
+      throw localDataError('22P02', `invalid input syntax for type uuid: "${json}"`);
+    }
+    return json;
+  };
 
-  // Get public URL
-  const { data: urlData } = supabase.storage
-    .from(bucket)
-    .getPublicUrl(data.path);
+  // Write the given columns into a row, refusing unknown and generated columns
+  const assignColumns = (name, row, values) => {
+    for (const [key, value] of Object.entries(values)) {
+      const column = tables[name].columns[key];
+      if (!column) {
+        throw localDataError('PGRST204', `Could not find the '${key}' column of '${name}' in the schema cache`);
+      }
+      if (column.generated) {
+        throw localDataError('428C9', `cannot insert a non-DEFAULT value into column "${key}"`);
+      }
+      if (value !== undefined) row[key] = toColumnValue(name, column, value);
+    }
+    computeGenerated(name, row);
+  };
 
-  return {
-    path: data.path,
-    publicUrl: urlData.publicUrl,
-    fileName: fileName
+  const newRow = (name, values) => {
+    const row = {};
+    for (const column of Object.values(tables[name].columns)) {
+      row[column.name] = values[column.name] === undefined && column.default ? column.default() : null;
+    }
+    assignColumns(name, row, values);
+    return row;
   };
-}
 
-// Helper function to delete file from Supabase Storage
-async function deleteFromSupabaseStorage(filePath, bucket) {
-  if (!supabase || !filePath) {
-    return;
-  }
+  // NOT NULL, unique and foreign key checks of a table after a write
+  const checkConstraints = (name, changedRows) => {
+    const table = tables[name];
+    const rows = getRows(name);
 
-  try {
-    // Extract path from URL if it's a full URL
-    // Supabase Storage URLs format: https://{project}.supabase.co/storage/v1/object/public/{bucket}/{path}
-    let pathToDelete = filePath;
-    
-    if (filePath.includes('/storage/v1/object/public/')) {
-      // Extract path after bucket name
-      const parts = filePath.split('/storage/v1/object/public/');
-      if (parts.length > 1) {
-        const afterPublic = parts[1];
-        // Remove bucket name and leading slash
-        const pathParts = afterPublic.split('/');
-        if (pathParts[0] === bucket) {
-          pathToDelete = pathParts.slice(1).join('/');
-        } else {
-          pathToDelete = afterPublic; // If bucket doesn't match, use as is
+    for (const row of changedRows) {
+      for (const column of Object.values(table.columns)) {
+        if (column.notNull && (row[column.name] === null || row[column.name] === undefined)) {
+          throw localDataError('23502', `null value in column "${column.name}" of relation "${name}" violates not-null constraint`);
         }
       }
-    } else if (filePath.startsWith('http://') || filePath.startsWith('https://')) {
-      // Handle other URL formats - extract path from URL
-      try {
-        const url = new URL(filePath);
-        pathToDelete = url.pathname.replace(`/storage/v1/object/public/${bucket}/`, '');
-      } catch (e) {
-        console.error('Error parsing URL:', e);
-        return;
+
+      for (const reference of table.references) {
+        const value = row[reference.column];
+        if (value === null || value === undefined || !getRows(reference.table)) continue;
+        if (!getRows(reference.table).some(target => compareSqlValues(target[reference.refColumn], value) === 0)) {
+          throw localDataError('23503', `insert or update on table "${name}" violates foreign key constraint on column "${reference.column}"`);
+        }
       }
-    } else if (filePath.startsWith('/')) {
-      // Remove leading slash if it's just a path
-      pathToDelete = filePath.substring(1);
     }
 
-    // Remove bucket prefix if present
-    if (pathToDelete.startsWith(`${bucket}/`)) {
-      pathToDelete = pathToDelete.substring(bucket.length + 1);
+    for (const unique of table.uniques) {
+      const seen = new Set();
+      for (const row of rows) {
+        if (unique.where && !unique.where(row)) continue;
+        const values = unique.columns.map(column => row[column]);
+        // Like Postgres, rows with a NULL in the key never conflict
+        if (values.some(value => value === null || value === undefined)) continue;
+        const key = JSON.stringify(values.map(value => String(value)));
+        if (seen.has(key)) {
+          throw localDataError('23505', `duplicate key value violates unique constraint "${unique.name}"`);
+        }
+        seen.add(key);
+      }
     }
+  };
 
-    if (!pathToDelete || pathToDelete.trim() === '') {
-      console.warn('Empty path to delete, skipping');
-      return;
-    }
+  // Delete rows, applying the ON DELETE action of every foreign key pointing at them
+  const deleteRows = (name, rowsToDelete) => {
+    if (rowsToDelete.length === 0) return;
+    const deleting = new Set(rowsToDelete);
+    db.tables[name] = getRows(name).filter(row => !deleting.has(row));
 
-    const { error } = await supabase.storage
-      .from(bucket)
-      .remove([pathToDelete]);
+    for (const reference of referencedBy[name] || []) {
+      const referencing = getRows(reference.table).filter(row => row[reference.column] !== null &&
+        rowsToDelete.some(deleted => compareSqlValues(deleted[reference.refColumn], row[reference.column]) === 0));
+      if (referencing.length === 0) continue;
 
-    if (error) {
-      console.error('Error deleting file from Supabase Storage:', error);
-    } else {
-      console.log(`Successfully deleted file from storage: ${pathToDelete}`);
+      if (reference.onDelete === 'CASCADE') {
+        deleteRows(reference.table, referencing);
+      } else if (reference.onDelete === 'SET NULL') {
+        referencing.forEach(row => { row[reference.column] = null; });
+      } else {
+        throw localDataError('23503', `update or delete on table "${name}" violates foreign key constraint on table "${reference.table}"`);
+      }
     }
-  } catch (error) {
-    console.error('Error deleting file from Supabase Storage:', error);
-  }
-}
+  };
 
-// Upload single image
-app.post('/api/upload/image', imageUpload.single('image'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+  const save = () => {
+    saved = JSON.stringify(db);
+    // Write then rename, so a crash never leaves a half-written file
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, saved);
+    fs.renameSync(tempFile, file);
+  };
+
+  const load = () => {
+    const isNew = !fs.existsSync(file);
+    db = isNew ? { tables: {} } : JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    // Tables and columns added to setup.sql since the file was created
+    for (const [name, table] of Object.entries(tables)) {
+      db.tables[name] = db.tables[name] || [];
+      for (const row of db.tables[name]) {
+        for (const column of Object.values(table.columns)) {
+          if (!(column.name in row)) row[column.name] = column.default ? column.default() : null;
+        }
+        computeGenerated(name, row);
+      }
     }
 
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase is not configured' });
+    if (isNew) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      for (const { table, row } of seedRows) {
+        if (!tables[table]) continue;
+        const seeded = newRow(table, row);
+        getRows(table).push(seeded);
+        checkConstraints(table, [seeded]);
+      }
     }
+    save();
+  };
 
-    // Upload to Supabase Storage
-    const uploadResult = await uploadToSupabaseStorage(req.file, 'products', 'images');
-    
-    res.json({
-      message: 'Image uploaded successfully',
-      imageUrl: uploadResult.publicUrl,
-      filename: uploadResult.fileName,
-      path: uploadResult.path
-    });
-  } catch (error) {
-    console.error('Error uploading image:', error);
-    res.status(500).json({ error: 'Error uploading image', details: error.message });
-  }
-});
+  const project = (name, row, columns) => {
+    if (!columns || columns === '*') return row;
+    const projected = {};
+    for (const column of columns.split(',').map(item => item.trim()).filter(Boolean)) {
+      if (column === '*') Object.assign(projected, row);
+      else projected[column] = row[column];
+    }
+    return projected;
+  };
 
-// Upload multiple images
-app.post('/api/upload/images', imageUpload.array('images', 10), async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No image files provided' });
+  // Run one query (all of its writes succeed or none)
+  const execute = (name, state) => {
+    const table = tables[name];
+    if (!table) {
+      return { data: null, count: null, error: localDataError('42P01', `relation "public.${name}" does not exist`) };
     }
 
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase is not configured' });
+    const unknownColumn = [
+      ...state.filters.flatMap(filter => filter.columns),
+      ...state.orders.map(order => order.column),
+      ...(state.columns && state.columns !== '*' ? state.columns.split(',').map(column => column.trim()).filter(column => column && column !== '*') : [])
+    ].find(column => !table.columns[column]);
+    if (unknownColumn) {
+      return { data: null, count: null, error: localDataError('42703', `column ${name}.${unknownColumn} does not exist`) };
     }
 
-    // Upload all images to Supabase Storage
-    const uploadPromises = req.files.map(file => uploadToSupabaseStorage(file, 'products', 'images'));
-    const uploadResults = await Promise.all(uploadPromises);
+    const matches = row => state.filters.every(filter => filter.test(row));
+    let rows;
+    let count = null;
 
-    const imageUrls = uploadResults.map(result => ({
-      url: result.publicUrl,
-      filename: result.fileName,
-      path: result.path
-    }));
+    try {
+      if (state.action === 'select') {
+        rows = getRows(name).filter(matches);
+        count = rows.length;
+        rows = [...rows].sort((a, b) => {
+          for (const { column, ascending, nullsFirst } of state.orders) {
+            const x = a[column];
+            const y = b[column];
+            const xNull = x === null || x === undefined;
+            const yNull = y === null || y === undefined;
+            if (xNull && yNull) continue;
+            if (xNull || yNull) return (xNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+            const order = compareSqlValues(x, y);
+            if (order !== 0) return ascending ? order : -order;
+          }
+          return 0;
+        });
 
-    res.json({
-      message: 'Images uploaded successfully',
-      images: imageUrls
-    });
-  } catch (error) {
-    console.error('Error uploading images:', error);
-    res.status(500).json({ error: 'Error uploading images', details: error.message });
-  }
-});
+        if (state.range) {
+          // Like PostgREST, a page past the last row is an error when the count is requested
+          if (state.count && state.range.from > 0 && state.range.from >= count) {
+            return { data: null, count, error: localDataError('PGRST103', 'Requested range not satisfiable') };
+          }
+          rows = rows.slice(state.range.from, state.range.to + 1);
+        }
+        if (state.limit !== null) rows = rows.slice(0, state.limit);
+        if (!state.count) count = null;
+        if (state.head) rows = null;
+      } else {
+        rows = [];
+        if (state.action === 'insert' || state.action === 'upsert') {
+          const conflictColumns = state.onConflict ? parseSqlIdentifiers(state.onConflict) : table.uniques.find(unique => /_pkey$/.test(unique.name)).columns;
+          for (const values of state.values) {
+            const existing = state.action === 'upsert' ? getRows(name).find(row => conflictColumns.every(column =>
+              values[column] !== undefined && row[column] !== null && compareSqlValues(row[column], values[column]) === 0)) : null;
+
+            if (existing) {
+              if (state.ignoreDuplicates) continue;
+              assignColumns(name, existing, values);
+              rows.push(existing);
+            } else {
+              const row = newRow(name, values);
+              getRows(name).push(row);
+              rows.push(row);
+            }
+          }
+        } else if (state.action === 'update') {
+          rows = getRows(name).filter(matches);
+          rows.forEach(row => assignColumns(name, row, state.values));
+        } else if (state.action === 'delete') {
+          rows = getRows(name).filter(matches);
+          deleteRows(name, rows);
+        }
+
+        if (state.action !== 'delete') checkConstraints(name, rows);
+        save();
+        if (!state.returning) rows = null;
+      }
+    } catch (error) {
+      db = JSON.parse(saved);
+      if (error instanceof Error) throw error;
+      return { data: null, count: null, error };
+    }
+
+    let data = rows && JSON.parse(JSON.stringify(rows.map(row => project(name, row, state.columns))));
+    if (state.single) {
+      if (data.length > 1 || (data.length === 0 && state.single === 'single')) {
+        return { data: null, count, error: localDataError('PGRST116', 'JSON object requested, multiple (or no) rows returned') };
+      }
+      data = data[0] || null;
+    }
+    return { data, count, error: null };
+  };
+
+  const createQuery = name => {
+    const state = {
+      action: 'select', columns: '*', values: null, filters: [], orders: [], range: null, limit: null,
+      single: null, head: false, count: false, returning: false, onConflict: null, ignoreDuplicates: false
+    };
+
+    const addFilter = (column, operator, operand) => {
+      state.filters.push({ columns: [column], test: row => matchesLocalFilter(row, { column, operator, operand }) });
+      return query;
+    };
+
+    const query = {
+      select(columns = '*', options = {}) {
+        state.columns = columns.replace(/\s+/g, ' ').trim() || '*';
+        if (state.action === 'select') {
+          state.head = options.head === true;
+          state.count = options.count === 'exact';
+        } else {
+          state.returning = true;
+        }
+        return query;
+      },
+      insert(values) {
+        state.action = 'insert';
+        state.values = Array.isArray(values) ? values : [values];
+        return query;
+      },
+      upsert(values, options = {}) {
+        state.action = 'upsert';
+        state.values = Array.isArray(values) ? values : [values];
+        state.onConflict = options.onConflict || null;
+        state.ignoreDuplicates = options.ignoreDuplicates === true;
+        return query;
+      },
+      update(values) {
+        state.action = 'update';
+        state.values = values;
+        return query;
+      },
+      delete() {
+        state.action = 'delete';
+        return query;
+      },
+      eq: (column, value) => addFilter(column, 'eq', value),
+      neq: (column, value) => addFilter(column, 'neq', value),
+      gt: (column, value) => addFilter(column, 'gt', value),
+      gte: (column, value) => addFilter(column, 'gte', value),
+      lt: (column, value) => addFilter(column, 'lt', value),
+      lte: (column, value) => addFilter(column, 'lte', value),
+      like: (column, pattern) => addFilter(column, 'like', pattern),
+      ilike: (column, pattern) => addFilter(column, 'ilike', pattern),
+      is: (column, value) => addFilter(column, 'is', value),
+      in: (column, values) => addFilter(column, 'in', values),
+      // supabase-js sends strings as they are: JSON for jsonb columns
+      contains: (column, value) => addFilter(column, 'cs', typeof value === 'string' ? parseFilterOperand('cs', value) : value),
+      overlaps: (column, values) => addFilter(column, 'ov', values),
+      not(column, operator, value) {
+        const operand = typeof value === 'string' ? parseFilterOperand(operator, value) : value;
+        state.filters.push({
+          columns: [column],
+          test: row => !matchesLocalFilter(row, { column, operator, operand }) &&
+            (operator === 'is' || (row[column] !== null && row[column] !== undefined))
+        });
+        return query;
+      },
+      or(expression) {
+        const conditions = splitSqlList(expression).map(condition => {
+          const [, column, operator, text] = condition.match(/^(\w+)\.(\w+)\.([\s\S]*)$/);
+          return { column, operator, operand: parseFilterOperand(operator, text) };
+        });
+        state.filters.push({
+          columns: conditions.map(condition => condition.column),
+          test: row => conditions.some(condition => matchesLocalFilter(row, condition))
+        });
+        return query;
+      },
+      order(column, options = {}) {
+        const ascending = options.ascending !== false;
+        // Postgres puts NULLs last in ascending order and first in descending order
+        state.orders.push({ column, ascending, nullsFirst: options.nullsFirst !== undefined ? options.nullsFirst : !ascending });
+        return query;
+      },
+      range(from, to) {
+        state.range = { from, to };
+        return query;
+      },
+      limit(count) {
+        state.limit = count;
+        return query;
+      },
+      single() {
+        state.single = 'single';
+        return query;
+      },
+      maybeSingle() {
+        state.single = 'maybeSingle';
+        return query;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(() => execute(name, state)).then(resolve, reject);
+      }
+    };
+    return query;
+  };
+
+  load();
+  return { from: createQuery };
+}
+
+// Sample rows of setup.sql for a new local data file. INSERT ... SELECT and UPDATE migrations are
+// not replayed, so the slug and default variant every product needs are added here, and products
+// start out of stock (they have no batches) and without reviews or questions as setup.sql leaves them.
+function getLocalSeedRows(inserts) {
+  const rows = [...inserts];
+  for (const { row: product } of inserts.filter(insert => insert.table === 'products')) {
+    product.slug = product.slug || slugify(product.name);
+    product.inStock = false;
+    product.rating = 0;
+    product.reviews = 0;
+    product.questions = 0;
+    rows.push({
+      table: 'product_variants',
+      row: {
+        product_id: product.id,
+        sku: product.id,
+        name: product.packSize || 'Default',
+        pack_size: product.packSize || null,
+        original_price: product.originalPrice || 0,
+        discounted_price: product.discountedPrice || 0,
+        in_stock: false,
+        is_default: true
+      }
+    });
+  }
+  return rows;
+}
+
+// Data access client of every route: Supabase, or the local data store with the same interface
+let supabase = null;
+if (DATA_STORE === 'supabase') {
+  if (!supabaseClient) {
+    throw new Error('DATA_STORE=supabase requires SUPABASE_URL and SUPABASE_ANON_KEY');
+  }
+  supabase = supabaseClient;
+} else if (DATA_STORE === 'local') {
+  const { tables, inserts } = parseSetupSql(fs.readFileSync(SETUP_SQL_FILE, 'utf8'));
+  supabase = createLocalDataStore({ file: LOCAL_DATA_FILE, tables, seedRows: getLocalSeedRows(inserts) });
+  console.log(`✓ Local data store: ${LOCAL_DATA_FILE}`);
+  if (isVercel) {
+    console.warn('⚠ The local data store on Vercel writes to /tmp, data will not persist');
+  }
+} else {
+  throw new Error(`Unknown DATA_STORE '${DATA_STORE}', use supabase or local`);
+}
+
+// ==================== END LOCAL DATA STORE ====================
+
+// ==================== STORAGE ====================
+
+// Uploaded media goes through one storage interface with interchangeable backends, chosen by
+// STORAGE_DRIVER:
+//   supabase - Supabase Storage buckets (default when Supabase is configured)
+//   local    - files on disk under LOCAL_STORAGE_DIR, served by GET /uploads/:bucket/* (default otherwise)
+//   s3       - an S3-compatible store (AWS S3, Cloudflare R2, MinIO...); buckets become key prefixes
+// Every backend takes the same bucket + path arguments, so routes never depend on the provider.
+// Private buckets (see isPrivateBucket) never share a public location: the local backend keeps them
+// in LOCAL_PRIVATE_STORAGE_DIR, outside the static folder, and S3 in its own S3_PRIVATE_BUCKET.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (supabaseClient ? 'supabase' : 'local');
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || uploadBaseDir);
+const LOCAL_PRIVATE_STORAGE_DIR = path.resolve(process.env.LOCAL_PRIVATE_STORAGE_DIR ||
+  (isVercel ? '/tmp/private' : path.join(__dirname, 'private-uploads')));
+// Absolute base for local file URLs (e.g. https://api.example.com); URLs are relative when empty
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+function createSupabaseStorage() {
+  if (!supabaseClient) {
+    throw new Error('STORAGE_DRIVER=supabase requires SUPABASE_URL and SUPABASE_ANON_KEY');
+  }
+
+  return {
+    async upload(bucket, filePath, buffer, contentType) {
+      const { data, error } = await supabaseClient.storage
+        .from(bucket)
+        .upload(filePath, buffer, {
+          contentType,
+          upsert: false
+        });
+
+      if (error) {
+        // Provide helpful error messages
+        if (error.message && error.message.includes('Bucket not found')) {
+          throw new Error(`Bucket '${bucket}' not found. Please verify:
+1. Bucket exists in Supabase Dashboard → Storage
+2. Bucket name is exactly: ${bucket} (case-sensitive)
+3. If using Anon Key, make sure storage policies are set
+4. If bucket exists, try using SUPABASE_SERVICE_ROLE_KEY in .env file`);
+        }
+
+        // Handle permission errors
+        if (error.message && (error.message.includes('permission') || error.message.includes('policy'))) {
+          throw new Error(`Permission denied. Please check:
+1. Storage policies are set for the '${bucket}' bucket
+2. Or use SUPABASE_SERVICE_ROLE_KEY instead of SUPABASE_ANON_KEY
+3. Service Role Key can be found in: Supabase Dashboard → Settings → API → service_role key`);
+        }
+
+        // Generic error
+        throw new Error(`Upload failed: ${error.message}`);
+      }
+
+      return data.path;
+    },
+
+    async remove(bucket, filePaths) {
+      const { error } = await supabaseClient.storage
+        .from(bucket)
+        .remove(filePaths);
+
+      if (error) {
+        throw new Error(`Delete failed: ${error.message}`);
+      }
+    },
+
+    getPublicUrl(bucket, filePath) {
+      return supabaseClient.storage.from(bucket).getPublicUrl(filePath).data.publicUrl;
+    },
+
+    async createSignedUrl(bucket, filePath, expiresIn) {
+      const { data, error } = await supabaseClient.storage
+        .from(bucket)
+        .createSignedUrl(filePath, expiresIn);
+
+      if (error) {
+        throw new Error(`Signed URL failed: ${error.message}`);
+      }
+      return data.signedUrl;
+    }
+  };
+}
+
+// Signature of a local storage link; private buckets are only served with a valid one
+function signLocalStoragePath(bucket, filePath, expires) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`${bucket}/${filePath}:${expires}`).digest('hex');
+}
+
+function createLocalStorage() {
+  const isInside = (dir, parent) => dir === parent || dir.startsWith(parent + path.sep);
+  if (isInside(LOCAL_PRIVATE_STORAGE_DIR, path.resolve(staticBaseDir)) ||
+    isInside(LOCAL_PRIVATE_STORAGE_DIR, LOCAL_STORAGE_DIR)) {
+    throw new Error('LOCAL_PRIVATE_STORAGE_DIR must not be inside LOCAL_STORAGE_DIR or the static uploads folder');
+  }
+
+  // Absolute path of a file, refusing paths that escape the bucket folder
+  const resolvePath = (bucket, filePath) => {
+    const baseDir = isPrivateBucket(bucket) ? LOCAL_PRIVATE_STORAGE_DIR : LOCAL_STORAGE_DIR;
+    const bucketDir = path.join(baseDir, bucket);
+    const fullPath = path.resolve(bucketDir, filePath);
+    if (!/^[\w-]+$/.test(bucket) || !fullPath.startsWith(bucketDir + path.sep)) {
+      throw new Error('Invalid storage path');
+    }
+    return fullPath;
+  };
+
+  return {
+    resolvePath,
+
+    async upload(bucket, filePath, buffer) {
+      const fullPath = resolvePath(bucket, filePath);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      // 'wx' refuses to overwrite an existing file, like the other backends
+      await fs.promises.writeFile(fullPath, buffer, { flag: 'wx' });
+      return filePath;
+    },
+
+    async remove(bucket, filePaths) {
+      for (const filePath of filePaths) {
+        await fs.promises.rm(resolvePath(bucket, filePath), { force: true });
+      }
+    },
+
+    getPublicUrl(bucket, filePath) {
+      return `${PUBLIC_BASE_URL}/uploads/${bucket}/${filePath}`;
+    },
+
+    async createSignedUrl(bucket, filePath, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = signLocalStoragePath(bucket, filePath, expires);
+      return `${this.getPublicUrl(bucket, filePath)}?expires=${expires}&signature=${signature}`;
+    }
+  };
+}
+
+function createS3Storage() {
+  // Loaded on demand: the AWS SDK is only needed by this backend
+  const { S3Client, PutObjectCommand, DeleteObjectsCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const bucketName = process.env.S3_BUCKET;
+  if (!bucketName) {
+    throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+  }
+  // Private files (prescriptions) go to a bucket without public access, only read through presigned URLs
+  const privateBucketName = process.env.S3_PRIVATE_BUCKET;
+  if (!privateBucketName || privateBucketName === bucketName) {
+    throw new Error('STORAGE_DRIVER=s3 requires S3_PRIVATE_BUCKET, a private bucket other than S3_BUCKET');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Without explicit keys the SDK's default credential chain (env, profile, IAM role) is used
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+  const publicBaseUrl = (process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint}/${bucketName}` : `https://${bucketName}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+  const toKey = (bucket, filePath) => `${bucket}/${filePath}`;
+  const toBucketName = bucket => (isPrivateBucket(bucket) ? privateBucketName : bucketName);
+
+  return {
+    async upload(bucket, filePath, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: toBucketName(bucket),
+        Key: toKey(bucket, filePath),
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return filePath;
+    },
+
+    async remove(bucket, filePaths) {
+      if (filePaths.length === 0) {
+        return;
+      }
+
+      await client.send(new DeleteObjectsCommand({
+        Bucket: toBucketName(bucket),
+        Delete: { Objects: filePaths.map(filePath => ({ Key: toKey(bucket, filePath) })) }
+      }));
+    },
+
+    getPublicUrl(bucket, filePath) {
+      return `${publicBaseUrl}/${toKey(bucket, filePath)}`;
+    },
+
+    createSignedUrl(bucket, filePath, expiresIn) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: toBucketName(bucket), Key: toKey(bucket, filePath) }), { expiresIn });
+    }
+  };
+}
+
+const STORAGE_DRIVERS = {
+  supabase: createSupabaseStorage,
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+if (!STORAGE_DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER '${STORAGE_DRIVER}', use one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+}
+
+const storage = STORAGE_DRIVERS[STORAGE_DRIVER]();
+console.log(`✓ Storage backend: ${STORAGE_DRIVER}`);
+if (STORAGE_DRIVER === 'local' && isVercel) {
+  console.warn('⚠ Local storage on Vercel writes to /tmp, uploaded files will not persist');
+}
+
+// ==================== END STORAGE ====================
+
+// ==================== VALIDATION ====================
+
+// Every error response has the same shape:
+//   { error: string, code: string, details?: any, fields?: { [field]: string } }
+// `error` is a readable message, `code` a stable identifier to branch on (the default of the status
+// below unless the route sets a more specific one), `details` extra context (for example the cart lines
+// that are out of stock) and `fields` the message of each invalid field of a 422 response.
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'validation_failed',
+  429: 'too_many_requests',
+  500: 'internal_error'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)$/;
+
+// Adds the `code` of the status to error responses that do not set one
+function formatErrorResponses(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode < 400 || !isPlainObject(body)) {
+      return json(body);
+    }
+
+    const { error, code, ...rest } = body;
+    return json({
+      error,
+      code: code || ERROR_CODES[res.statusCode] || (res.statusCode >= 500 ? 'internal_error' : 'bad_request'),
+      ...rest
+    });
+  };
+  next();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Request bodies and query strings are checked against a schema, a map of field name to rule:
+//   type      'string', 'number', 'integer', 'boolean', 'uuid', 'email', 'url' (http(s) or a path
+//             starting with /), 'date' (YYYY-MM-DD), 'datetime', 'array' or 'object'
+//   required  the field must be given (null, '' and whitespace count as missing)
+//   nullable  false to reject null; optional fields otherwise accept null to clear a value
+//   min, max  bounds of a number, or of the length of a string or array
+//   enum      the accepted values
+//   pattern   a RegExp strings must match, with `message` as the error
+//   items     the rule of each element of an array
+//   fields    the schema of an object
+//   check     (value, values) => message or null, for anything else (values are the other
+//             converted fields, to compare fields with each other)
+// Numbers and booleans given as strings (query strings, multipart forms) are converted. Fields that
+// are not in the schema are left as they are.
+
+// The converted value of a field, or { message } when it does not match its rule
+function checkValue(rule, value, path) {
+  const { type } = rule;
+  let result = value;
+
+  if (type === 'number' || type === 'integer') {
+    if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+      result = Number(value);
+    }
+    if (typeof result !== 'number' || !Number.isFinite(result)) {
+      return { message: `${path} must be a number` };
+    }
+    if (type === 'integer' && !Number.isInteger(result)) {
+      return { message: `${path} must be a whole number` };
+    }
+  } else if (type === 'boolean') {
+    if (value === 'true' || value === 'false') {
+      result = value === 'true';
+    }
+    if (typeof result !== 'boolean') {
+      return { message: `${path} must be true or false` };
+    }
+  } else if (type === 'array') {
+    if (!Array.isArray(value)) {
+      return { message: `${path} must be a list` };
+    }
+  } else if (type === 'object') {
+    if (!isPlainObject(value)) {
+      return { message: `${path} must be an object` };
+    }
+  } else if (typeof value !== 'string') {
+    return { message: `${path} must be ${type === 'string' ? 'a string' : `a valid ${type}`}` };
+  } else {
+    result = type === 'string' ? value : value.trim();
+    if (type === 'uuid' && !UUID_PATTERN.test(result)) {
+      return { message: `${path} must be a valid id` };
+    }
+    if (type === 'email' && !isValidEmail(result)) {
+      return { message: `${path} must be a valid email address` };
+    }
+    if (type === 'url' && !(/^https?:\/\/[^\s/]+\S*$/i.test(result) || /^\/(?!\/)\S*$/.test(result))) {
+      return { message: `${path} must be an http(s) URL or a path starting with /` };
+    }
+    if (type === 'date' && !(DATE_PATTERN.test(result) && !Number.isNaN(Date.parse(`${result}T00:00:00Z`)))) {
+      return { message: `${path} must be a date (YYYY-MM-DD)` };
+    }
+    if (type === 'datetime' && Number.isNaN(Date.parse(result))) {
+      return { message: `${path} must be a valid date and time` };
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(result)) {
+    return { message: `${path} must be one of ${rule.enum.join(', ')}` };
+  }
+
+  if (rule.pattern && !rule.pattern.test(result)) {
+    return { message: rule.message || `${path} has an invalid format` };
+  }
+
+  const size = typeof result === 'number' ? result : result.length;
+  const unit = typeof result === 'string' ? ' characters' : Array.isArray(result) ? ' items' : '';
+  if (rule.min !== undefined && size < rule.min) {
+    return { message: typeof result === 'number' ? `${path} must be at least ${rule.min}` : `${path} must have at least ${rule.min}${unit}` };
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    return { message: typeof result === 'number' ? `${path} must be at most ${rule.max}` : `${path} must have at most ${rule.max}${unit}` };
+  }
+
+  return { value: result };
+}
+
+// Checks `input` against `schema`. In query strings an empty value counts as not given. Returns
+// { values, fields }: the input with its fields converted, and the message of each invalid field by
+// path ("variants[0].sku"), empty when the input is valid.
+function checkSchema(schema, input, { prefix = '', query = false } = {}) {
+  const values = { ...input };
+  const fields = {};
+  const checks = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const path = `${prefix}${name}`;
+    let value = input[name];
+    const isBlank = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+    if (isBlank) {
+      if (rule.required) {
+        fields[path] = `${path} is required`;
+        continue;
+      }
+      if (value === undefined || query) {
+        delete values[name];
+        continue;
+      }
+      // null, or an empty form field, clears an optional value
+      if (value === null || rule.type !== 'string' || rule.nullable === false) {
+        if (rule.nullable === false) {
+          fields[path] = `${path} cannot be empty`;
+        } else {
+          values[name] = null;
+        }
+        continue;
+      }
+    }
+
+    const result = checkValue(rule, value, path);
+    if (result.message) {
+      fields[path] = result.message;
+      continue;
+    }
+    value = result.value;
+
+    if (rule.type === 'array' && rule.items) {
+      value = value.map((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const itemResult = checkValue(rule.items, item, itemPath);
+        if (itemResult.message) {
+          fields[itemPath] = itemResult.message;
+          return item;
+        }
+        if (rule.items.fields) {
+          const nested = checkSchema(rule.items.fields, itemResult.value, { prefix: `${itemPath}.` });
+          Object.assign(fields, nested.fields);
+          return nested.values;
+        }
+        return itemResult.value;
+      });
+    } else if (rule.type === 'object' && rule.fields) {
+      const nested = checkSchema(rule.fields, value, { prefix: `${path}.` });
+      Object.assign(fields, nested.fields);
+      value = nested.values;
+    }
+
+    values[name] = value;
+    if (rule.check) {
+      checks.push({ path, rule, name });
+    }
+  }
+
+  // Cross-field rules run once every field is converted
+  for (const { path, rule, name } of checks) {
+    if (!fields[path]) {
+      const message = rule.check(values[name], values);
+      if (message) {
+        fields[path] = message;
+      }
+    }
+  }
+
+  return { values, fields };
+}
+
+// 422 response listing the invalid fields ({ field: message }), with optional details
+function sendValidationError(res, fields, details) {
+  return res.status(422).json({ error: Object.values(fields).join('; '), code: 'validation_failed', fields, details });
+}
+
+// Middleware checking req.body and/or req.query against their schema. The handler gets the converted
+// values; invalid requests get a 422 response.
+function validateRequest({ body, query }) {
+  return (req, res, next) => {
+    const fields = {};
+
+    if (body) {
+      if (!isPlainObject(req.body)) {
+        return sendValidationError(res, { body: 'The request body must be a JSON object' });
+      }
+      const result = checkSchema(body, req.body);
+      req.body = result.values;
+      Object.assign(fields, result.fields);
+    }
+
+    if (query) {
+      const result = checkSchema(query, req.query, { query: true });
+      req.query = result.values;
+      Object.assign(fields, result.fields);
+    }
+
+    return Object.keys(fields).length > 0 ? sendValidationError(res, fields) : next();
+  };
+}
+
+// The schema of a partial update: nothing is required, but required fields cannot be cleared
+function toUpdateSchema(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([name, rule]) => [
+    name,
+    rule.required ? { ...rule, required: false, nullable: false } : rule
+  ]));
+}
+
+// Shared by every paginated list (each route adds its own default and maximum limit)
+const PAGINATION_QUERY_SCHEMA = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 }
+};
+
+// Last handlers: unknown API routes, then errors thrown or passed to next()
+function handleNotFound(req, res) {
+  res.status(404).json({ error: `Cannot ${req.method} ${req.baseUrl}${req.path}` });
+}
+
+function handleErrors(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'The request body is not valid JSON', code: 'invalid_json' });
+  }
+
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'The request body is too large' });
+  }
+
+  // Multer errors (file too large, too many files, unexpected field)
+  if (err instanceof multer.MulterError) {
+    const field = err.field || 'file';
+    return sendValidationError(res, { [field]: `${field}: ${err.message}` });
+  }
+
+  console.error('Unhandled error:', err);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+// ==================== END VALIDATION ====================
+
+// Middleware
+app.use(cors());
+app.use(formatErrorResponses);
+app.use(express.json());
+
+// Files of the local storage backend. Private buckets (prescriptions) are only served with a
+// signed link from createStorageSignedUrl, whatever the backend.
+app.get('/uploads/:bucket/*', async (req, res, next) => {
+  try {
+    const { bucket } = req.params;
+    const filePath = req.params[0];
+
+    if (isPrivateBucket(bucket)) {
+      const expires = parseInt(req.query.expires, 10);
+      const signature = String(req.query.signature || '');
+      const expected = signLocalStoragePath(bucket, filePath, expires);
+      const isValid = expires > Date.now() / 1000 && signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      if (!isValid) {
+        return res.status(403).json({ error: 'This link is invalid or has expired' });
+      }
+    }
+
+    if (STORAGE_DRIVER !== 'local') {
+      // Other backends serve private files through their own signed URLs
+      return isPrivateBucket(bucket) ? res.status(404).json({ error: 'File not found' }) : next();
+    }
+
+    let fullPath;
+    try {
+      fullPath = storage.resolvePath(bucket, filePath);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid file path' });
+    }
+
+    const stat = await fs.promises.stat(fullPath).catch(() => null);
+    if (!stat || !stat.isFile()) {
+      if (isPrivateBucket(bucket)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      // Not stored locally: continue to the static middleware
+      return next();
+    }
+
+    // sendFile handles Range requests (video streaming) and sets the content type from the extension
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    return res.sendFile(fullPath);
+  } catch (error) {
+    console.error('Error serving file:', error);
+    res.status(500).json({ error: 'Error serving file', details: error.message });
+  }
+});
+
+// The static middleware below never serves private buckets, however the path is written
+// (//prescriptions/..., ./prescriptions/..., %2F, other letter case)
+app.use('/uploads', (req, res, next) => {
+  let filePath;
+  try {
+    filePath = decodeURIComponent(req.path);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid file path' });
+  }
+
+  const [firstSegment = ''] = path.posix.normalize(filePath.replace(/\\/g, '/')).split('/').filter(Boolean);
+  if (isPrivateBucket(firstSegment)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  next();
+});
+
+// Serve uploaded files statically (fallback for files in temp folder)
+// On Vercel: serve static files from 'temp' folder (pre-existing files in repo)
+// Locally: serve from 'uploads' folder
+app.use('/uploads', express.static(staticBaseDir));
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    message: 'Biomed Backend API is running',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Test endpoint
+app.get('/api/test', (req, res) => {
+  res.json({
+    message: 'Backend API is working!',
+    data: {
+      server: 'Express.js',
+      database: DATA_STORE === 'supabase' ? 'Supabase Connected' : 'Local data store',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// ==================== AUTH ====================
+
+// Token configuration
+// JWT_SECRET must be set in production, otherwise every restart (and every
+// Vercel cold start) invalidates all issued tokens
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠ JWT_SECRET not set. Using a random secret, tokens will not survive a restart.');
+}
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10); // 15 minutes
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '604800', 10); // 7 days
+const ADMIN_TOKEN_AUDIENCE = 'admin';
+
+// Staff roles and what each of them may do. 'owner' has every permission.
+// Permissions are checked per route group with requirePermission().
+const ADMIN_ROLES = ['owner', 'catalog_editor', 'pharmacist', 'marketing'];
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  catalog_editor: ['products:write', 'uploads:write', 'media:read', 'collections:write', 'inventory:manage'],
+  pharmacist: ['products:compliance', 'orders:manage', 'prescriptions:review', 'inventory:manage', 'reviews:moderate'],
+  marketing: ['banners:write', 'uploads:write', 'media:read', 'collections:write', 'reviews:moderate', 'coins:manage', 'promotions:write']
+};
+
+// Product fields that only staff with 'products:compliance' may set
+const PRODUCT_COMPLIANCE_FIELDS = ['directions', 'ingredients', 'requiresPrescription'];
+
+function hasPermission(user, permission) {
+  const permissions = ROLE_PERMISSIONS[user && user.role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+async function hashPassword(password) {
+  return bcrypt.hash(password, 12);
+}
+
+async function verifyPassword(password, passwordHash) {
+  if (!passwordHash) {
+    return false;
+  }
+  return bcrypt.compare(password, passwordHash);
+}
+
+// Public shape of an admin user (never expose password_hash)
+function toAdminUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name || null,
+    role: user.role,
+    permissions: ROLE_PERMISSIONS[user.role] || [],
+    is_active: user.is_active,
+    last_login_at: user.last_login_at || null,
+    created_at: user.created_at
+  };
+}
+
+// Create the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD when the
+// admin_users table is still empty. Replaces the credentials that used to be
+// hardcoded in the login route.
+async function ensureBootstrapAdmin() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    return;
+  }
+
+  const { count, error } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true });
+
+  if (error) {
+    console.error('Error checking admin users:', error);
+    return;
+  }
+
+  if (count > 0) {
+    return;
+  }
+
+  const { error: insertError } = await supabase
+    .from('admin_users')
+    .insert([{
+      email: email.trim().toLowerCase(),
+      name: 'Administrator',
+      password_hash: await hashPassword(password),
+      role: 'owner',
+      is_active: true
+    }]);
+
+  if (insertError) {
+    console.error('Error creating bootstrap admin:', insertError);
+  } else {
+    console.log(`✓ Bootstrap admin created for ${email}`);
+  }
+}
+
+// Sign an access/refresh token pair for a session.
+// The access token carries the session id so that logout takes effect
+// immediately; the refresh token carries a jti that is rotated on every use.
+function signSessionTokens(user, session, audience = ADMIN_TOKEN_AUDIENCE) {
+  const accessToken = jwt.sign(
+    { sub: user.id, sid: session.id, type: 'access' },
+    JWT_SECRET,
+    { audience, expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+  const refreshToken = jwt.sign(
+    { sub: user.id, sid: session.id, type: 'refresh' },
+    JWT_SECRET,
+    { audience, expiresIn: REFRESH_TOKEN_TTL_SECONDS, jwtid: session.refresh_jti }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+async function createAdminSession(user, req) {
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .insert([{
+      user_id: user.id,
+      refresh_jti: crypto.randomUUID(),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString(),
+      ip: req.ip || null,
+      user_agent: req.get('user-agent') || null
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create session: ${error.message}`);
+  }
+
+  return data;
+}
+
+async function revokeAdminSessions(column, value) {
+  const { error } = await supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq(column, value)
+    .is('revoked_at', null);
+
+  if (error) {
+    throw new Error(`Failed to revoke session: ${error.message}`);
+  }
+}
+
+function isSessionUsable(session) {
+  return session && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+// Middleware: reject requests without a valid admin access token.
+// On success, req.admin holds the authenticated user and req.adminSession the session.
+async function requireAdmin(req, res, next) {
+  try {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET, { audience: ADMIN_TOKEN_AUDIENCE });
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (payload.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const { data: session } = await supabase
+      .from('admin_sessions')
+      .select('*')
+      .eq('id', payload.sid)
+      .maybeSingle();
+
+    if (!isSessionUsable(session) || session.user_id !== payload.sub) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    const { data: user } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('id', payload.sub)
+      .maybeSingle();
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    req.admin = user;
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Middleware factory: allow the request if the admin has ANY of the given permissions.
+// Must run after requireAdmin.
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (permissions.some(permission => hasPermission(req.admin, permission))) {
+      return next();
+    }
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  };
+}
+
+const LOGIN_BODY_SCHEMA = {
+  email: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+};
+
+const REFRESH_TOKEN_BODY_SCHEMA = {
+  refreshToken: { type: 'string', required: true }
+};
+
+// Admin Login endpoint
+app.post('/api/auth/login', validateRequest({ body: LOGIN_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    await ensureBootstrapAdmin();
+
+    const { data: user, error } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('email', String(email).trim().toLowerCase())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    // Same response for unknown email and wrong password
+    const passwordMatches = user ? await verifyPassword(password, user.password_hash) : false;
+    if (!user || !passwordMatches) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (!user.is_active) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    const session = await createAdminSession(user, req);
+
+    await supabase
+      .from('admin_users')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    return res.json({ 
+      success: true, 
+      message: 'Login successful',
+      user: toAdminUser(user),
+      ...signSessionTokens(user, session)
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new token pair (refresh tokens are single-use)
+app.post('/api/auth/refresh', validateRequest({ body: REFRESH_TOKEN_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, JWT_SECRET, { audience: ADMIN_TOKEN_AUDIENCE });
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    if (payload.type !== 'refresh') {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { data: session } = await supabase
+      .from('admin_sessions')
+      .select('*')
+      .eq('id', payload.sid)
+      .maybeSingle();
+
+    if (!isSessionUsable(session)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    // A refresh token that was already rotated is being replayed: kill the session
+    if (session.refresh_jti !== payload.jti) {
+      await revokeAdminSessions('id', session.id);
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    const { data: user } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('id', session.user_id)
+      .maybeSingle();
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    // Rotate the refresh token only if it has not been rotated concurrently
+    const { data: rotated, error } = await supabase
+      .from('admin_sessions')
+      .update({ refresh_jti: crypto.randomUUID(), last_used_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .eq('refresh_jti', payload.jti)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    if (!rotated) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    return res.json({
+      success: true,
+      user: toAdminUser(user),
+      ...signSessionTokens(user, rotated)
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout: revoke the current session (or every session of the user with { all: true })
+app.post('/api/auth/logout', requireAdmin, validateRequest({ body: { all: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    if (req.body.all === true) {
+      await revokeAdminSessions('user_id', req.admin.id);
+    } else {
+      await revokeAdminSessions('id', req.adminSession.id);
+    }
+
+    return res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a refresh token without an access token (e.g. when the access token already expired)
+app.post('/api/auth/revoke', validateRequest({ body: REFRESH_TOKEN_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, JWT_SECRET, { audience: ADMIN_TOKEN_AUDIENCE });
+    } catch (err) {
+      // Expired or invalid tokens are already unusable
+      return res.json({ success: true, message: 'Token revoked' });
+    }
+
+    if (payload.type === 'refresh' && payload.sid) {
+      await revokeAdminSessions('id', payload.sid);
+    }
+
+    return res.json({ success: true, message: 'Token revoked' });
+  } catch (error) {
+    console.error('Revoke error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current admin user
+app.get('/api/auth/me', requireAdmin, (req, res) => {
+  res.json({ success: true, user: toAdminUser(req.admin) });
+});
+
+// ==================== END AUTH ====================
+
+// ==================== STAFF MANAGEMENT API ====================
+
+// Count active owners, so the last one can never be disabled or demoted
+async function countActiveOwners() {
+  const { count, error } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true })
+    .eq('role', 'owner')
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(`Failed to count owners: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+// List staff accounts
+app.get('/api/admin/users', requireAdmin, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('admin_users')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+    }
+
+    return res.json({ users: (data || []).map(toAdminUser), roles: ADMIN_ROLES });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const STAFF_USER_BODY_SCHEMA = {
+  email: { type: 'email', required: true },
+  name: { type: 'string', max: 200 },
+  password: { type: 'string', required: true, min: 8 },
+  role: { type: 'string', required: true, enum: ADMIN_ROLES }
+};
+
+// On update every field is optional
+const STAFF_USER_UPDATE_SCHEMA = {
+  name: STAFF_USER_BODY_SCHEMA.name,
+  password: { type: 'string', min: 8, nullable: false },
+  role: { type: 'string', enum: ADMIN_ROLES, nullable: false }
+};
+
+// Create a staff account
+app.post('/api/admin/users', requireAdmin, requirePermission('users:manage'), validateRequest({ body: STAFF_USER_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+
+    const { data, error } = await supabase
+      .from('admin_users')
+      .insert([{
+        email: String(email).trim().toLowerCase(),
+        name: name || null,
+        password_hash: await hashPassword(password),
+        role,
+        is_active: true
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A user with this email already exists' });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to create user', details: error.message });
+    }
+
+    return res.status(201).json({ user: toAdminUser(data), message: 'User created successfully' });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a staff account (name, role, password)
+app.put('/api/admin/users/:id', requireAdmin, requirePermission('users:manage'), validateRequest({ body: STAFF_USER_UPDATE_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, password } = req.body;
+
+    const { data: user } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name || null;
+
+    if (role !== undefined) {
+      if (user.role === 'owner' && role !== 'owner' && user.is_active && await countActiveOwners() <= 1) {
+        return res.status(409).json({ error: 'Cannot change the role of the last active owner' });
+      }
+      updateData.role = role;
+    }
+
+    if (password !== undefined) {
+      updateData.password_hash = await hashPassword(password);
+    }
+
+    const { data, error } = await supabase
+      .from('admin_users')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to update user', details: error.message });
+    }
+
+    // A new password signs the user out everywhere
+    if (updateData.password_hash) {
+      await revokeAdminSessions('user_id', id);
+    }
+
+    return res.json({ user: toAdminUser(data), message: 'User updated successfully' });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable a staff account and revoke all of its sessions
+app.post('/api/admin/users/:id/disable', requireAdmin, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.admin.id) {
+      return res.status(409).json({ error: 'You cannot disable your own account' });
+    }
+
+    const { data: user } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.role === 'owner' && user.is_active && await countActiveOwners() <= 1) {
+      return res.status(409).json({ error: 'Cannot disable the last active owner' });
+    }
+
+    const { data, error } = await supabase
+      .from('admin_users')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to disable user', details: error.message });
+    }
+
+    await revokeAdminSessions('user_id', id);
+
+    return res.json({ user: toAdminUser(data), message: 'User disabled successfully' });
+  } catch (error) {
+    console.error('Error disabling user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Re-enable a disabled staff account
+app.post('/api/admin/users/:id/enable', requireAdmin, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('admin_users')
+      .update({ is_active: true, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to enable user', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.json({ user: toAdminUser(data), message: 'User enabled successfully' });
+  } catch (error) {
+    console.error('Error enabling user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END STAFF MANAGEMENT API ====================
+
+// ==================== CUSTOMER ACCOUNTS API ====================
+
+// Customer tokens use their own audience and session table, so a customer token
+// is rejected by requireAdmin (and an admin token by requireCustomer)
+const CUSTOMER_TOKEN_AUDIENCE = 'customer';
+
+// One-time codes for email/phone verification and password reset
+const OTP_TTL_SECONDS = 10 * 60;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_INTERVAL_SECONDS = 60;
+const OTP_PURPOSES = ['verify', 'password_reset'];
+const OTP_CHANNELS = ['email', 'phone'];
+
+// How codes are delivered, set explicitly with OTP_SENDER: 'console' (logs the code, for local
+// development only, refused when NODE_ENV=production) or 'webhook' (POSTs
+// { channel, to, purpose, code, message } to OTP_WEBHOOK_URL, e.g. a small function that forwards
+// to an email or SMS provider)
+const OTP_SENDER = process.env.OTP_SENDER || '';
+const OTP_WEBHOOK_URL = process.env.OTP_WEBHOOK_URL || '';
+
+const otpSenders = {
+  console: async ({ channel, to, message }) => {
+    console.log(`[OTP] ${channel} → ${to}: ${message}`);
+  },
+  webhook: async payload => {
+    const response = await fetch(OTP_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTP webhook responded with ${response.status}`);
+    }
+  }
+};
+
+if (!otpSenders[OTP_SENDER]) {
+  throw new Error(`OTP_SENDER must be set to one of: ${Object.keys(otpSenders).join(', ')}`);
+}
+if (OTP_SENDER === 'console' && process.env.NODE_ENV === 'production') {
+  throw new Error('OTP_SENDER=console writes login and reset codes to the logs and cannot be used in production');
+}
+if (OTP_SENDER === 'webhook' && !OTP_WEBHOOK_URL) {
+  throw new Error('OTP_SENDER=webhook requires OTP_WEBHOOK_URL');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Keep digits and a leading +, so "+92 300-1234567" and "+923001234567" match
+function normalizePhone(phone) {
+  const value = String(phone || '').trim();
+  return (value.startsWith('+') ? '+' : '') + value.replace(/\D/g, '');
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function isValidPhone(phone) {
+  return /^\+?[0-9]{7,15}$/.test(phone);
+}
+
+// Which contact a login or password reset request refers to: { channel, column, value } or { error }
+function parseCustomerIdentifier(body) {
+  if (body.email) {
+    const email = normalizeEmail(body.email);
+    return isValidEmail(email) ? { channel: 'email', column: 'email', value: email } : { error: 'A valid email is required' };
+  }
+
+  if (body.phone) {
+    const phone = normalizePhone(body.phone);
+    return isValidPhone(phone) ? { channel: 'phone', column: 'phone', value: phone } : { error: 'A valid phone number is required' };
+  }
+
+  return { error: 'email or phone is required' };
+}
+
+// Public shape of a customer (never expose password_hash)
+function toCustomer(customer) {
+  return {
+    id: customer.id,
+    name: customer.name || null,
+    email: customer.email || null,
+    phone: customer.phone || null,
+    email_verified: Boolean(customer.email_verified_at),
+    phone_verified: Boolean(customer.phone_verified_at),
+    created_at: customer.created_at
+  };
+}
+
+function hashOtpCode(code) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(String(code)).digest('hex');
+}
+
+// Create and send a one-time code. Returns { sent: true } or { error, status } when rate limited.
+async function issueCustomerOtp(customer, purpose, channel) {
+  const destination = customer[channel];
+
+  const { data: recent } = await supabase
+    .from('customer_otps')
+    .select('created_at')
+    .eq('customer_id', customer.id)
+    .eq('purpose', purpose)
+    .eq('channel', channel)
+    .gte('created_at', new Date(Date.now() - OTP_RESEND_INTERVAL_SECONDS * 1000).toISOString())
+    .limit(1);
+
+  if (recent && recent.length > 0) {
+    return { status: 429, error: `Please wait ${OTP_RESEND_INTERVAL_SECONDS} seconds before requesting another code` };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  const { error } = await supabase
+    .from('customer_otps')
+    .insert([{
+      customer_id: customer.id,
+      purpose,
+      channel,
+      destination,
+      code_hash: hashOtpCode(code),
+      attempts: 0,
+      expires_at: new Date(Date.now() + OTP_TTL_SECONDS * 1000).toISOString()
+    }]);
+
+  if (error) {
+    throw new Error(`Failed to create code: ${error.message}`);
+  }
+
+  const message = purpose === 'password_reset'
+    ? `Your password reset code is ${code}. It expires in ${OTP_TTL_SECONDS / 60} minutes.`
+    : `Your verification code is ${code}. It expires in ${OTP_TTL_SECONDS / 60} minutes.`;
+
+  await otpSenders[OTP_SENDER]({ channel, to: destination, purpose, code, message });
+
+  return { sent: true };
+}
+
+// Check a code against the latest one issued for the customer. Consumes it on success.
+async function consumeCustomerOtp(customer, purpose, channel, code) {
+  const { data: otp } = await supabase
+    .from('customer_otps')
+    .select('*')
+    .eq('customer_id', customer.id)
+    .eq('purpose', purpose)
+    .eq('channel', channel)
+    .is('consumed_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  // The code must still be sent to the same address (e.g. the email was not changed since)
+  if (!otp || otp.destination !== customer[channel] || new Date(otp.expires_at) <= new Date() || otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return false;
+  }
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const actual = Buffer.from(hashOtpCode(String(code || '').trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await supabase
+      .from('customer_otps')
+      .update({ attempts: otp.attempts + 1 })
+      .eq('id', otp.id)
+      .eq('attempts', otp.attempts);
+    return false;
+  }
+
+  const { data: consumed } = await supabase
+    .from('customer_otps')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('id', otp.id)
+    .is('consumed_at', null)
+    .select()
+    .maybeSingle();
+
+  return Boolean(consumed);
+}
+
+async function sendVerificationCodes(customer) {
+  for (const channel of OTP_CHANNELS) {
+    if (customer[channel] && !customer[`${channel}_verified_at`]) {
+      try {
+        await issueCustomerOtp(customer, 'verify', channel);
+      } catch (error) {
+        console.error(`Error sending ${channel} verification code:`, error);
+      }
+    }
+  }
+}
+
+async function createCustomerSession(customer, req) {
+  const { data, error } = await supabase
+    .from('customer_sessions')
+    .insert([{
+      customer_id: customer.id,
+      refresh_jti: crypto.randomUUID(),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString(),
+      ip: req.ip || null,
+      user_agent: req.get('user-agent') || null
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create session: ${error.message}`);
+  }
+
+  return data;
+}
+
+async function revokeCustomerSessions(column, value) {
+  const { error } = await supabase
+    .from('customer_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq(column, value)
+    .is('revoked_at', null);
+
+  if (error) {
+    throw new Error(`Failed to revoke session: ${error.message}`);
+  }
+}
+
+// Resolve a customer access token to { customer, session } or { error }
+async function authenticateCustomer(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { audience: CUSTOMER_TOKEN_AUDIENCE });
+  } catch (err) {
+    return { error: 'Invalid or expired token' };
+  }
+
+  if (payload.type !== 'access') {
+    return { error: 'Invalid or expired token' };
+  }
+
+  const { data: session } = await supabase
+    .from('customer_sessions')
+    .select('*')
+    .eq('id', payload.sid)
+    .maybeSingle();
+
+  if (!isSessionUsable(session) || session.customer_id !== payload.sub) {
+    return { error: 'Session has been revoked' };
+  }
+
+  const { data: customer } = await supabase
+    .from('customers')
+    .select('*')
+    .eq('id', payload.sub)
+    .maybeSingle();
+
+  if (!customer || !customer.is_active) {
+    return { error: 'Account is disabled' };
+  }
+
+  return { customer, session };
+}
+
+// Middleware: reject requests without a valid customer access token.
+// On success, req.customer holds the customer and req.customerSession the session.
+async function requireCustomer(req, res, next) {
+  try {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const result = await authenticateCustomer(token);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    req.customer = result.customer;
+    req.customerSession = result.session;
+    next();
+  } catch (error) {
+    console.error('Customer auth middleware error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Middleware: like requireCustomer, but guests (no Authorization header) may continue
+async function optionalCustomer(req, res, next) {
+  if (!req.get('authorization')) {
+    return next();
+  }
+  return requireCustomer(req, res, next);
+}
+
+// Middleware for public content that is only tailored to customers: a valid customer token sets
+// req.customer, anything else (no header, an expired or admin token) continues as a guest
+async function identifyCustomer(req, res, next) {
+  try {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+      const result = await authenticateCustomer(token);
+      if (!result.error) {
+        req.customer = result.customer;
+        req.customerSession = result.session;
+      }
+    }
+  } catch (error) {
+    console.error('Customer auth middleware error:', error);
+  }
+  next();
+}
+
+const PHONE_RULE = {
+  type: 'string',
+  check: value => isValidPhone(normalizePhone(value)) ? null : 'phone must be a valid phone number'
+};
+
+// Login, password reset and registration take an email or a phone number (or both)
+const CUSTOMER_IDENTIFIER_SCHEMA = {
+  email: { type: 'email' },
+  phone: PHONE_RULE
+};
+
+const CUSTOMER_REGISTER_BODY_SCHEMA = {
+  ...CUSTOMER_IDENTIFIER_SCHEMA,
+  name: { type: 'string', max: 200 },
+  password: { type: 'string', required: true, min: 8 }
+};
+
+const CUSTOMER_LOGIN_BODY_SCHEMA = {
+  ...CUSTOMER_IDENTIFIER_SCHEMA,
+  password: { type: 'string', required: true }
+};
+
+const PASSWORD_RESET_BODY_SCHEMA = {
+  ...CUSTOMER_IDENTIFIER_SCHEMA,
+  code: { type: 'string', required: true },
+  password: { type: 'string', required: true, min: 8 }
+};
+
+const OTP_CHANNEL_RULE = { type: 'string', required: true, enum: OTP_CHANNELS };
+
+const ACCOUNT_BODY_SCHEMA = {
+  ...CUSTOMER_IDENTIFIER_SCHEMA,
+  name: CUSTOMER_REGISTER_BODY_SCHEMA.name
+};
+
+const ACCOUNT_PASSWORD_BODY_SCHEMA = {
+  currentPassword: { type: 'string', required: true },
+  newPassword: { type: 'string', required: true, min: 8 }
+};
+
+// Register with email and/or phone. Verification codes are sent to both.
+app.post('/api/customers/register', validateRequest({ body: CUSTOMER_REGISTER_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    const email = req.body.email ? normalizeEmail(req.body.email) : null;
+    const phone = req.body.phone ? normalizePhone(req.body.phone) : null;
+
+    if (!email && !phone) {
+      return sendValidationError(res, { email: 'email or phone is required' });
+    }
+
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .insert([{
+        name: name ? String(name).trim() : null,
+        email,
+        phone,
+        password_hash: await hashPassword(password),
+        is_active: true
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'An account with this email or phone already exists' });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    await sendVerificationCodes(customer);
+    const session = await createCustomerSession(customer, req);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Account created. Check your email or phone for a verification code.',
+      customer: toCustomer(customer),
+      ...signSessionTokens(customer, session, CUSTOMER_TOKEN_AUDIENCE)
+    });
+  } catch (error) {
+    console.error('Customer registration error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Customer login with { email | phone, password }. With an X-Cart-Token header the guest cart is
+// merged into the account (see mergeGuestCart) and the customer's cart is returned.
+app.post('/api/customers/login', validateRequest({ body: CUSTOMER_LOGIN_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const identifier = parseCustomerIdentifier(req.body);
+    if (identifier.error) {
+      return sendValidationError(res, { email: identifier.error });
+    }
+
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .select('*')
+      .eq(identifier.column, identifier.value)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    // Same response for unknown account and wrong password
+    const passwordMatches = customer ? await verifyPassword(req.body.password, customer.password_hash) : false;
+    if (!customer || !passwordMatches) {
+      return res.status(401).json({ error: 'Invalid login details' });
+    }
+
+    if (!customer.is_active) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    const session = await createCustomerSession(customer, req);
+
+    await supabase
+      .from('customers')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', customer.id);
+
+    // A cart that cannot be merged never fails the login
+    let cart = null;
+    const cartToken = req.get('x-cart-token');
+    if (cartToken) {
+      try {
+        cart = await mergeGuestCart(customer, cartToken);
+      } catch (mergeError) {
+        console.error('Error merging guest cart:', mergeError);
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: 'Login successful',
+      customer: toCustomer(customer),
+      ...signSessionTokens(customer, session, CUSTOMER_TOKEN_AUDIENCE),
+      ...(cart ? { cart: toCartResponse(cart, await priceCart(cart)) } : {})
+    });
+  } catch (error) {
+    console.error('Customer login error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new token pair (refresh tokens are single-use)
+app.post('/api/customers/refresh', validateRequest({ body: REFRESH_TOKEN_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, JWT_SECRET, { audience: CUSTOMER_TOKEN_AUDIENCE });
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    if (payload.type !== 'refresh') {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { data: session } = await supabase
+      .from('customer_sessions')
+      .select('*')
+      .eq('id', payload.sid)
+      .maybeSingle();
+
+    if (!isSessionUsable(session)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    // A refresh token that was already rotated is being replayed: kill the session
+    if (session.refresh_jti !== payload.jti) {
+      await revokeCustomerSessions('id', session.id);
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    const { data: customer } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('id', session.customer_id)
+      .maybeSingle();
+
+    if (!customer || !customer.is_active) {
+      return res.status(401).json({ error: 'Account is disabled' });
+    }
+
+    const { data: rotated, error } = await supabase
+      .from('customer_sessions')
+      .update({ refresh_jti: crypto.randomUUID(), last_used_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .eq('refresh_jti', payload.jti)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    if (!rotated) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    return res.json({
+      success: true,
+      customer: toCustomer(customer),
+      ...signSessionTokens(customer, rotated, CUSTOMER_TOKEN_AUDIENCE)
+    });
+  } catch (error) {
+    console.error('Customer refresh error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout: revoke the current session (or every session of the customer with { all: true })
+app.post('/api/customers/logout', requireCustomer, validateRequest({ body: { all: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    if (req.body.all === true) {
+      await revokeCustomerSessions('customer_id', req.customer.id);
+    } else {
+      await revokeCustomerSessions('id', req.customerSession.id);
+    }
+
+    return res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Customer logout error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send (or resend) a verification code. Body: { channel: 'email' | 'phone' }
+app.post('/api/customers/verify/send', requireCustomer, validateRequest({ body: { channel: OTP_CHANNEL_RULE } }), async (req, res) => {
+  try {
+    const { channel } = req.body;
+
+    if (!req.customer[channel]) {
+      return sendValidationError(res, { channel: `channel: your account has no ${channel}` });
+    }
+
+    if (req.customer[`${channel}_verified_at`]) {
+      return res.status(409).json({ error: `Your ${channel} is already verified` });
+    }
+
+    const result = await issueCustomerOtp(req.customer, 'verify', channel);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.json({ success: true, message: 'Verification code sent' });
+  } catch (error) {
+    console.error('Error sending verification code:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email or phone with the code that was sent. Body: { channel, code }
+app.post('/api/customers/verify', requireCustomer, validateRequest({ body: { channel: OTP_CHANNEL_RULE, code: { type: 'string', required: true } } }), async (req, res) => {
+  try {
+    const { channel, code } = req.body;
+
+    if (!(await consumeCustomerOtp(req.customer, 'verify', channel, code))) {
+      return res.status(400).json({ error: 'Invalid or expired code', code: 'invalid_code' });
+    }
+
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .update({ [`${channel}_verified_at`]: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', req.customer.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    return res.json({ success: true, message: `Your ${channel} has been verified`, customer: toCustomer(customer) });
+  } catch (error) {
+    console.error('Error verifying customer:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a password reset. Always answers the same way so accounts cannot be discovered.
+app.post('/api/customers/password/forgot', validateRequest({ body: CUSTOMER_IDENTIFIER_SCHEMA }), async (req, res) => {
+  try {
+    const identifier = parseCustomerIdentifier(req.body);
+    if (identifier.error) {
+      return sendValidationError(res, { email: identifier.error });
+    }
+
+    const { data: customer } = await supabase
+      .from('customers')
+      .select('*')
+      .eq(identifier.column, identifier.value)
+      .maybeSingle();
+
+    if (customer && customer.is_active) {
+      await issueCustomerOtp(customer, 'password_reset', identifier.channel);
+    }
+
+    return res.json({ success: true, message: 'If an account exists, a reset code has been sent' });
+  } catch (error) {
+    console.error('Error starting password reset:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish a password reset. Body: { email | phone, code, password }. Signs out every session.
+app.post('/api/customers/password/reset', validateRequest({ body: PASSWORD_RESET_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const identifier = parseCustomerIdentifier(req.body);
+    const { code, password } = req.body;
+
+    if (identifier.error) {
+      return sendValidationError(res, { email: identifier.error });
+    }
+
+    const { data: customer } = await supabase
+      .from('customers')
+      .select('*')
+      .eq(identifier.column, identifier.value)
+      .maybeSingle();
+
+    if (!customer || !customer.is_active || !(await consumeCustomerOtp(customer, 'password_reset', identifier.channel, code))) {
+      return res.status(400).json({ error: 'Invalid or expired code', code: 'invalid_code' });
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('customers')
+      .update({
+        password_hash: await hashPassword(password),
+        // Receiving the code proves the customer owns this email or phone
+        [`${identifier.channel}_verified_at`]: customer[`${identifier.channel}_verified_at`] || now,
+        updated_at: now
+      })
+      .eq('id', customer.id);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    await revokeCustomerSessions('customer_id', customer.id);
+
+    return res.json({ success: true, message: 'Password has been reset, please log in again' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current customer profile
+app.get('/api/account', requireCustomer, (req, res) => {
+  res.json({ customer: toCustomer(req.customer) });
+});
+
+// Update the profile. Changing the email or phone requires verifying it again.
+app.put('/api/account', requireCustomer, validateRequest({ body: ACCOUNT_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) updateData.name = name ? String(name).trim() : null;
+
+    if (req.body.email !== undefined) {
+      const email = req.body.email ? normalizeEmail(req.body.email) : null;
+      if (email !== req.customer.email) {
+        updateData.email = email;
+        updateData.email_verified_at = null;
+      }
+    }
+
+    if (req.body.phone !== undefined) {
+      const phone = req.body.phone ? normalizePhone(req.body.phone) : null;
+      if (phone !== req.customer.phone) {
+        updateData.phone = phone;
+        updateData.phone_verified_at = null;
+      }
+    }
+
+    const email = 'email' in updateData ? updateData.email : req.customer.email;
+    const phone = 'phone' in updateData ? updateData.phone : req.customer.phone;
+    if (!email && !phone) {
+      return sendValidationError(res, { email: 'An account needs an email or a phone number' });
+    }
+
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .update(updateData)
+      .eq('id', req.customer.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'An account with this email or phone already exists' });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to update profile', details: error.message });
+    }
+
+    await sendVerificationCodes(customer);
+
+    return res.json({ customer: toCustomer(customer), message: 'Profile updated successfully' });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the password. Other sessions are signed out.
+app.put('/api/account/password', requireCustomer, validateRequest({ body: ACCOUNT_PASSWORD_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await verifyPassword(currentPassword, req.customer.password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const { error } = await supabase
+      .from('customers')
+      .update({ password_hash: await hashPassword(newPassword), updated_at: new Date().toISOString() })
+      .eq('id', req.customer.id);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to change password', details: error.message });
+    }
+
+    await supabase
+      .from('customer_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('customer_id', req.customer.id)
+      .neq('id', req.customerSession.id)
+      .is('revoked_at', null);
+
+    return res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Saved address in the same shape as the checkout shippingAddress
+function toCustomerAddress(address) {
+  return {
+    id: address.id,
+    label: address.label,
+    fullName: address.full_name,
+    phone: address.phone,
+    line1: address.line1,
+    line2: address.line2,
+    city: address.city,
+    province: address.province,
+    postalCode: address.postal_code,
+    country: address.country,
+    isDefault: address.is_default
+  };
+}
+
+// Checkout shippingAddress, and the fields of a saved address
+const SHIPPING_ADDRESS_SCHEMA = {
+  fullName: { type: 'string', required: true, max: 200 },
+  phone: { type: 'string', required: true, max: 30 },
+  line1: { type: 'string', required: true, max: 200 },
+  line2: { type: 'string', max: 200 },
+  city: { type: 'string', required: true, max: 100 },
+  province: { type: 'string', max: 100 },
+  postalCode: { type: 'string', max: 20 },
+  country: { type: 'string', max: 100 }
+};
+
+const ADDRESS_BODY_SCHEMA = {
+  ...SHIPPING_ADDRESS_SCHEMA,
+  label: { type: 'string', max: 50 },
+  isDefault: { type: 'boolean' }
+};
+
+// Map a request body (checkout shippingAddress fields + label) to address columns
+function toAddressRow(body) {
+  const row = {};
+  if (body.label !== undefined) row.label = body.label || null;
+  if (body.fullName !== undefined) row.full_name = body.fullName;
+  if (body.phone !== undefined) row.phone = body.phone;
+  if (body.line1 !== undefined) row.line1 = body.line1;
+  if (body.line2 !== undefined) row.line2 = body.line2 || null;
+  if (body.city !== undefined) row.city = body.city;
+  if (body.province !== undefined) row.province = body.province || null;
+  if (body.postalCode !== undefined) row.postal_code = body.postalCode || null;
+  if (body.country !== undefined) row.country = body.country || 'Pakistan';
+  return row;
+}
+
+// Only one default address per customer
+async function clearDefaultAddress(customerId) {
+  await supabase
+    .from('customer_addresses')
+    .update({ is_default: false })
+    .eq('customer_id', customerId)
+    .eq('is_default', true);
+}
+
+// List saved addresses, default first
+app.get('/api/account/addresses', requireCustomer, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .select('*')
+      .eq('customer_id', req.customer.id)
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch addresses', details: error.message });
+    }
+
+    return res.json({ addresses: (data || []).map(toCustomerAddress) });
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save a new address. The first address becomes the default.
+app.post('/api/account/addresses', requireCustomer, validateRequest({ body: ADDRESS_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { count } = await supabase
+      .from('customer_addresses')
+      .select('id', { count: 'exact', head: true })
+      .eq('customer_id', req.customer.id);
+
+    const isDefault = req.body.isDefault === true || !count;
+    if (isDefault) {
+      await clearDefaultAddress(req.customer.id);
+    }
+
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .insert([{
+        country: 'Pakistan',
+        ...toAddressRow(req.body),
+        customer_id: req.customer.id,
+        is_default: isDefault
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to save address', details: error.message });
+    }
+
+    return res.status(201).json({ address: toCustomerAddress(data), message: 'Address saved successfully' });
+  } catch (error) {
+    console.error('Error saving address:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a saved address (send isDefault: true to make it the default)
+app.put('/api/account/addresses/:id', requireCustomer, validateRequest({ body: toUpdateSchema(ADDRESS_BODY_SCHEMA) }), async (req, res) => {
+  try {
+    const updateData = { ...toAddressRow(req.body), updated_at: new Date().toISOString() };
+
+    const { data: existing } = await supabase
+      .from('customer_addresses')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('customer_id', req.customer.id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    if (req.body.isDefault === true) {
+      await clearDefaultAddress(req.customer.id);
+      updateData.is_default = true;
+    }
+
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .update(updateData)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to update address', details: error.message });
+    }
+
+    return res.json({ address: toCustomerAddress(data), message: 'Address updated successfully' });
+  } catch (error) {
+    console.error('Error updating address:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a saved address. If it was the default, the oldest remaining address takes over.
+app.delete('/api/account/addresses/:id', requireCustomer, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('customer_id', req.customer.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete address', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    if (data.is_default) {
+      const { data: next } = await supabase
+        .from('customer_addresses')
+        .select('id')
+        .eq('customer_id', req.customer.id)
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (next) {
+        await supabase.from('customer_addresses').update({ is_default: true }).eq('id', next.id);
+      }
+    }
+
+    return res.json({ message: 'Address deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Order history of the logged-in customer, newest first
+app.get('/api/account/orders', requireCustomer, validateRequest({ query: PAGINATION_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 20, 100);
+
+    const { data, error, count } = await supabase
+      .from('orders')
+      .select('*', { count: 'exact' })
+      .eq('customer_id', req.customer.id)
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch orders', details: error.message });
+    }
+
+    return res.json({ orders: data || [], pagination: buildPagination(req, { page, limit }, count || 0) });
+  } catch (error) {
+    console.error('Error fetching customer orders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One order of the logged-in customer with items and status history
+app.get('/api/account/orders/:orderNumber', requireCustomer, async (req, res) => {
+  try {
+    const { data: order } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('order_number', req.params.orderNumber)
+      .eq('customer_id', req.customer.id)
+      .maybeSingle();
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    return res.json({ order: toCustomerOrder(await getOrderDetail(order)) });
+  } catch (error) {
+    console.error('Error fetching customer order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END CUSTOMER ACCOUNTS API ====================
+
+// ==================== UPLOAD VALIDATION ====================
+
+// Uploads are identified by their leading bytes; the client-supplied MIME type and file name are
+// never trusted. Stored files get the extension and content type of the detected type.
+const FILE_SIGNATURES = [
+  { type: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg', matches: buffer => startsWithBytes(buffer, [0xFF, 0xD8, 0xFF]) },
+  { type: 'png', mimeType: 'image/png', extension: '.png', matches: buffer => startsWithBytes(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { type: 'gif', mimeType: 'image/gif', extension: '.gif', matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)) },
+  {
+    type: 'webp',
+    mimeType: 'image/webp',
+    extension: '.webp',
+    matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  },
+  { type: 'avif', mimeType: 'image/avif', extension: '.avif', matches: buffer => hasFileTypeBrand(buffer, ['avif', 'avis']) },
+  { type: 'mov', mimeType: 'video/quicktime', extension: '.mov', matches: buffer => hasFileTypeBrand(buffer, ['qt  ']) },
+  {
+    type: 'mp4',
+    mimeType: 'video/mp4',
+    extension: '.mp4',
+    matches: buffer => hasFileTypeBrand(buffer, ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'MSNV', 'dash'])
+  },
+  { type: 'pdf', mimeType: 'application/pdf', extension: '.pdf', matches: buffer => buffer.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+// Detected types accepted by each upload endpoint
+const UPLOAD_ALLOWED_TYPES = {
+  image: ['jpeg', 'png', 'gif', 'webp', 'avif'],
+  video: ['mp4', 'mov'],
+  prescription: ['jpeg', 'png', 'webp', 'pdf']
+};
+const IMAGE_TYPES = UPLOAD_ALLOWED_TYPES.image;
+// Largest accepted image side, in pixels (also guards against decompression bombs)
+const MAX_IMAGE_DIMENSION = 8000;
+const MAX_VIDEO_DURATION_SECONDS = 180;
+
+function startsWithBytes(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+// ISO base media files (MP4, QuickTime, AVIF) start with an `ftyp` box listing their brands
+function hasFileTypeBrand(buffer, brands) {
+  if (buffer.length < 12 || buffer.toString('latin1', 4, 8) !== 'ftyp') {
+    return false;
+  }
+
+  const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const fileBrands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+    fileBrands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  return fileBrands.some(brand => brands.includes(brand));
+}
+
+// The detected type of a buffer (an entry of FILE_SIGNATURES), or null
+function detectFileType(buffer) {
+  return FILE_SIGNATURES.find(signature => signature.matches(buffer)) || null;
+}
+
+// Duration in seconds of an MP4/QuickTime file, read from its movie header (moov → mvhd), or null
+function getMp4Duration(buffer) {
+  const findBox = (start, end, type) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      let headerSize = 8;
+      if (size === 1) {
+        if (offset + 16 > end) return null;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+
+      if (size < headerSize) return null;
+      if (buffer.toString('latin1', offset + 4, offset + 8) === type) {
+        return { start: offset + headerSize, end: Math.min(offset + size, end) };
+      }
+      offset += size;
+    }
+    return null;
+  };
+
+  const moov = findBox(0, buffer.length, 'moov');
+  const mvhd = moov && findBox(moov.start, moov.end, 'mvhd');
+  if (!mvhd) {
+    return null;
+  }
+
+  // Version 1 headers use 64-bit creation/modification times and duration
+  const isVersion1 = buffer[mvhd.start] === 1;
+  if (mvhd.start + (isVersion1 ? 32 : 20) > mvhd.end) {
+    return null;
+  }
+
+  const timescale = buffer.readUInt32BE(mvhd.start + (isVersion1 ? 20 : 12));
+  const duration = isVersion1 ? Number(buffer.readBigUInt64BE(mvhd.start + 24)) : buffer.readUInt32BE(mvhd.start + 16);
+  return timescale ? duration / timescale : null;
+}
+
+function looksLikeSvg(buffer) {
+  return /<svg[\s>]/i.test(buffer.toString('utf8', 0, Math.min(buffer.length, 4096)));
+}
+
+// Check an uploaded file against the allowlist of `kind` (see UPLOAD_ALLOWED_TYPES) and its
+// dimension / duration limits. Returns { fileType } or { error }.
+async function validateUpload(file, kind) {
+  const fileType = detectFileType(file.buffer);
+  const allowed = UPLOAD_ALLOWED_TYPES[kind];
+
+  if (!fileType || !allowed.includes(fileType.type)) {
+    if (looksLikeSvg(file.buffer)) {
+      return { error: `${file.originalname}: SVG files are not allowed, upload a PNG, JPEG or WebP image` };
+    }
+    return { error: `${file.originalname}: unsupported file type, allowed types are ${allowed.join(', ')}` };
+  }
+
+  if (IMAGE_TYPES.includes(fileType.type)) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+      return { error: `${file.originalname}: the image is corrupt` };
+    }
+
+    if (!metadata.width || !metadata.height) {
+      return { error: `${file.originalname}: the image dimensions cannot be read` };
+    }
+
+    if (metadata.width > MAX_IMAGE_DIMENSION || metadata.height > MAX_IMAGE_DIMENSION) {
+      return {
+        error: `${file.originalname}: the image is ${metadata.width}x${metadata.height}px, at most ${MAX_IMAGE_DIMENSION}px per side is allowed`
+      };
+    }
+  }
+
+  if (UPLOAD_ALLOWED_TYPES.video.includes(fileType.type)) {
+    const duration = getMp4Duration(file.buffer);
+    if (duration === null) {
+      return { error: `${file.originalname}: the video duration cannot be read` };
+    }
+
+    if (duration > MAX_VIDEO_DURATION_SECONDS) {
+      return {
+        error: `${file.originalname}: the video is ${Math.round(duration)} seconds long, at most ${MAX_VIDEO_DURATION_SECONDS} seconds is allowed`
+      };
+    }
+  }
+
+  return { fileType };
+}
+
+// Middleware run after multer: the upload `field` must hold at least one file, and every file must
+// pass validateUpload. Sets file.fileType (the detected type) on each file; rejected files get a 422
+// response keyed by field ("images[2]" for multi-file uploads).
+function validateUploadedFiles(field, kind) {
+  return async (req, res, next) => {
+    try {
+      const files = req.files || (req.file ? [req.file] : []);
+      if (files.length === 0) {
+        return sendValidationError(res, { [field]: `${field} is required` });
+      }
+
+      // Check every file first so nothing is stored when one of them is rejected
+      const fields = {};
+      for (const [index, file] of files.entries()) {
+        const { fileType, error } = await validateUpload(file, kind);
+        if (error) {
+          fields[req.files ? `${field}[${index}]` : field] = error;
+        }
+        file.fileType = fileType;
+      }
+
+      return Object.keys(fields).length > 0 ? sendValidationError(res, fields) : next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// ==================== END UPLOAD VALIDATION ====================
+
+// ==================== IMAGE PROCESSING ====================
+
+// Every uploaded image is auto-oriented, stripped of its metadata (EXIF, GPS...) and re-encoded
+// into responsive renditions. Sizes are maximum widths; smaller images are never enlarged.
+const IMAGE_RENDITION_SIZES = {
+  thumbnail: 160,
+  card: 480,
+  zoom: 1600
+};
+const IMAGE_OUTPUT_FORMATS = (process.env.IMAGE_OUTPUT_FORMATS || 'webp,avif')
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(format => ['webp', 'avif'].includes(format));
+const IMAGE_ENCODE_OPTIONS = {
+  webp: { quality: 80 },
+  avif: { quality: 50, effort: 4 }
+};
+// Width of the blurred placeholder inlined as a data URI
+const IMAGE_PLACEHOLDER_WIDTH = 16;
+
+if (IMAGE_OUTPUT_FORMATS.length === 0) {
+  IMAGE_OUTPUT_FORMATS.push('webp');
+}
+
+// Decode, orient and encode an image buffer. Returns { width, height, placeholder, renditions }
+// where every rendition is { name, format, width, height, size, buffer }, or null when the
+// buffer is not a decodable image.
+async function processImage(buffer) {
+  let source;
+  try {
+    // rotate() without arguments applies the EXIF orientation; sharp drops all metadata on output
+    source = await sharp(buffer, { failOn: 'error' }).rotate().toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    return null;
+  }
+
+  const renditions = [];
+  for (const [name, maxWidth] of Object.entries(IMAGE_RENDITION_SIZES)) {
+    for (const format of IMAGE_OUTPUT_FORMATS) {
+      const { data, info } = await sharp(source.data)
+        .resize({ width: maxWidth, withoutEnlargement: true })
+        .toFormat(format, IMAGE_ENCODE_OPTIONS[format])
+        .toBuffer({ resolveWithObject: true });
+
+      renditions.push({ name, format, width: info.width, height: info.height, size: info.size, buffer: data });
+    }
+  }
+
+  const placeholder = await sharp(source.data)
+    .resize({ width: IMAGE_PLACEHOLDER_WIDTH })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width: source.info.width,
+    height: source.info.height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    renditions
+  };
+}
+
+// Process an uploaded image and store every rendition under `${folder}/<id>/`.
+// Returns { image } (the rendition set saved on product and banner records) or { error }.
+async function uploadImageRenditions(file, bucket, folder) {
+  const processed = await processImage(file.buffer);
+  if (!processed) {
+    return { error: `${file.originalname} is not a supported image or is corrupt` };
+  }
+
+  const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const uploaded = [];
+
+  try {
+    for (const rendition of processed.renditions) {
+      const result = await uploadBufferToStorage(
+        rendition.buffer,
+        bucket,
+        `${folder}/${id}/${rendition.name}.${rendition.format}`,
+        `image/${rendition.format}`
+      );
+      uploaded.push({
+        name: rendition.name,
+        format: rendition.format,
+        width: rendition.width,
+        height: rendition.height,
+        size: rendition.size,
+        url: result.publicUrl,
+        path: result.path
+      });
+    }
+  } catch (error) {
+    // Do not leave half a rendition set behind
+    for (const rendition of uploaded) {
+      await deleteFromStorage(rendition.path, bucket);
+    }
+    throw error;
+  }
+
+  // The largest WebP rendition is the plain URL for clients that ignore renditions
+  const primary = [...uploaded].reverse().find(rendition => rendition.format === 'webp') || uploaded[uploaded.length - 1];
+
+  return {
+    image: {
+      id,
+      url: primary.url,
+      width: processed.width,
+      height: processed.height,
+      placeholder: processed.placeholder,
+      renditions: uploaded
+    }
+  };
+}
+
+// Validate rendition sets sent back on product/banner bodies (as returned by the upload endpoints).
+// Returns an error message or null.
+function validateImageRenditions(sets, field) {
+  if (!Array.isArray(sets)) {
+    return `${field} must be an array`;
+  }
+
+  const invalid = sets.some(set => !set || typeof set !== 'object' || typeof set.url !== 'string' ||
+    !Array.isArray(set.renditions) || set.renditions.some(rendition => !rendition || typeof rendition.url !== 'string'));
+
+  return invalid ? `${field} must contain rendition sets returned by the image upload endpoints` : null;
+}
+
+// Remove every stored rendition of the given sets
+async function deleteImageRenditions(sets, bucket) {
+  for (const set of sets || []) {
+    for (const rendition of set.renditions || []) {
+      await deleteFromStorage(rendition.path || rendition.url, bucket);
+    }
+  }
+}
+
+// ==================== END IMAGE PROCESSING ====================
+
+// Helper function to upload a file to storage.
+// fileType is the detected type from validateUpload: it sets the extension and content type.
+async function uploadToStorage(file, bucket, folder, fileType) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const fileName = folder ? `${folder}/${uniqueSuffix}${fileType.extension}` : `${uniqueSuffix}${fileType.extension}`;
+
+  return uploadBufferToStorage(file.buffer, bucket, fileName, fileType.mimeType);
+}
+
+// Upload a buffer to an exact path in storage
+async function uploadBufferToStorage(buffer, bucket, fileName, contentType) {
+  const storedPath = await storage.upload(bucket, fileName, buffer, contentType);
+
+  return {
+    path: storedPath,
+    publicUrl: storage.getPublicUrl(bucket, storedPath),
+    fileName: fileName
+  };
+}
+
+// Files of these buckets are never public, only reachable through signed URLs.
+// Case-insensitive, as paths are on some filesystems.
+function isPrivateBucket(bucket) {
+  return bucket.toLowerCase() === PRESCRIPTIONS_BUCKET.toLowerCase();
+}
+
+// Expiring URL to a file of a private bucket (null when it cannot be created)
+async function createStorageSignedUrl(bucket, filePath, expiresIn) {
+  try {
+    return await storage.createSignedUrl(bucket, filePath, expiresIn);
+  } catch (error) {
+    console.error('Error creating signed URL:', error);
+    return null;
+  }
+}
+
+// Storage path of a file from its public URL (of any backend) or path
+function getStoragePath(filePath, bucket) {
+  const publicPrefix = storage.getPublicUrl(bucket, '');
+  let storagePath = filePath;
+
+  if (filePath.startsWith(publicPrefix)) {
+    storagePath = filePath.substring(publicPrefix.length);
+  } else if (filePath.includes('/storage/v1/object/public/')) {
+    // Supabase Storage URLs format: https://{project}.supabase.co/storage/v1/object/public/{bucket}/{path}
+    const afterPublic = filePath.split('/storage/v1/object/public/')[1];
+    const pathParts = afterPublic.split('/');
+    storagePath = pathParts[0] === bucket ? pathParts.slice(1).join('/') : afterPublic;
+  } else if (filePath.startsWith('http://') || filePath.startsWith('https://')) {
+    // Other URL formats (e.g. an S3 public URL): the path is what follows the bucket prefix
+    const { pathname } = new URL(filePath);
+    const bucketIndex = pathname.indexOf(`/${bucket}/`);
+    storagePath = bucketIndex === -1 ? pathname : pathname.substring(bucketIndex + bucket.length + 2);
+  } else if (filePath.startsWith('/uploads/')) {
+    storagePath = filePath.substring('/uploads/'.length);
+  }
+
+  // Remove leading slash and bucket prefix if present
+  storagePath = storagePath.replace(/^\/+/, '');
+  if (storagePath.startsWith(`${bucket}/`)) {
+    storagePath = storagePath.substring(bucket.length + 1);
+  }
+
+  return storagePath.split('?')[0];
+}
+
+// Whether a URL points to a file of the bucket in the storage backend
+function isStorageUrl(url, bucket) {
+  return url.startsWith(storage.getPublicUrl(bucket, ''));
+}
+
+// Helper function to delete file from storage (public URL or path)
+async function deleteFromStorage(filePath, bucket) {
+  if (!filePath) {
+    return;
+  }
+
+  try {
+    const pathToDelete = getStoragePath(filePath, bucket);
+    if (!pathToDelete || pathToDelete.trim() === '') {
+      console.warn('Empty path to delete, skipping');
+      return;
+    }
+
+    await storage.remove(bucket, [pathToDelete]);
+    console.log(`Successfully deleted file from storage: ${pathToDelete}`);
+  } catch (error) {
+    console.error('Error deleting file from storage:', error);
+  }
+}
+
+// Upload single image (processed into renditions, see IMAGE PROCESSING)
+app.post('/api/upload/image', requireAdmin, requirePermission('uploads:write'), imageUpload.single('image'), validateUploadedFiles('image', 'image'), async (req, res) => {
+  try {
+    const { image, error } = await uploadImageRenditions(req.file, MEDIA_BUCKET, 'images');
+    if (error) {
+      return sendValidationError(res, { image: error });
+    }
+
+    const recordError = await recordMediaAssets([toImageAssetRow(image, req.file, req.file.fileType)], req.admin);
+    if (recordError) {
+      await deleteImageRenditions([image], MEDIA_BUCKET);
+      return res.status(500).json({ error: 'Failed to record upload', details: recordError });
+    }
+
+    // filename and path of the primary rendition, as returned before images had renditions
+    const { path } = image.renditions.find(rendition => rendition.url === image.url);
+    res.json({
+      message: 'Image uploaded successfully',
+      imageUrl: image.url,
+      filename: path,
+      path,
+      image
+    });
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    res.status(500).json({ error: 'Error uploading image', details: error.message });
+  }
+});
+
+// Upload multiple images
+app.post('/api/upload/images', requireAdmin, requirePermission('uploads:write'), imageUpload.array('images', 10), validateUploadedFiles('images', 'image'), async (req, res) => {
+  try {
+    // One at a time: encoding is CPU and memory heavy
+    const images = [];
+    for (const [index, file] of req.files.entries()) {
+      const { image, error } = await uploadImageRenditions(file, MEDIA_BUCKET, 'images');
+      if (error) {
+        await deleteImageRenditions(images, MEDIA_BUCKET);
+        return sendValidationError(res, { [`images[${index}]`]: error });
+      }
+      images.push(image);
+    }
+
+    const recordError = await recordMediaAssets(
+      images.map((image, index) => toImageAssetRow(image, req.files[index], req.files[index].fileType)),
+      req.admin
+    );
+    if (recordError) {
+      await deleteImageRenditions(images, MEDIA_BUCKET);
+      return res.status(500).json({ error: 'Failed to record upload', details: recordError });
+    }
+
+    res.json({
+      message: 'Images uploaded successfully',
+      // Each set keeps the filename and path of its primary rendition, as before images had renditions
+      images: images.map(image => {
+        const { path } = image.renditions.find(rendition => rendition.url === image.url);
+        return { ...image, filename: path, path };
+      })
+    });
+  } catch (error) {
+    console.error('Error uploading images:', error);
+    res.status(500).json({ error: 'Error uploading images', details: error.message });
+  }
+});
+
+// Upload video
+app.post('/api/upload/video', requireAdmin, requirePermission('uploads:write'), videoUpload.single('video'), validateUploadedFiles('video', 'video'), async (req, res) => {
+  try {
+    const { fileType } = req.file;
+    const uploadResult = await uploadToStorage(req.file, MEDIA_BUCKET, 'videos', fileType);
+
+    const recordError = await recordMediaAssets([toVideoAssetRow(uploadResult, req.file, fileType)], req.admin);
+    if (recordError) {
+      await deleteFromStorage(uploadResult.path, MEDIA_BUCKET);
+      return res.status(500).json({ error: 'Failed to record upload', details: recordError });
+    }
+    
+    res.json({
+      message: 'Video uploaded successfully',
+      videoUrl: uploadResult.publicUrl,
+      filename: uploadResult.fileName,
+      path: uploadResult.path
+    });
+  } catch (error) {
+    console.error('Error uploading video:', error);
+    res.status(500).json({ error: 'Error uploading video', details: error.message });
+  }
+});
+
+// ==================== MEDIA LIBRARY ====================
+
+// Every file uploaded through /api/upload/image(s) and /api/upload/video is recorded in
+// media_assets; an image asset covers all of its renditions. Assets are matched by URL to the
+// records using them, so unused uploads can be listed and garbage collected, and media that a
+// product or banner stops using is deleted.
+const MEDIA_BUCKET = 'products';
+const MEDIA_KINDS = ['image', 'video'];
+const MEDIA_STATUSES = ['referenced', 'unreferenced'];
+// Unreferenced assets younger than the grace period are kept by the garbage collector:
+// they may have been uploaded for a form that is not saved yet
+const MEDIA_GC_GRACE_HOURS = parseInt(process.env.MEDIA_GC_GRACE_HOURS || '24', 10);
+const MEDIA_GC_MIN_GRACE_HOURS = 1;
+
+// Records that use media, and the columns holding URLs (string or array) or rendition sets
+// (one set or an array of sets, see IMAGE PROCESSING)
+// Columns holding media URLs: urlColumns (text), urlListColumns (jsonb arrays of URLs), renditionColumns
+// (one rendition set) and renditionListColumns (jsonb arrays of sets). Order lines keep the product image
+// for the order history, so a file stays while any order shows it.
+const MEDIA_REFERENCE_SOURCES = {
+  product: { table: 'products', nameColumn: 'name', urlColumns: ['image', 'video'], urlListColumns: ['images'], renditionColumns: [], renditionListColumns: ['image_renditions'] },
+  product_variant: { table: 'product_variants', nameColumn: 'name', urlColumns: [], urlListColumns: ['images'], renditionColumns: [], renditionListColumns: [] },
+  banner: { table: 'banners', nameColumn: 'title', urlColumns: ['image_url', 'mobile_image_url'], urlListColumns: [], renditionColumns: ['image_renditions', 'mobile_image_renditions'], renditionListColumns: [] },
+  category: { table: 'categories', nameColumn: 'name', urlColumns: ['image_url'], urlListColumns: [], renditionColumns: [], renditionListColumns: [] },
+  brand: { table: 'brands', nameColumn: 'name', urlColumns: ['logo_url'], urlListColumns: [], renditionColumns: [], renditionListColumns: [] },
+  collection: { table: 'collections', nameColumn: 'name', urlColumns: ['image_url'], urlListColumns: [], renditionColumns: [], renditionListColumns: [] },
+  order_item: { table: 'order_items', nameColumn: 'product_name', urlColumns: ['product_image'], urlListColumns: [], renditionColumns: [], renditionListColumns: [] }
+};
+
+// Media URLs of a record as [{ url, field }]
+function getRecordMediaUrls(type, record) {
+  const source = MEDIA_REFERENCE_SOURCES[type];
+  const urls = [];
+
+  for (const field of [...source.urlColumns, ...source.urlListColumns]) {
+    for (const url of [].concat(record[field] || [])) {
+      if (typeof url === 'string' && url) urls.push({ url, field });
+    }
+  }
+
+  for (const field of [...source.renditionColumns, ...source.renditionListColumns]) {
+    for (const set of [].concat(record[field] || [])) {
+      if (!set) continue;
+      if (set.url) urls.push({ url: set.url, field });
+      for (const rendition of set.renditions || []) {
+        if (rendition.url) urls.push({ url: rendition.url, field });
+      }
+    }
+  }
+
+  return urls;
+}
+
+// Rows of a reference source using any of `urls`: one query per text column and, for jsonb
+// columns, one containment query per URL
+async function fetchMediaReferenceRows(source, columns, urls) {
+  const filters = [];
+  for (const column of source.urlColumns) {
+    for (let index = 0; index < urls.length; index += IN_FILTER_CHUNK_SIZE) {
+      const chunk = urls.slice(index, index + IN_FILTER_CHUNK_SIZE);
+      filters.push(query => query.in(column, chunk));
+    }
+  }
+  for (const url of urls) {
+    for (const column of source.urlListColumns) {
+      filters.push(query => query.contains(column, JSON.stringify([url])));
+    }
+    for (const [column, wrap] of [
+      ...source.renditionColumns.map(column => [column, shape => shape]),
+      ...source.renditionListColumns.map(column => [column, shape => [shape]])
+    ]) {
+      filters.push(query => query.contains(column, JSON.stringify(wrap({ url }))));
+      filters.push(query => query.contains(column, JSON.stringify(wrap({ renditions: [{ url }] }))));
+    }
+  }
+
+  const rows = new Map();
+  for (const filter of filters) {
+    for (const row of await fetchAllRows(source.table, columns, ['id'], filter)) {
+      rows.set(row.id, row);
+    }
+  }
+  return [...rows.values()];
+}
+
+// Media URLs used by records, mapped to their users: Map url -> [{ type, id, name, field }]. With
+// `urls`, only the records using one of them are read; otherwise every row of every table (page by
+// page). Returns { references } or { error } when any read fails, so that callers never delete media
+// from a partial view.
+async function findMediaReferences(urls = null) {
+  const references = new Map();
+
+  for (const [type, source] of Object.entries(MEDIA_REFERENCE_SOURCES)) {
+    const columns = ['id', source.nameColumn, ...source.urlColumns, ...source.urlListColumns, ...source.renditionColumns, ...source.renditionListColumns];
+    let rows;
+    try {
+      rows = urls
+        ? await fetchMediaReferenceRows(source, columns.join(', '), urls)
+        : await fetchAllRows(source.table, columns.join(', '), ['id']);
+    } catch (error) {
+      console.error('Supabase error:', error);
+      return { error: error.message };
+    }
+
+    for (const record of rows) {
+      for (const { url, field } of getRecordMediaUrls(type, record)) {
+        if (!references.has(url)) references.set(url, []);
+        references.get(url).push({ type, id: record.id, name: record[source.nameColumn] || null, field });
+      }
+    }
+  }
+
+  return { references };
+}
+
+// Admin shape of an asset with the records using any of its files
+function toMediaAsset(asset, references) {
+  const seen = new Set();
+  const usedBy = [];
+
+  for (const url of asset.urls || []) {
+    for (const reference of references.get(url) || []) {
+      const key = `${reference.type}:${reference.id}:${reference.field}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      usedBy.push(reference);
+    }
+  }
+
+  return { ...asset, references: usedBy, is_referenced: usedBy.length > 0 };
+}
+
+// media_assets rows of uploads
+function toImageAssetRow(image, file, fileType) {
+  return {
+    kind: 'image',
+    url: image.url,
+    urls: image.renditions.map(rendition => rendition.url),
+    paths: image.renditions.map(rendition => rendition.path),
+    mime_type: fileType.mimeType,
+    size: image.renditions.reduce((sum, rendition) => sum + rendition.size, 0),
+    width: image.width,
+    height: image.height,
+    original_name: file.originalname
+  };
+}
+
+function toVideoAssetRow(uploadResult, file, fileType) {
+  return {
+    kind: 'video',
+    url: uploadResult.publicUrl,
+    urls: [uploadResult.publicUrl],
+    paths: [uploadResult.path],
+    mime_type: fileType.mimeType,
+    size: file.size,
+    original_name: file.originalname
+  };
+}
+
+// Record uploads in the media library. Returns an error message or null.
+async function recordMediaAssets(rows, admin) {
+  const { error } = await supabase
+    .from('media_assets')
+    .insert(rows.map(row => ({ ...row, bucket: MEDIA_BUCKET, uploaded_by: admin ? admin.id : null })));
+
+  if (error) {
+    console.error('Supabase error:', error);
+    return error.message;
+  }
+  return null;
+}
+
+// Delete the files of an asset, then its record. Returns an error message or null.
+async function deleteMediaAsset(asset) {
+  try {
+    await storage.remove(asset.bucket, asset.paths);
+  } catch (error) {
+    console.error('Error deleting media files:', error);
+    return error.message;
+  }
+
+  const { error } = await supabase
+    .from('media_assets')
+    .delete()
+    .eq('id', asset.id);
+
+  if (error) {
+    console.error('Supabase error:', error);
+    return error.message;
+  }
+  return null;
+}
+
+// Delete media that a record stopped using (replaced on update, or the record was deleted),
+// unless another record still uses it. Call after the record is saved.
+async function releaseMedia(urls) {
+  const candidates = [...new Set(urls.filter(Boolean))];
+  if (candidates.length === 0) {
+    return;
+  }
+
+  const { data: assets, error: assetsError } = await supabase
+    .from('media_assets')
+    .select('*')
+    .overlaps('urls', candidates);
+
+  if (assetsError) {
+    console.error('Error releasing media:', assetsError);
+    return;
+  }
+
+  // An image is kept while any of its renditions is still used: look up all of them
+  const assetUrls = (assets || []).flatMap(asset => asset.urls);
+  const { references, error } = await findMediaReferences([...new Set([...candidates, ...assetUrls])]);
+  if (error) {
+    // Never delete files when it is unknown whether they are used
+    console.error('Error releasing media:', error);
+    return;
+  }
+
+  for (const asset of assets || []) {
+    if (asset.urls.some(url => references.has(url))) continue;
+    await deleteMediaAsset(asset);
+  }
+
+  // Uploads from before the media library are not recorded: delete their file directly
+  const recorded = new Set(assetUrls);
+  for (const url of candidates) {
+    if (!recorded.has(url) && !references.has(url) && isStorageUrl(url, MEDIA_BUCKET)) {
+      await deleteFromStorage(url, MEDIA_BUCKET);
+    }
+  }
+}
+
+const MEDIA_LIST_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  kind: { type: 'string', enum: MEDIA_KINDS },
+  status: { type: 'string', enum: MEDIA_STATUSES }
+};
+
+const MEDIA_GC_BODY_SCHEMA = {
+  dryRun: { type: 'boolean' },
+  graceHours: { type: 'number', min: MEDIA_GC_MIN_GRACE_HOURS }
+};
+
+// List uploaded media with where each asset is used (admin)
+// Query: kind (image|video), status (referenced|unreferenced), page, limit
+app.get('/api/admin/media', requireAdmin, requirePermission('media:read'), validateRequest({ query: MEDIA_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const { kind, status } = req.query;
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 50, 100);
+
+    let data;
+    try {
+      data = await fetchAllRows('media_assets', '*', ['created_at', 'id'], query => (kind ? query.eq('kind', kind) : query));
+    } catch (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch media', details: error.message });
+    }
+    // Newest first
+    data.reverse();
+
+    const { references, error: referencesError } = await findMediaReferences();
+    if (referencesError) {
+      return res.status(500).json({ error: 'Failed to find media references', details: referencesError });
+    }
+
+    // The status depends on every record using media, so it is filtered here
+    let media = data.map(asset => toMediaAsset(asset, references));
+    if (status) media = media.filter(asset => asset.is_referenced === (status === 'referenced'));
+
+    return res.json({
+      media: media.slice((page - 1) * limit, page * limit),
+      pagination: buildPagination(req, { page, limit }, media.length)
+    });
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get one asset with where it is used (admin)
+app.get('/api/admin/media/:id', requireAdmin, requirePermission('media:read'), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const { data: asset, error } = await supabase
+      .from('media_assets')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch media', details: error.message });
+    }
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const { references, error: referencesError } = await findMediaReferences(asset.urls || []);
+    if (referencesError) {
+      return res.status(500).json({ error: 'Failed to find media references', details: referencesError });
+    }
+
+    return res.json({ media: toMediaAsset(asset, references) });
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an unused asset and its files (admin). Assets still in use are refused with 409.
+app.delete('/api/admin/media/:id', requireAdmin, requirePermission('media:manage'), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const { data: asset, error } = await supabase
+      .from('media_assets')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch media', details: error.message });
+    }
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const { references, error: referencesError } = await findMediaReferences(asset.urls || []);
+    if (referencesError) {
+      return res.status(500).json({ error: 'Failed to find media references', details: referencesError });
+    }
+
+    const media = toMediaAsset(asset, references);
+    if (media.is_referenced) {
+      return res.status(409).json({ error: 'Media is still in use', code: 'media_in_use', details: { references: media.references } });
+    }
+
+    const deleteError = await deleteMediaAsset(asset);
+    if (deleteError) {
+      return res.status(500).json({ error: 'Failed to delete media', details: deleteError });
+    }
+
+    return res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Garbage collect unused media (admin).
+// Body: { dryRun (default true), graceHours (default MEDIA_GC_GRACE_HOURS) }.
+// A dry run only reports what would be deleted; run it from a scheduler with dryRun: false.
+app.post('/api/admin/media/gc', requireAdmin, requirePermission('media:manage'), validateRequest({ body: MEDIA_GC_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    const graceHours = req.body.graceHours != null ? req.body.graceHours : MEDIA_GC_GRACE_HOURS;
+
+    const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000).toISOString();
+
+    let data;
+    try {
+      data = await fetchAllRows('media_assets', '*', ['created_at', 'id'], query => query.lt('created_at', cutoff));
+    } catch (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch media', details: error.message });
+    }
+
+    const { references, error: referencesError } = await findMediaReferences();
+    if (referencesError) {
+      return res.status(500).json({ error: 'Failed to find media references', details: referencesError });
+    }
+
+    const unused = data.filter(asset => !toMediaAsset(asset, references).is_referenced);
+
+    const deleted = [];
+    const failed = [];
+    for (const asset of unused) {
+      if (dryRun) {
+        deleted.push(asset);
+        continue;
+      }
+
+      const deleteError = await deleteMediaAsset(asset);
+      if (deleteError) {
+        failed.push({ id: asset.id, url: asset.url, error: deleteError });
+      } else {
+        deleted.push(asset);
+      }
+    }
+
+    return res.json({
+      dry_run: dryRun,
+      grace_hours: graceHours,
+      cutoff,
+      count: deleted.length,
+      size: deleted.reduce((sum, asset) => sum + Number(asset.size || 0), 0),
+      media: deleted.map(asset => ({ id: asset.id, kind: asset.kind, url: asset.url, size: asset.size, created_at: asset.created_at })),
+      failed
+    });
+  } catch (error) {
+    console.error('Error collecting media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END MEDIA LIBRARY ====================
+
+// ==================== PRODUCT LISTING QUERY ====================
+
+// Sort options for GET /api/products.
+// 'default' orders by the numeric part of the id (id_number), so prod-2 comes before prod-10.
+const PRODUCT_SORTS = {
+  default: { column: 'id_number', ascending: true },
+  newest: { column: 'created_at', ascending: false },
+  price_asc: { column: 'discountedPrice', ascending: true },
+  price_desc: { column: 'discountedPrice', ascending: false },
+  rating: { column: 'rating', ascending: false },
+  name: { column: 'name', ascending: true }
+};
+
+const PRODUCTS_DEFAULT_LIMIT = 20;
+const PRODUCTS_MAX_LIMIT = 100;
+
+// Numeric part of a prod-N id (null for ids in any other format)
+function getProductIdNumber(id) {
+  const match = /^prod-(\d+)$/.exec(id || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function getDiscountPercent(product) {
+  const original = parseFloat(product.originalPrice);
+  const discounted = parseFloat(product.discountedPrice);
+  if (!original || isNaN(discounted)) {
+    return 0;
+  }
+  return Math.round(((original - discounted) / original) * 10000) / 100;
+}
+
+// Listing query params of GET /api/products
+const PRODUCT_LIST_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  sort: { type: 'string', enum: Object.keys(PRODUCT_SORTS) },
+  inStock: { type: 'boolean' },
+  minPrice: { type: 'number', min: 0 },
+  maxPrice: {
+    type: 'number',
+    min: 0,
+    check: (value, { minPrice }) => minPrice !== undefined && minPrice > value ? 'minPrice cannot be greater than maxPrice' : null
+  },
+  minRating: { type: 'number', min: 0 },
+  minDiscount: { type: 'number', min: 0 },
+  category: { type: 'string' },
+  brand: { type: 'string' }
+};
+
+// Whether admin listings of products and banners show trashed records (see TRASH)
+const TRASHED_FILTERS = ['exclude', 'include', 'only'];
+
+
+// Listing options from a query checked against PRODUCT_LIST_QUERY_SCHEMA
+function parseProductListQuery(query) {
+  return {
+    page: query.page || 1,
+    limit: Math.min(query.limit || PRODUCTS_DEFAULT_LIMIT, PRODUCTS_MAX_LIMIT),
+    sort: query.sort || 'default',
+    inStock: query.inStock,
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    minRating: query.minRating,
+    minDiscount: query.minDiscount,
+    category: query.category,
+    brand: query.brand
+  };
+}
+
+// Turn the category / brand filters (id or slug) into productIds / brandId for the query helpers.
+// An unknown category or brand yields an empty result rather than an error.
+async function resolveProductTaxonomyFilters(options) {
+  if (options.category) {
+    options.productIds = await getProductIdsInCategory(options.category);
+  }
+
+  if (options.brand) {
+    const brand = await findByIdOrSlug('brands', options.brand);
+    // A uuid that matches nothing, so the brand filter returns no rows
+    options.brandId = brand ? brand.id : '00000000-0000-0000-0000-000000000000';
+  }
+
+  return options;
+}
+
+// Apply listing filters, sort and page range to a Supabase query
+function applyProductListQuery(builder, options) {
+  let query = builder;
+
+  if (options.inStock !== undefined) query = query.eq('inStock', options.inStock);
+  if (options.minPrice !== undefined) query = query.gte('discountedPrice', options.minPrice);
+  if (options.maxPrice !== undefined) query = query.lte('discountedPrice', options.maxPrice);
+  if (options.minRating !== undefined) query = query.gte('rating', options.minRating);
+  if (options.minDiscount !== undefined) query = query.gte('discount_percent', options.minDiscount);
+  if (options.productIds !== undefined) query = query.in('id', options.productIds);
+  if (options.brandId !== undefined) query = query.eq('brand_id', options.brandId);
+  // Only admin listings set `trashed`
+  if (options.trashed === 'only') query = query.not('deleted_at', 'is', null);
+  else if (options.trashed !== 'include') query = query.is('deleted_at', null);
+
+  const { column, ascending } = PRODUCT_SORTS[options.sort];
+  query = query
+    .order(column, { ascending, nullsFirst: false })
+    .order('id', { ascending: true });
+
+  const from = (options.page - 1) * options.limit;
+  return query.range(from, from + options.limit - 1);
+}
+
+// Pagination block with relative next/prev links that keep the other query params
+function buildPagination(req, options, total) {
+  const totalPages = Math.max(1, Math.ceil(total / options.limit));
+
+  const linkToPage = page => {
+    const params = new URLSearchParams(req.query);
+    params.set('page', String(page));
+    params.set('limit', String(options.limit));
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+  };
+
+  return {
+    page: options.page,
+    limit: options.limit,
+    total,
+    totalPages,
+    hasNextPage: options.page < totalPages,
+    hasPrevPage: options.page > 1,
+    next: options.page < totalPages ? linkToPage(options.page + 1) : null,
+    prev: options.page > 1 ? linkToPage(Math.min(options.page - 1, totalPages)) : null
+  };
+}
+
+// ==================== END PRODUCT LISTING QUERY ====================
+
+// ==================== PRODUCT VARIANTS ====================
+
+// A product is sold as one or more variants (pack size / strength), each with its own SKU,
+// prices, stock, images and barcode. Every product has exactly one default variant; its prices
+// and pack size are mirrored on the product row so listing, sorting and search keep working.
+const VARIANT_SKU_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Public (camelCase) shape of a variant
+function toProductVariant(variant) {
+  return {
+    id: variant.id,
+    sku: variant.sku,
+    name: variant.name,
+    packSize: variant.pack_size,
+    strength: variant.strength,
+    originalPrice: parseFloat(variant.original_price),
+    discountedPrice: parseFloat(variant.discounted_price),
+    // Empty: the product images apply
+    images: variant.images || [],
+    barcode: variant.barcode,
+    isDefault: variant.is_default,
+    stockQuantity: variant.stock_quantity,
+    inStock: variant.in_stock,
+    position: variant.position
+  };
+}
+
+// Variants of the given products ordered by position. Returns a Map of product id → variants.
+async function fetchProductVariants(productIds, { includeInactive = false } = {}) {
+  const result = new Map(productIds.map(id => [id, []]));
+  if (productIds.length === 0) {
+    return result;
+  }
+
+  let query = supabase
+    .from('product_variants')
+    .select('*')
+    .in('product_id', productIds);
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch variants: ${error.message}`);
+  }
+
+  (data || []).forEach(variant => result.get(variant.product_id).push(variant));
+  return result;
+}
+
+// The active variant `variantId` of a product, or its default variant when no id is given
+async function findProductVariant(productId, variantId = null) {
+  if (variantId && !UUID_PATTERN.test(variantId)) {
+    return null;
+  }
+
+  let query = supabase
+    .from('product_variants')
+    .select('*')
+    .eq('product_id', productId)
+    .eq('is_active', true);
+
+  query = variantId ? query.eq('id', variantId) : query.eq('is_default', true);
+
+  const { data } = await query.maybeSingle();
+  return data || null;
+}
+
+// Attach the active variants to a product for detail responses
+async function withProductVariants(product) {
+  const variants = (await fetchProductVariants([product.id])).get(product.id);
+  return { ...product, variants: variants.map(toProductVariant) };
+}
+
+// One entry of a product's `variants` array
+const PRODUCT_VARIANT_SCHEMA = {
+  id: { type: 'uuid' },
+  // Generated from SKU_FORMAT for a new variant when not given; kept for an existing one
+  sku: {
+    type: 'string',
+    check: value => VARIANT_SKU_PATTERN.test(value.trim()) ? null : 'sku must be up to 64 letters, digits, ".", "_" or "-"'
+  },
+  name: { type: 'string', max: 200 },
+  packSize: { type: 'string', max: 100 },
+  strength: { type: 'string', max: 100 },
+  originalPrice: { type: 'number', required: true, min: 0 },
+  discountedPrice: {
+    type: 'number',
+    required: true,
+    min: 0,
+    check: (value, { originalPrice }) => value > originalPrice ? 'discountedPrice cannot be greater than originalPrice' : null
+  },
+  images: { type: 'array', items: { type: 'url' } },
+  barcode: { type: 'string', max: 64 },
+  isDefault: { type: 'boolean' }
+};
+
+// Columns of an entry of a product's `variants` array (checked against PRODUCT_VARIANT_SCHEMA).
+// Returns { data } or { fields }.
+function parseVariantBody(body, index) {
+  const name = String(body.name || body.packSize || body.strength || '').trim();
+  if (!name) {
+    return { fields: { [`variants[${index}].name`]: `variants[${index}].name is required` } };
+  }
+
+  return {
+    data: {
+      id: body.id || null,
+      sku: body.sku ? body.sku.trim() : null,
+      name,
+      pack_size: body.packSize || null,
+      strength: body.strength || null,
+      original_price: body.originalPrice,
+      discounted_price: body.discountedPrice,
+      images: body.images || [],
+      barcode: body.barcode ? body.barcode.trim() : null,
+      is_default: body.isDefault === true,
+      position: index
+    }
+  };
+}
+
+// Turn a product's `variants` array into variant columns: unique SKUs and barcodes and a single
+// default (the first variant when none is flagged). Returns { variants } or { fields }.
+function parseProductVariants(variants) {
+  const parsed = [];
+  for (let index = 0; index < variants.length; index++) {
+    const { data, fields } = parseVariantBody(variants[index], index);
+    if (fields) {
+      return { fields };
+    }
+    parsed.push(data);
+  }
+
+  const skus = parsed.map(variant => variant.sku).filter(Boolean);
+  if (new Set(skus).size !== skus.length) {
+    return { fields: { variants: 'Variant SKUs must be unique' } };
+  }
+
+  const barcodes = parsed.map(variant => variant.barcode).filter(Boolean);
+  if (new Set(barcodes).size !== barcodes.length) {
+    return { fields: { variants: 'Variant barcodes must be unique' } };
+  }
+
+  const ids = parsed.map(variant => variant.id).filter(Boolean);
+  if (new Set(ids).size !== ids.length) {
+    return { fields: { variants: 'A variant can only be listed once' } };
+  }
+
+  const defaults = parsed.filter(variant => variant.is_default);
+  if (defaults.length > 1) {
+    return { fields: { variants: 'Only one variant can be the default' } };
+  }
+  if (defaults.length === 0) {
+    parsed[0].is_default = true;
+  }
+
+  return { variants: parsed };
+}
+
+// Check that the variants can be saved on the product: listed ids belong to it and SKUs and
+// barcodes are not used by any other variant (including deactivated ones, SKUs are never reused).
+// Returns an error message or null.
+async function checkProductVariants(productId, variants) {
+  const barcodes = variants.map(variant => variant.barcode).filter(Boolean);
+  const [{ data: existing, error }, { data: bySku }, { data: byBarcode }] = await Promise.all([
+    supabase.from('product_variants').select('id').eq('product_id', productId),
+    supabase.from('product_variants').select('id, sku').in('sku', variants.map(variant => variant.sku).filter(Boolean)),
+    barcodes.length > 0
+      ? supabase.from('product_variants').select('id, barcode').in('barcode', barcodes)
+      : { data: [] }
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch variants: ${error.message}`);
+  }
+
+  const existingIds = new Set((existing || []).map(variant => variant.id));
+  const unknown = variants.find(variant => variant.id && !existingIds.has(variant.id));
+  if (unknown) {
+    return `Variant ${unknown.id} does not belong to this product`;
+  }
+
+  const takenSku = (bySku || []).find(row => !variants.some(variant => variant.sku === row.sku && variant.id === row.id));
+  if (takenSku) {
+    return `SKU ${takenSku.sku} is already used by another variant`;
+  }
+
+  const takenBarcode = (byBarcode || []).find(row => !variants.some(variant => variant.barcode === row.barcode && variant.id === row.id));
+  if (takenBarcode) {
+    return `Barcode ${takenBarcode.barcode} is already used by another variant`;
+  }
+
+  return null;
+}
+
+// Copy the default variant's prices and pack size onto the product row
+async function mirrorDefaultVariant(productId) {
+  const variant = await findProductVariant(productId);
+  if (!variant) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('products')
+    .update({
+      originalPrice: parseFloat(variant.original_price),
+      discountedPrice: parseFloat(variant.discounted_price),
+      packSize: variant.pack_size
+    })
+    .eq('id', productId);
+
+  if (error) {
+    console.error('Error mirroring default variant:', error);
+  }
+}
+
+// Make the product's active variants exactly `variants` (validated by parseProductVariants and
+// checkProductVariants): listed ids are updated, entries without an id are created and variants
+// missing from the list are deactivated. Variants are never deleted because batches and order
+// lines keep referring to them.
+async function saveProductVariants(productId, variants) {
+  const now = new Date().toISOString();
+  const keptIds = variants.map(variant => variant.id).filter(Boolean);
+  const defaultVariant = variants.find(variant => variant.is_default);
+
+  // Only one default per product (unique index): clear the current one first
+  let clearDefault = supabase
+    .from('product_variants')
+    .update({ is_default: false, updated_at: now })
+    .eq('product_id', productId)
+    .eq('is_default', true);
+  if (defaultVariant.id) {
+    clearDefault = clearDefault.neq('id', defaultVariant.id);
+  }
+  await clearDefault;
+
+  const { data: existing } = await supabase
+    .from('product_variants')
+    .select('id')
+    .eq('product_id', productId)
+    .eq('is_active', true);
+
+  const removedIds = (existing || []).map(variant => variant.id).filter(id => !keptIds.includes(id));
+  if (removedIds.length > 0) {
+    await supabase
+      .from('product_variants')
+      .update({ is_active: false, is_default: false, updated_at: now })
+      .in('id', removedIds);
+  }
+
+  for (const { id, ...variant } of variants) {
+    const { error } = id
+      ? await supabase
+        .from('product_variants')
+        .update({ ...variant, is_active: true, updated_at: now })
+        .eq('id', id)
+      : await supabase
+        .from('product_variants')
+        .insert([{ ...variant, product_id: productId, is_active: true, stock_quantity: 0, in_stock: false }]);
+
+    if (error) {
+      throw new Error(`Failed to save variant ${variant.sku}: ${error.message}`);
+    }
+  }
+
+  await mirrorDefaultVariant(productId);
+  await syncProductStock([productId]);
+}
+
+// ==================== END PRODUCT VARIANTS ====================
+
+// ==================== PRODUCT IDS, SKUS & SLUGS ====================
+
+// Product ids (prod-N) and SKU numbers come from named counters in the id_counters table. A value
+// is taken with a conditional update on the current value, so two requests never get the same
+// one; an update that loses the race is retried. Values are never reused (a failed create leaves a gap).
+const ID_ALLOCATION_ATTEMPTS = 10;
+
+// Generated SKUs, for variants saved without one. Tokens:
+//   {name}, {brand}, {category}  code of the product name, brand and first category
+//   {variant}                    code of the variant's pack size and strength
+//   {product}                    number of the product id (prod-N)
+//   {seq}                        next value of the SKU counter (required, it makes SKUs unique)
+// A code is the first 3 characters of each word ("Certeza BM-405" → CERBM405). A number after a
+// colon sets the length of a code or the minimum digits of a number: {name:4}, {seq:6}.
+// Separators around empty tokens are dropped: no brand gives MAGGLYMA-60TAB-00012.
+const SKU_FORMAT = process.env.SKU_FORMAT || '{brand}-{name}-{variant}-{seq}';
+const SKU_TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+const SKU_TOKENS = ['name', 'brand', 'category', 'variant', 'product', 'seq'];
+const SKU_CODE_LENGTH = 8;
+const SKU_SEQUENCE_DIGITS = 5;
+
+const unknownSkuToken = [...SKU_FORMAT.matchAll(SKU_TOKEN_PATTERN)].find(([, token]) => !SKU_TOKENS.includes(token));
+if (unknownSkuToken) {
+  throw new Error(`Unknown SKU_FORMAT token ${unknownSkuToken[0]}, use: ${SKU_TOKENS.map(token => `{${token}}`).join(', ')}`);
+}
+if (!/\{seq(:\d+)?\}/.test(SKU_FORMAT)) {
+  throw new Error('SKU_FORMAT must contain {seq}');
+}
+if (!/^[A-Za-z0-9._-]*$/.test(SKU_FORMAT.replace(SKU_TOKEN_PATTERN, ''))) {
+  throw new Error('SKU_FORMAT can only contain tokens, letters, digits, ".", "_" and "-"');
+}
+
+// Take the next value of a counter. `getStartValue` gives the value to start after on first use.
+async function allocateCounterValue(name, getStartValue) {
+  for (let attempt = 0; attempt < ID_ALLOCATION_ATTEMPTS; attempt++) {
+    const { data: counter, error } = await supabase
+      .from('id_counters')
+      .select('value')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read counter ${name}: ${error.message}`);
+    }
+
+    if (!counter) {
+      // A concurrent first use may create it first: then this insert does nothing
+      const { error: insertError } = await supabase
+        .from('id_counters')
+        .upsert([{ name, value: await getStartValue() }], { onConflict: 'name', ignoreDuplicates: true });
+
+      if (insertError) {
+        throw new Error(`Failed to create counter ${name}: ${insertError.message}`);
+      }
+      continue;
+    }
+
+    const value = Number(counter.value) + 1;
+    const { data: updated, error: updateError } = await supabase
+      .from('id_counters')
+      .update({ value, updated_at: new Date().toISOString() })
+      .eq('name', name)
+      .eq('value', counter.value)
+      .select('value')
+      .maybeSingle();
+
+    if (updateError) {
+      throw new Error(`Failed to update counter ${name}: ${updateError.message}`);
+    }
+    if (updated) {
+      return value;
+    }
+  }
+
+  throw new Error(`Could not allocate the next ${name} value, try again`);
+}
+
+// Highest N of the prod-N ids, where the products counter starts
+async function getMaxProductIdNumber() {
+  const { data, error } = await supabase
+    .from('products')
+    .select('id_number')
+    .order('id_number', { ascending: false, nullsFirst: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to fetch product ids: ${error.message}`);
+  }
+
+  return data && data.length > 0 && data[0].id_number !== null ? Number(data[0].id_number) : 0;
+}
+
+// Next free prod-N id. Ids already taken (rows written outside the API) are skipped.
+async function allocateProductId() {
+  for (let attempt = 0; attempt < ID_ALLOCATION_ATTEMPTS; attempt++) {
+    const id = `prod-${await allocateCounterValue('products', getMaxProductIdNumber)}`;
+    const { data: taken } = await supabase
+      .from('products')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!taken) {
+      return id;
+    }
+  }
+
+  throw new Error('Could not allocate a product id, try again');
+}
+
+// SKU code of a text: first 3 characters of each word, uppercased ("60 tabs" → 60TAB)
+function getSkuCode(text, length) {
+  return slugify(text)
+    .split('-')
+    .map(word => word.slice(0, 3))
+    .join('')
+    .toUpperCase()
+    .slice(0, length || SKU_CODE_LENGTH);
+}
+
+// Token values of the generated SKUs of a product: { productId, name, brandId, categoryIds }.
+// Without categoryIds, the categories saved on the product are used.
+async function getSkuContext({ productId, name, brandId, categoryIds }) {
+  let categoryId = categoryIds ? categoryIds[0] : null;
+  if (!categoryIds) {
+    const { data: links } = await supabase
+      .from('product_categories')
+      .select('category_id')
+      .eq('product_id', productId)
+      .limit(1);
+    categoryId = links && links.length > 0 ? links[0].category_id : null;
+  }
+
+  const [{ data: brand }, { data: category }] = await Promise.all([
+    brandId ? supabase.from('brands').select('name').eq('id', brandId).maybeSingle() : { data: null },
+    categoryId ? supabase.from('categories').select('name').eq('id', categoryId).maybeSingle() : { data: null }
+  ]);
+
+  return {
+    name: name || '',
+    brand: brand ? brand.name : '',
+    category: category ? category.name : '',
+    product: getProductIdNumber(productId)
+  };
+}
+
+// Build a SKU from SKU_FORMAT for a variant (variant columns, see parseVariantBody)
+function formatSku(context, variant, seq) {
+  const sku = SKU_FORMAT
+    .replace(SKU_TOKEN_PATTERN, (match, token, length) => {
+      const size = length ? parseInt(length, 10) : null;
+      if (token === 'seq') {
+        return String(seq).padStart(size || SKU_SEQUENCE_DIGITS, '0');
+      }
+      if (token === 'product') {
+        return context.product === null ? '' : String(context.product).padStart(size || 0, '0');
+      }
+      const text = token === 'variant' ? [variant.pack_size, variant.strength].filter(Boolean).join(' ') : context[token];
+      return getSkuCode(text, size);
+    })
+    .replace(/([._-])[._-]+/g, '$1')
+    .replace(/^[._-]+|[._-]+$/g, '');
+
+  if (!VARIANT_SKU_PATTERN.test(sku)) {
+    throw new Error(`SKU_FORMAT gives an invalid SKU: ${sku}`);
+  }
+  return sku;
+}
+
+// Fill in the SKU of the variants saved without one: variants of the product (with an id) keep
+// their SKU, new ones get a generated SKU. `product` is { productId, name, brandId, categoryIds }.
+async function assignVariantSkus(product, variants) {
+  const keeping = variants.filter(variant => !variant.sku && variant.id);
+  if (keeping.length > 0) {
+    const { data } = await supabase
+      .from('product_variants')
+      .select('id, sku')
+      .eq('product_id', product.productId)
+      .in('id', keeping.map(variant => variant.id));
+    const skus = new Map((data || []).map(row => [row.id, row.sku]));
+    keeping.forEach(variant => { variant.sku = skus.get(variant.id) || null; });
+  }
+
+  const generating = variants.filter(variant => !variant.sku && !variant.id);
+  if (generating.length === 0) {
+    return;
+  }
+
+  const context = await getSkuContext(product);
+  const listed = new Set(variants.map(variant => variant.sku).filter(Boolean));
+  for (const variant of generating) {
+    for (let attempt = 0; attempt < ID_ALLOCATION_ATTEMPTS && !variant.sku; attempt++) {
+      const sku = formatSku(context, variant, await allocateCounterValue('skus', async () => 0));
+      // SKUs entered by hand can look like generated ones
+      const { data: taken } = await supabase
+        .from('product_variants')
+        .select('id')
+        .eq('sku', sku)
+        .maybeSingle();
+      if (!taken && !listed.has(sku)) {
+        variant.sku = sku;
+        listed.add(sku);
+      }
+    }
+    if (!variant.sku) {
+      throw new Error('Could not generate a unique SKU, try again');
+    }
+  }
+}
+
+// Slug of a new product: the given slug, or the name's with -2, -3... when it is taken.
+// Returns { slug } or { fields }, or { taken } when the given slug is used by another product.
+async function findProductSlug({ slug, name, productId }) {
+  const base = slugify(slug !== undefined ? slug : name) || `product-${getProductIdNumber(productId)}`;
+  const { data, error } = await supabase
+    .from('products')
+    .select('slug')
+    .like('slug', `${base}%`);
+
+  if (error) {
+    throw new Error(`Failed to fetch product slugs: ${error.message}`);
+  }
+
+  const used = new Set((data || []).map(row => row.slug));
+  if (slug !== undefined) {
+    return used.has(base) ? { taken: base } : { slug: base };
+  }
+
+  let candidate = base;
+  // A slug never looks like a product id, so that /api/products/:id can take either
+  for (let suffix = 2; used.has(candidate) || getProductIdNumber(candidate) !== null; suffix++) {
+    candidate = `${base}-${suffix}`;
+  }
+  return { slug: candidate };
+}
+
+// Fetch a product by id or slug (not in the trash)
+async function findProductByIdOrSlug(value) {
+  const column = getProductIdNumber(value) !== null ? 'id' : 'slug';
+  const { data, error } = await supabase
+    .from('products')
+    .select('*')
+    .eq(column, value)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch product: ${error.message}`);
+  }
+
+  // Products created outside the API can have ids in another format
+  if (!data && column === 'slug') {
+    const { data: byId } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', value)
+      .is('deleted_at', null)
+      .maybeSingle();
+    return byId || null;
+  }
+
+  return data;
+}
+
+// ==================== END PRODUCT IDS, SKUS & SLUGS ====================
+
+// Get all products (paginated)
+// Query: page, limit, sort (default|newest|price_asc|price_desc|rating|name),
+//        inStock, minPrice, maxPrice, minRating, minDiscount, category, brand
+app.get('/api/products', validateRequest({ query: PRODUCT_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const options = parseProductListQuery(req.query);
+    await resolveProductTaxonomyFilters(options);
+
+    const { data, error, count } = await applyProductListQuery(
+      supabase.from('products').select('*', { count: 'exact' }),
+      options
+    );
+
+    // PGRST103 = requested page is past the last row
+    if (error && error.code === 'PGRST103') {
+      return res.json({ products: [], pagination: buildPagination(req, options, count || 0) });
+    }
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch products', details: error.message });
+    }
+
+    return res.json({
+      products: data || [],
+      pagination: buildPagination(req, options, count || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Products for the admin: the public listing, plus trashed products on request
+// Query: as GET /api/products, and trashed (exclude, the default, include or only)
+app.get('/api/admin/products', requireAdmin, requirePermission('products:write', 'products:compliance'), validateRequest({ query: { ...PRODUCT_LIST_QUERY_SCHEMA, trashed: { type: 'string', enum: TRASHED_FILTERS } } }), async (req, res) => {
+  try {
+    const options = { ...parseProductListQuery(req.query), trashed: req.query.trashed || 'exclude' };
+    await resolveProductTaxonomyFilters(options);
+
+    const { data, error, count } = await applyProductListQuery(
+      supabase.from('products').select('*', { count: 'exact' }),
+      options
+    );
+
+    if (error && error.code === 'PGRST103') {
+      return res.json({ products: [], pagination: buildPagination(req, options, count || 0) });
+    }
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch products', details: error.message });
+    }
+
+    return res.json({
+      products: data || [],
+      pagination: buildPagination(req, options, count || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single product by id or slug
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const data = await findProductByIdOrSlug(req.params.id);
+
+    if (!data) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    return res.json({ product: await withProductVariants(await withProductTaxonomy(data)) });
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Product fields in the request body that the admin's role is not allowed to change
+function getForbiddenProductFields(admin, body) {
+  const canWriteCatalog = hasPermission(admin, 'products:write');
+  const canWriteCompliance = hasPermission(admin, 'products:compliance');
+
+  return Object.keys(body || {}).filter(field => {
+    const isComplianceField = PRODUCT_COMPLIANCE_FIELDS.includes(field);
+    return isComplianceField ? !canWriteCompliance : !canWriteCatalog;
+  });
+}
+
+const PRODUCT_BODY_SCHEMA = {
+  name: { type: 'string', required: true, max: 200 },
+  // Slugified, the name is used when not given. It cannot be changed once set.
+  slug: {
+    type: 'string',
+    max: 200,
+    check: value => {
+      if (!slugify(value)) return 'slug must contain letters or digits';
+      return getProductIdNumber(slugify(value)) !== null ? 'slug cannot look like a product id' : null;
+    }
+  },
+  // Required unless `variants` is given (the default variant's prices are used then)
+  originalPrice: { type: 'number', min: 0, nullable: false },
+  discountedPrice: {
+    type: 'number',
+    min: 0,
+    nullable: false,
+    check: (value, { originalPrice }) => typeof originalPrice === 'number' && value > originalPrice
+      ? 'discountedPrice cannot be greater than originalPrice'
+      : null
+  },
+  // SKU of the default variant when `variants` is not given (generated from SKU_FORMAT otherwise)
+  sku: { ...PRODUCT_VARIANT_SCHEMA.sku, nullable: false },
+  image: { type: 'url' },
+  images: { type: 'array', max: 20, items: { type: 'url' } },
+  video: { type: 'url' },
+  packSize: { type: 'string', max: 100 },
+  wellnessCoins: { type: 'number', min: 0 },
+  description: { type: 'string', max: 10000 },
+  helps: { type: 'array', items: { type: 'string', max: 500 } },
+  details: { type: 'string', max: 10000 },
+  directions: { type: 'string', max: 10000 },
+  ingredients: { type: 'array', items: { type: 'string', max: 500 } },
+  categoryIds: { type: 'array', nullable: false, items: { type: 'uuid' } },
+  brandId: { type: 'uuid' },
+  requiresPrescription: { type: 'boolean' },
+  variants: { type: 'array', nullable: false, min: 1, items: { type: 'object', fields: PRODUCT_VARIANT_SCHEMA } },
+  imageRenditions: {
+    type: 'array',
+    nullable: false,
+    check: sets => validateImageRenditions(sets, 'imageRenditions')
+  }
+};
+const PRODUCT_UPDATE_SCHEMA = toUpdateSchema(PRODUCT_BODY_SCHEMA);
+
+// Create a product from a request body checked against PRODUCT_BODY_SCHEMA, on behalf of `actor`
+// (see getAuditActor). Returns { product }, { fields } (422) or { status, error, details }.
+async function createProduct(actor, body) {
+  const { 
+    name, slug, sku, originalPrice, discountedPrice, 
+    image, images, video, packSize, wellnessCoins,
+    description, helps, details, directions, ingredients,
+    categoryIds, brandId, requiresPrescription, variants, imageRenditions
+  } = body;
+
+  // Prices come from the variants when they are given
+  if (variants === undefined && (originalPrice === undefined || discountedPrice === undefined)) {
+    const fields = {};
+    if (originalPrice === undefined) fields.originalPrice = 'originalPrice is required';
+    if (discountedPrice === undefined) fields.discountedPrice = 'discountedPrice is required';
+    return { fields };
+  }
+
+  let parsedVariants = null;
+  if (variants !== undefined) {
+    const { variants: parsed, fields } = parseProductVariants(variants);
+    if (fields) {
+      return { fields };
+    }
+    parsedVariants = parsed;
+  }
+
+  const forbiddenFields = getForbiddenProductFields(actor.admin, body);
+  if (forbiddenFields.length > 0) {
+    return { status: 403, error: `You do not have permission to set: ${forbiddenFields.join(', ')}` };
+  }
+
+  const taxonomyFields = await validateProductTaxonomy({ categoryIds, brandId });
+  if (taxonomyFields) {
+    return { fields: taxonomyFields };
+  }
+
+  const productId = await allocateProductId();
+
+  const productSlug = await findProductSlug({ slug, name, productId });
+  if (productSlug.taken) {
+    return { status: 409, error: `A product with the slug ${productSlug.taken} already exists` };
+  }
+
+  // Without explicit variants the product is sold as a single default variant
+  if (!parsedVariants) {
+    parsedVariants = parseProductVariants([{
+      sku,
+      name: packSize || 'Default',
+      packSize,
+      originalPrice,
+      discountedPrice,
+      isDefault: true
+    }]).variants;
+  }
+  await assignVariantSkus({ productId, name, brandId, categoryIds: categoryIds || [] }, parsedVariants);
+  const defaultVariant = parsedVariants.find(variant => variant.is_default);
+
+  // Handle images - support both single image (backward compatibility) and images array.
+  // Rendition sets from the upload endpoints provide the image URLs when images is not given.
+  const renditionUrls = (imageRenditions || []).map(set => set.url);
+  const imageArray = images || (image ? [image] : renditionUrls);
+  const mainImage = image || (imageArray.length > 0 ? imageArray[0] : '');
+
+  const newProduct = {
+    id: productId,
+    slug: productSlug.slug,
+    name,
+    // rating, reviews and questions are recalculated from approved reviews and questions
+    rating: 0,
+    reviews: 0,
+    questions: 0,
+    // Prices and pack size mirror the default variant
+    originalPrice: defaultVariant.original_price,
+    discountedPrice: defaultVariant.discounted_price,
+    image: mainImage, // Main image for backward compatibility
+    images: imageArray, // Array of images
+    image_renditions: imageRenditions || [], // Responsive renditions of the images
+    video: video || null, // Video URL (optional)
+    packSize: defaultVariant.pack_size,
+    wellnessCoins: wellnessCoins || null,
+    description: description || '',
+    helps: helps || null,
+    details: details || null,
+    directions: directions || null,
+    ingredients: ingredients || null,
+    // Stock comes from inventory batches (see INVENTORY API); a new product has none yet
+    inStock: false,
+    stock_quantity: 0,
+    requiresPrescription: requiresPrescription === true,
+    brand_id: brandId || null
+  };
+
+  const variantsError = await checkProductVariants(productId, parsedVariants);
+  if (variantsError) {
+    return { status: 409, error: variantsError };
+  }
+
+  let data;
+  let error;
+  for (let attempt = 0; attempt < ID_ALLOCATION_ATTEMPTS; attempt++) {
+    ({ data, error } = await supabase
+      .from('products')
+      .insert([newProduct])
+      .select()
+      .single());
+
+    // Another product took the generated slug in the meantime: take the next one
+    if (!error || error.code !== '23505' || !/slug/.test(error.message) || slug !== undefined) break;
+    newProduct.slug = (await findProductSlug({ name, productId })).slug;
+  }
+
+  if (error && error.code === '23505' && /slug/.test(error.message)) {
+    return { status: 409, error: `A product with the slug ${newProduct.slug} already exists` };
+  }
+
+  if (error) {
+    console.error('Supabase error:', error);
+    console.error('Product data:', JSON.stringify(newProduct, null, 2));
+    return { status: 500, error: 'Failed to create product', details: error.message };
+  }
+
+  try {
+    await saveProductVariants(data.id, parsedVariants);
+  } catch (variantsSaveError) {
+    console.error('Error saving variants:', variantsSaveError);
+    await supabase.from('products').delete().eq('id', data.id);
+    return { status: 500, error: 'Failed to create product', details: variantsSaveError.message };
+  }
+
+  if (categoryIds !== undefined) {
+    await setProductCategories(data.id, categoryIds);
+  }
+
+  await recordAudit({ actor, entityType: 'product', entityId: data.id, action: 'create', after: await getProductSnapshot(data.id) });
+
+  invalidateSearchIndex();
+  return { product: data };
+}
+
+// Response of a createProduct() or updateProduct() failure
+function sendProductWriteError(res, { fields, status, error, details }) {
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+  return res.status(status).json(details ? { error, details } : { error });
+}
+
+// Create a new product (POST)
+app.post('/api/products', requireAdmin, requirePermission('products:write'), validateRequest({ body: PRODUCT_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const result = await createProduct(getAuditActor(req), req.body);
+    if (!result.product) {
+      return sendProductWriteError(res, result);
+    }
+
+    return res.status(201).json({
+      product: await withProductVariants(await withProductTaxonomy(result.product)),
+      message: 'Product created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a product from a request body checked against PRODUCT_UPDATE_SCHEMA, on behalf of `actor`
+// (see getAuditActor). `revertOf` is the audit entry id when the update reverts to that version.
+// Returns { product }, { fields } (422) or { status, error, details }.
+async function updateProduct(actor, id, body, { revertOf = null } = {}) {
+  const { 
+    name, slug, sku, originalPrice, discountedPrice, 
+    image, images, video, packSize, wellnessCoins,
+    description, helps, details, directions, ingredients,
+    categoryIds, brandId, requiresPrescription, variants, imageRenditions
+  } = body;
+
+  const forbiddenFields = getForbiddenProductFields(actor.admin, body);
+  if (forbiddenFields.length > 0) {
+    return { status: 403, error: `You do not have permission to change: ${forbiddenFields.join(', ')}` };
+  }
+
+  let parsedVariants = null;
+  if (variants !== undefined) {
+    const { variants: parsed, fields } = parseProductVariants(variants);
+    if (fields) {
+      return { fields };
+    }
+    parsedVariants = parsed;
+  }
+
+  const taxonomyFields = await validateProductTaxonomy({ categoryIds, brandId });
+  if (taxonomyFields) {
+    return { fields: taxonomyFields };
+  }
+
+  const updateData = { updated_at: new Date().toISOString() };
+  if (name !== undefined) updateData.name = name;
+  if (originalPrice !== undefined) updateData.originalPrice = originalPrice;
+  if (discountedPrice !== undefined) updateData.discountedPrice = discountedPrice;
+  
+  // Handle images
+  if (images) {
+    updateData.images = images;
+    updateData.image = images.length > 0 ? images[0] : '';
+  } else if (image !== undefined) {
+    updateData.image = image;
+    if (!updateData.images) {
+      updateData.images = image ? [image] : [];
+    }
+  } else if (imageRenditions !== undefined) {
+    updateData.images = imageRenditions.map(set => set.url);
+    updateData.image = updateData.images.length > 0 ? updateData.images[0] : '';
+  }
+  if (imageRenditions !== undefined) updateData.image_renditions = imageRenditions;
+  
+  // Handle video (optional)
+  if (video !== undefined) updateData.video = video || null;
+  if (packSize !== undefined) updateData.packSize = packSize || null;
+  if (wellnessCoins !== undefined) updateData.wellnessCoins = wellnessCoins || null;
+  if (description !== undefined) updateData.description = description || '';
+  if (helps !== undefined) updateData.helps = helps;
+  if (details !== undefined) updateData.details = details || null;
+  if (directions !== undefined) updateData.directions = directions || null;
+  if (ingredients !== undefined) updateData.ingredients = ingredients;
+  if (brandId !== undefined) updateData.brand_id = brandId || null;
+  if (requiresPrescription !== undefined) updateData.requiresPrescription = requiresPrescription === true;
+
+  // The current media, to delete what the update replaces. Trashed products cannot be edited.
+  const { data: existing } = await supabase
+    .from('products')
+    .select('id, slug, name, brand_id, image, images, video, image_renditions, originalPrice, discountedPrice')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (!existing) {
+    return { status: 404, error: 'Product not found' };
+  }
+
+  // The slug is permanent; only a product created without one can be given one
+  if (slug !== undefined && slugify(slug) !== existing.slug) {
+    if (existing.slug) {
+      return { fields: { slug: 'slug cannot be changed' } };
+    }
+    const productSlug = await findProductSlug({ slug, productId: id });
+    if (productSlug.taken) {
+      return { status: 409, error: `A product with the slug ${productSlug.taken} already exists` };
+    }
+    updateData.slug = productSlug.slug;
+  }
+
+  // A price sent alone is compared with the stored one
+  if (!parsedVariants && (originalPrice !== undefined || discountedPrice !== undefined)) {
+    const newOriginal = originalPrice !== undefined ? originalPrice : parseFloat(existing.originalPrice);
+    const newDiscounted = discountedPrice !== undefined ? discountedPrice : parseFloat(existing.discountedPrice);
+    if (newDiscounted > newOriginal) {
+      return { fields: { discountedPrice: 'discountedPrice cannot be greater than originalPrice' } };
+    }
+  }
+
+  // A SKU sent alone renames the default variant (SKUs of other variants, even deactivated, are taken)
+  const defaultSku = !parsedVariants && sku !== undefined ? sku.trim() : null;
+  if (defaultSku) {
+    const { data: skuVariant } = await supabase
+      .from('product_variants')
+      .select('product_id, is_default')
+      .eq('sku', defaultSku)
+      .maybeSingle();
+
+    if (skuVariant && !(skuVariant.product_id === id && skuVariant.is_default)) {
+      return { status: 409, error: `SKU ${defaultSku} is already used by another variant` };
+    }
+  }
+
+  const before = await getProductSnapshot(id);
+  const previousMediaUrls = getRecordMediaUrls('product', existing).map(({ url }) => url);
+
+  if (parsedVariants) {
+    const previousVariants = (await fetchProductVariants([id], { includeInactive: true })).get(id);
+    for (const variant of previousVariants) {
+      previousMediaUrls.push(...(variant.images || []));
+    }
+
+    await assignVariantSkus({
+      productId: id,
+      name: name !== undefined ? name : existing.name,
+      brandId: brandId !== undefined ? brandId : existing.brand_id,
+      categoryIds
+    }, parsedVariants);
+
+    const variantsError = await checkProductVariants(id, parsedVariants);
+    if (variantsError) {
+      return { status: 409, error: variantsError };
+    }
+
+    // Prices and pack size are taken from the new default variant
+    delete updateData.originalPrice;
+    delete updateData.discountedPrice;
+    delete updateData.packSize;
+  }
+
+  // The product row is updated first so a failed update leaves the variants as they were
+  const { data, error } = await supabase
+    .from('products')
+    .update(updateData)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Supabase error:', error);
+    return { status: 500, error: 'Failed to update product', details: error.message };
+  }
+
+  if (!data) {
+    return { status: 404, error: 'Product not found' };
+  }
+
+  // Product-level prices, pack size and SKU edit the default variant
+  let variantError = null;
+  if (parsedVariants) {
+    try {
+      await saveProductVariants(id, parsedVariants);
+    } catch (error) {
+      variantError = error;
+    }
+  } else {
+    const defaultVariantUpdate = {};
+    if (defaultSku) defaultVariantUpdate.sku = defaultSku;
+    if (updateData.originalPrice !== undefined) defaultVariantUpdate.original_price = updateData.originalPrice;
+    if (updateData.discountedPrice !== undefined) defaultVariantUpdate.discounted_price = updateData.discountedPrice;
+    if (updateData.packSize !== undefined) defaultVariantUpdate.pack_size = updateData.packSize;
+    if (Object.keys(defaultVariantUpdate).length > 0) {
+      const { error } = await supabase
+        .from('product_variants')
+        .update({ ...defaultVariantUpdate, updated_at: updateData.updated_at })
+        .eq('product_id', id)
+        .eq('is_default', true);
+      variantError = error;
+    }
+  }
+
+  // The product keeps showing the prices checkout charges: the ones of the stored default variant
+  if (variantError) {
+    console.error('Error updating product variants:', variantError);
+    await mirrorDefaultVariant(id);
+  } else if (categoryIds !== undefined) {
+    await setProductCategories(id, categoryIds);
+  }
+
+  await recordAudit({
+    actor,
+    entityType: 'product',
+    entityId: id,
+    action: revertOf ? 'revert' : 'update',
+    before,
+    after: await getProductSnapshot(id),
+    revertedFrom: revertOf
+  });
+
+  if (variantError) {
+    invalidateSearchIndex();
+    return { status: 500, error: 'Failed to update product variants', details: variantError.message };
+  }
+
+  // A revert keeps the media it replaces, as other versions may point back to it; what stays unused
+  // is left to the media GC
+  if (!revertOf) {
+    const currentMediaUrls = new Set(getRecordMediaUrls('product', data).map(({ url }) => url));
+    await releaseMedia(previousMediaUrls.filter(url => !currentMediaUrls.has(url)));
+  }
+
+  invalidateSearchIndex();
+  return { product: data };
+}
+
+// Update a product (PUT)
+app.put('/api/products/:id', requireAdmin, requirePermission('products:write', 'products:compliance'), validateRequest({ body: PRODUCT_UPDATE_SCHEMA }), async (req, res) => {
+  try {
+    const result = await updateProduct(getAuditActor(req), req.params.id, req.body);
+    if (!result.product) {
+      return sendProductWriteError(res, result);
+    }
+
+    return res.json({
+      product: await withProductVariants(await withProductTaxonomy(result.product)),
+      message: 'Product updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a product (DELETE): moves it to the trash (see TRASH). Its media is kept until it is purged.
+app.delete('/api/products/:id', requireAdmin, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await getProductSnapshot(id);
+    if (!before) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('products')
+      .update({ deleted_at: new Date().toISOString(), deleted_by: req.admin.id })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select('id, deleted_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete product', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await recordAudit({ actor: getAuditActor(req), entityType: 'product', entityId: id, action: 'delete', before });
+
+    invalidateSearchIndex();
+    return res.json({ message: 'Product moved to the trash', deleted_at: data.deleted_at, purge_at: getTrashPurgeDate(data.deleted_at) });
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== PRODUCT IMPORT & EXPORT ====================
+
+// The catalog as a spreadsheet (CSV or XLSX), one row per product. Columns with a `field` fill that
+// field of POST/PUT /api/products on import; the others are exported for reference and ignored.
+// `list` columns hold one item per line of the cell. Products are matched by id, then by SKU.
+const PRODUCT_SHEET_COLUMNS = [
+  { header: 'id' },
+  // SKU of the row's variant (the default variant on a product's first row)
+  { header: 'sku', field: 'sku' },
+  { header: 'slug', field: 'slug' },
+  { header: 'name', field: 'name' },
+  // Brand slug (or id)
+  { header: 'brand', field: 'brandId' },
+  // Category slugs (or ids)
+  { header: 'categories', field: 'categoryIds', list: true },
+  { header: 'originalPrice', field: 'originalPrice' },
+  { header: 'discountedPrice', field: 'discountedPrice' },
+  { header: 'packSize', field: 'packSize' },
+  // Variant name, strength and barcode: a product with several variants has one row per variant
+  { header: 'variant', variantOnly: true },
+  { header: 'strength', variantOnly: true },
+  { header: 'barcode', variantOnly: true },
+  { header: 'wellnessCoins', field: 'wellnessCoins' },
+  { header: 'requiresPrescription', field: 'requiresPrescription' },
+  { header: 'image', field: 'image' },
+  { header: 'images', field: 'images', list: true },
+  { header: 'video', field: 'video' },
+  { header: 'description', field: 'description' },
+  { header: 'helps', field: 'helps', list: true },
+  { header: 'details', field: 'details' },
+  { header: 'directions', field: 'directions' },
+  { header: 'ingredients', field: 'ingredients', list: true },
+  { header: 'rating' },
+  { header: 'reviews' },
+  { header: 'questions' },
+  { header: 'stock_quantity' },
+  { header: 'inStock' },
+  { header: 'created_at' },
+  { header: 'updated_at' }
+];
+// Sheet column → field of a variant (see toProductVariant) on a product's variant rows
+const PRODUCT_SHEET_VARIANT_FIELDS = {
+  sku: 'sku',
+  variant: 'name',
+  packSize: 'packSize',
+  strength: 'strength',
+  originalPrice: 'originalPrice',
+  discountedPrice: 'discountedPrice',
+  barcode: 'barcode'
+};
+const PRODUCT_IMPORT_MAX_ROWS = 5000;
+// An XLSX file is a zip: its files may not unpack to more than this, and its sheet may not have more
+// columns, so that a small file cannot fill the memory (a zip bomb)
+const PRODUCT_IMPORT_MAX_XLSX_BYTES = 100 * 1024 * 1024;
+const PRODUCT_IMPORT_MAX_COLUMNS = 100;
+// Imports with more rows run as a background job
+const PRODUCT_IMPORT_SYNC_ROWS = 100;
+// A running job saves its progress every this many rows
+const PRODUCT_IMPORT_PROGRESS_INTERVAL = 25;
+// A running job that has not saved its progress for this long stopped with its server (a restart, or
+// the end of a serverless function) and is marked failed
+const PRODUCT_IMPORT_STALE_MINUTES = 10;
+// Rows per query when reading whole tables (PostgREST returns at most 1000)
+const FETCH_ALL_PAGE_SIZE = 1000;
+// Values per .in() filter, to keep request URLs short
+const IN_FILTER_CHUNK_SIZE = 200;
+// Spreadsheet apps run cells starting with these as formulas: exported CSV cells get a leading '
+const SPREADSHEET_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Every row of a table, read page by page in a stable order
+async function fetchAllRows(table, columns, orderColumns, filter = query => query) {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_ALL_PAGE_SIZE) {
+    let query = filter(supabase.from(table).select(columns));
+    for (const column of orderColumns) {
+      query = query.order(column, { ascending: true });
+    }
+
+    const { data, error } = await query.range(from, from + FETCH_ALL_PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(`Failed to fetch ${table}: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < FETCH_ALL_PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+// Rows of a table whose column is one of the values
+async function fetchRowsIn(table, columns, column, values) {
+  const rows = [];
+  for (let index = 0; index < values.length; index += IN_FILTER_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(column, values.slice(index, index + IN_FILTER_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to fetch ${table}: ${error.message}`);
+    }
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+// RFC 4180: cells with commas, quotes or line breaks are quoted, quotes are doubled
+function toCsv(rows) {
+  return rows.map(cells => cells.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (SPREADSHEET_FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Cells of a CSV file. The delimiter is a comma, or a semicolon (Excel in some locales) when the
+// first line has semicolons and no commas.
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      rows.push(cells);
+      cells = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    rows.push(cells);
+  }
+  return rows;
+}
+
+// Text of an XLSX cell (formulas give their cached result, rich text and links their text)
+function getXlsxCellText(cell) {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if ('result' in value) return value.result === undefined || value.result === null ? '' : String(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return String(value.text);
+  return '';
+}
+
+// Total unpacked size of the files of a zip, from its central directory, or null when it cannot be
+// read (or is a zip64 archive, far over any limit here)
+function getZipUnpackedSize(buffer) {
+  // The end of central directory record is in the last 22 bytes plus a comment of up to 64KB
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) return null;
+
+  const entries = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  let size = 0;
+  for (let index = 0; index < entries; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+    const unpacked = buffer.readUInt32LE(offset + 24);
+    if (unpacked === 0xffffffff) return null;
+    size += unpacked;
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return size;
+}
+
+// Cells of the first sheet of an XLSX file, as { rows } or { error }. The sheet is streamed and
+// refused as soon as it goes over PRODUCT_IMPORT_MAX_ROWS rows or PRODUCT_IMPORT_MAX_COLUMNS columns.
+async function readXlsx(file) {
+  const unpackedSize = getZipUnpackedSize(file.buffer);
+  if (unpackedSize === null) {
+    return { error: `${file.originalname}: the XLSX file cannot be read` };
+  }
+  if (unpackedSize > PRODUCT_IMPORT_MAX_XLSX_BYTES) {
+    return { error: `${file.originalname}: the XLSX file is too large once unpacked` };
+  }
+
+  const rows = [];
+  let columnCount = 0;
+  try {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from(file.buffer), {
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'ignore',
+      worksheets: 'emit',
+      entries: 'ignore'
+    });
+
+    for await (const sheet of workbook) {
+      for await (const row of sheet) {
+        if (!row.hasValues) continue;
+        // The header is row 1
+        if (row.number > PRODUCT_IMPORT_MAX_ROWS + 1) {
+          return { error: `At most ${PRODUCT_IMPORT_MAX_ROWS} rows can be imported at once` };
+        }
+        if (row.cellCount > PRODUCT_IMPORT_MAX_COLUMNS) {
+          return { error: `${file.originalname}: the sheet has more than ${PRODUCT_IMPORT_MAX_COLUMNS} columns` };
+        }
+
+        columnCount = Math.max(columnCount, row.cellCount);
+        rows[row.number - 1] = Array.from({ length: row.cellCount }, (_, index) => getXlsxCellText(row.getCell(index + 1)));
+      }
+      // Only the first sheet is imported
+      break;
+    }
+  } catch (error) {
+    return { error: `${file.originalname}: the XLSX file cannot be read` };
+  }
+
+  return {
+    rows: Array.from(rows, cells => {
+      const padded = cells || [];
+      while (padded.length < columnCount) padded.push('');
+      return padded;
+    })
+  };
+}
+
+// Cells of an uploaded CSV or XLSX file (first sheet), as { rows } or { error }
+async function readSpreadsheet(file) {
+  if (file.buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    return readXlsx(file);
+  }
+
+  if (file.buffer.includes(0)) {
+    return { error: `${file.originalname}: upload a CSV or XLSX file` };
+  }
+  return { rows: parseCsv(file.buffer.toString('utf8').replace(/^\ufeff/, '')) };
+}
+
+// Header and product rows of the export, in id order. A product with several active variants has
+// one row per variant: its first row has the product and its default variant, the following rows
+// only the id, slug and variant columns of its other variants.
+async function getProductSheetRows() {
+  const [products, variants, links, categories, brands] = await Promise.all([
+    fetchAllRows('products', '*', ['id_number', 'id'], query => query.is('deleted_at', null)),
+    fetchAllRows('product_variants', '*', ['product_id', 'position', 'id'], query => query.eq('is_active', true)),
+    fetchAllRows('product_categories', 'product_id, category_id', ['product_id', 'category_id']),
+    fetchAllRows('categories', 'id, slug', ['id']),
+    fetchAllRows('brands', 'id, slug', ['id'])
+  ]);
+
+  const variantsByProduct = new Map();
+  for (const variant of variants) {
+    const productVariants = variantsByProduct.get(variant.product_id) || [];
+    productVariants.push(toProductVariant(variant));
+    variantsByProduct.set(variant.product_id, productVariants);
+  }
+  const categorySlugs = new Map(categories.map(category => [category.id, category.slug]));
+  const brandSlugs = new Map(brands.map(brand => [brand.id, brand.slug]));
+  const categoriesByProduct = new Map();
+  for (const link of links) {
+    const slugs = categoriesByProduct.get(link.product_id) || [];
+    slugs.push(categorySlugs.get(link.category_id));
+    categoriesByProduct.set(link.product_id, slugs);
+  }
+
+  const toCell = value => {
+    if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined).join('\n');
+    return value === null || value === undefined ? '' : value;
+  };
+
+  const rows = products.flatMap(product => {
+    const productVariants = variantsByProduct.get(product.id) || [];
+    const defaultVariant = productVariants.find(variant => variant.isDefault) || {};
+    const otherVariants = productVariants.filter(variant => variant !== defaultVariant);
+
+    const productRow = PRODUCT_SHEET_COLUMNS.map(({ header, variantOnly }) => {
+      let value = product[header];
+      if (header === 'sku' || variantOnly) value = defaultVariant[PRODUCT_SHEET_VARIANT_FIELDS[header]];
+      if (header === 'brand') value = brandSlugs.get(product.brand_id);
+      if (header === 'categories') value = categoriesByProduct.get(product.id);
+      return toCell(value);
+    });
+    const variantRows = otherVariants.map(variant => PRODUCT_SHEET_COLUMNS.map(({ header }) => {
+      if (header === 'id' || header === 'slug') return toCell(product[header]);
+      return header in PRODUCT_SHEET_VARIANT_FIELDS ? toCell(variant[PRODUCT_SHEET_VARIANT_FIELDS[header]]) : '';
+    }));
+    return [productRow, ...variantRows];
+  });
+
+  return [PRODUCT_SHEET_COLUMNS.map(column => column.header), ...rows];
+}
+
+// Value of an imported cell: trimmed, without the ' that export puts before formula-like text
+function getImportedCellValue(value) {
+  const text = String(value === null || value === undefined ? '' : value).trim();
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+// Check the rows of an import ({ row, cells }) like POST/PUT /api/products would, without writing.
+// Rows with the same id (or, for new products, the same slug) are the variants of one product, its
+// first row holding the product and its default variant. Returns one entry per product:
+// { row, variantRows?, action, id, sku, body } where action is 'create' or 'update', or
+// { row, variantRows?, action, id, sku, error, fields } for a product that cannot be imported. Blank
+// cells leave a field (or a variant's field) as it is on update.
+async function planProductImport(admin, headers, rows) {
+  const records = rows.map(({ row, cells }) => ({
+    row,
+    values: Object.fromEntries(headers.map((header, index) => [header, getImportedCellValue(cells[index])]))
+  }));
+  const ids = [...new Set(records.map(({ values }) => values.id).filter(Boolean))];
+  const skus = [...new Set(records.map(({ values }) => values.sku).filter(Boolean))];
+
+  const [variants, categories, brands] = await Promise.all([
+    fetchRowsIn('product_variants', 'product_id, sku, is_default', 'sku', skus),
+    fetchAllRows('categories', 'id, slug', ['id']),
+    fetchAllRows('brands', 'id, slug', ['id'])
+  ]);
+  const products = await fetchRowsIn('products', 'id, deleted_at', 'id', [...new Set([...ids, ...variants.map(variant => variant.product_id)])]);
+  const storedVariants = await fetchRowsIn('product_variants', '*', 'product_id', ids.filter(id => products.some(product => product.id === id)));
+
+  const productIds = new Set(products.map(product => product.id));
+  const trashedIds = new Set(products.filter(product => product.deleted_at).map(product => product.id));
+  const variantBySku = new Map(variants.map(variant => [variant.sku, variant]));
+  const categoryIds = new Map(categories.flatMap(category => [[category.id, category.id], [category.slug, category.id]]));
+  const brandIds = new Map(brands.flatMap(brand => [[brand.id, brand.id], [brand.slug, brand.id]]));
+  const rowByProduct = new Map();
+
+  const groups = new Map();
+  for (const record of records) {
+    const { id, slug } = record.values;
+    const key = id ? `id:${id}` : slug ? `slug:${slugify(slug)}` : `row:${record.row}`;
+    groups.set(key, [...(groups.get(key) || []), record]);
+  }
+
+  return [...groups.values()].map(group => {
+    const [{ row, values }, ...variantRecords] = group;
+    const entry = { row, action: 'create', id: values.id || null, sku: values.sku || null };
+    if (variantRecords.length > 0) entry.variantRows = variantRecords.map(record => record.row);
+
+    if (values.id) {
+      if (!productIds.has(values.id)) {
+        return { ...entry, action: null, error: `No product with id ${values.id}`, fields: { id: `No product with id ${values.id}` } };
+      }
+      entry.action = 'update';
+    } else if (values.sku && variantBySku.has(values.sku)) {
+      entry.action = 'update';
+      entry.id = variantBySku.get(values.sku).product_id;
+    }
+
+    // Trashed products must be restored before they can be imported over
+    if (entry.id && trashedIds.has(entry.id)) {
+      const message = `Product ${entry.id} is in the trash`;
+      return { ...entry, action: null, error: message, fields: { [values.id ? 'id' : 'sku']: message } };
+    }
+
+    const key = entry.id || entry.sku;
+    if (key && rowByProduct.has(key)) {
+      const message = `Row ${rowByProduct.get(key)} already imports this product`;
+      return { ...entry, error: message, fields: { [entry.id ? 'id' : 'sku']: message } };
+    }
+    if (key) rowByProduct.set(key, row);
+
+    // Variant rows, or variant columns, list every variant of the product
+    const hasVariantRows = variantRecords.length > 0 ||
+      PRODUCT_SHEET_COLUMNS.some(column => column.variantOnly && values[column.header]);
+    if (hasVariantRows && entry.action === 'update' && !values.id) {
+      const message = 'Give the product id to import its variants';
+      return { ...entry, error: message, fields: { id: message } };
+    }
+    // Matched by the SKU of another variant, the product columns would change the default variant
+    if (!hasVariantRows && entry.action === 'update' && !values.id && !variantBySku.get(values.sku).is_default) {
+      const message = `SKU ${values.sku} is not the default variant of product ${entry.id}: give the product id to import its variants`;
+      return { ...entry, error: message, fields: { sku: message } };
+    }
+
+    const fields = {};
+    const body = {};
+    for (const column of PRODUCT_SHEET_COLUMNS) {
+      const value = values[column.header];
+      if (column.field && value) {
+        body[column.field] = column.list ? value.split(/\r?\n/).map(item => item.trim()).filter(Boolean) : value;
+      }
+    }
+    // Matched by SKU, the SKU is the key and not a change
+    if (entry.action === 'update' && !values.id) delete body.sku;
+    if (body.requiresPrescription) body.requiresPrescription = body.requiresPrescription.toLowerCase();
+
+    if (hasVariantRows) {
+      for (const record of variantRecords) {
+        const changed = PRODUCT_SHEET_COLUMNS.filter(({ header, field }) =>
+          field && !(header in PRODUCT_SHEET_VARIANT_FIELDS) && header !== 'slug' && record.values[header]);
+        if (changed.length > 0) {
+          fields[changed[0].header] = `Row ${record.row}: product columns go on the first row of the product`;
+        }
+      }
+
+      // A row of a stored variant (found by SKU, the first row falling back to the default variant)
+      // keeps the variant's fields that its cells leave blank
+      const productVariants = entry.action === 'update'
+        ? storedVariants.filter(variant => variant.product_id === entry.id).map(toProductVariant)
+        : [];
+      body.variants = group.map((record, index) => {
+        const stored = productVariants.find(variant => variant.sku === record.values.sku) ||
+          (index === 0 ? productVariants.find(variant => variant.isDefault) : null);
+        const variant = stored
+          ? { id: stored.id, sku: stored.sku, name: stored.name, packSize: stored.packSize, strength: stored.strength, originalPrice: stored.originalPrice, discountedPrice: stored.discountedPrice, images: stored.images, barcode: stored.barcode }
+          : {};
+        for (const [header, field] of Object.entries(PRODUCT_SHEET_VARIANT_FIELDS)) {
+          if (record.values[header]) variant[field] = record.values[header];
+        }
+        variant.isDefault = index === 0;
+        return variant;
+      });
+      // The variants set the SKUs, prices and pack size
+      for (const field of ['sku', 'originalPrice', 'discountedPrice', 'packSize']) delete body[field];
+    }
+
+    if (body.brandId) {
+      if (!brandIds.has(body.brandId)) fields.brand = `Unknown brand: ${body.brandId}`;
+      body.brandId = brandIds.get(body.brandId);
+    }
+    if (body.categoryIds) {
+      const unknown = body.categoryIds.filter(category => !categoryIds.has(category));
+      if (unknown.length > 0) fields.categories = `Unknown categories: ${unknown.join(', ')}`;
+      body.categoryIds = body.categoryIds.map(category => categoryIds.get(category)).filter(Boolean);
+    }
+
+    const checked = checkSchema(entry.action === 'create' ? PRODUCT_BODY_SCHEMA : PRODUCT_UPDATE_SCHEMA, body);
+    for (const [path, message] of Object.entries(checked.fields)) {
+      // variants[1].originalPrice is the originalPrice of the product's second row
+      const variantPath = path.match(/^variants\[(\d+)\]\.(\w+)/);
+      if (variantPath) {
+        const header = Object.keys(PRODUCT_SHEET_VARIANT_FIELDS).find(name => PRODUCT_SHEET_VARIANT_FIELDS[name] === variantPath[2]) || variantPath[2];
+        fields[header] = `Row ${group[Number(variantPath[1])].row}: ${message.replace(/^variants\[\d+\]\./, '')}`;
+        continue;
+      }
+      fields[path.replace(/^brandId/, 'brand').replace(/^categoryIds(\[\d+\])?/, 'categories')] = message;
+    }
+    if (entry.action === 'create' && !hasVariantRows) {
+      for (const price of ['originalPrice', 'discountedPrice']) {
+        if (checked.values[price] === undefined && !fields[price]) fields[price] = `${price} is required`;
+      }
+    }
+
+    const forbiddenFields = getForbiddenProductFields(admin, body);
+    if (forbiddenFields.length > 0) {
+      return { ...entry, error: `You do not have permission to set: ${forbiddenFields.join(', ')}` };
+    }
+    if (Object.keys(fields).length > 0) {
+      return { ...entry, error: Object.values(fields).join('; '), fields };
+    }
+    return { ...entry, body: checked.values };
+  });
+}
+
+// Import planned rows one at a time. Returns the report: the entries without their body, with the
+// id of created products and the error of rows that failed. `onProgress(report)` is called every
+// PRODUCT_IMPORT_PROGRESS_INTERVAL rows. Changes are audited as made by `actor`.
+async function runProductImport(actor, entries, onProgress) {
+  const report = [];
+
+  for (const { body, ...entry } of entries) {
+    if (!entry.error) {
+      try {
+        const result = entry.action === 'create'
+          ? await createProduct(actor, body)
+          : await updateProduct(actor, entry.id, body);
+
+        if (result.product) {
+          entry.id = result.product.id;
+        } else {
+          entry.error = result.fields ? Object.values(result.fields).join('; ') : result.error;
+          if (result.fields) entry.fields = result.fields;
+        }
+      } catch (error) {
+        console.error(`Error importing row ${entry.row}:`, error);
+        entry.error = `Failed to import the row: ${error.message}`;
+      }
+    }
+
+    report.push(entry);
+    if (onProgress && report.length % PRODUCT_IMPORT_PROGRESS_INTERVAL === 0) {
+      await onProgress(report);
+    }
+  }
+
+  return report;
+}
+
+// Rows per outcome of an import report (or plan)
+function summarizeProductImport(entries) {
+  return {
+    rows: entries.length,
+    create: entries.filter(entry => !entry.error && entry.action === 'create').length,
+    update: entries.filter(entry => !entry.error && entry.action === 'update').length,
+    failed: entries.filter(entry => entry.error).length
+  };
+}
+
+// Import job in API responses, with its progress in percent
+function toProductImportJob(job) {
+  return {
+    ...job,
+    progress: job.total_rows > 0 ? Math.floor((job.processed_rows / job.total_rows) * 100) : 100
+  };
+}
+
+// Run an import as a job, saving its progress on the job row. The job stops if it was marked failed
+// meanwhile (see failStaleProductImportJobs).
+async function runProductImportJob(jobId, actor, entries) {
+  const saveJob = async values => {
+    const { data, error } = await supabase
+      .from('product_import_jobs')
+      .update({ ...values, heartbeat_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', 'running')
+      .select('id');
+
+    if (error) {
+      console.error('Error saving import job:', error);
+    } else if (!data || data.length === 0) {
+      throw new Error('The import job is no longer running');
+    }
+  };
+  const getCounts = report => {
+    const summary = summarizeProductImport(report);
+    return {
+      processed_rows: report.length,
+      created_count: summary.create,
+      updated_count: summary.update,
+      failed_count: summary.failed
+    };
+  };
+
+  try {
+    const report = await runProductImport(actor, entries, report => saveJob(getCounts(report)));
+    await saveJob({ ...getCounts(report), report, status: 'completed', finished_at: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error running import job:', error);
+    await saveJob({ status: 'failed', error: error.message, finished_at: new Date().toISOString() }).catch(() => {});
+  }
+}
+
+// Mark running jobs that stopped saving their progress as failed. Rows they imported stay imported.
+async function failStaleProductImportJobs() {
+  const now = new Date();
+  const { error } = await supabase
+    .from('product_import_jobs')
+    .update({
+      status: 'failed',
+      error: 'The import stopped before finishing (server restart or timeout); imported rows were kept',
+      finished_at: now.toISOString()
+    })
+    .eq('status', 'running')
+    .lt('heartbeat_at', new Date(now.getTime() - PRODUCT_IMPORT_STALE_MINUTES * 60 * 1000).toISOString());
+
+  if (error) {
+    console.error('Error failing stale import jobs:', error);
+  }
+}
+
+// Export every product as CSV or XLSX
+// Query: format (csv, the default, or xlsx)
+app.get('/api/admin/products/export', requireAdmin, requirePermission('products:write', 'products:compliance'), validateRequest({ query: { format: { type: 'string', enum: ['csv', 'xlsx'] } } }), async (req, res) => {
+  try {
+    const rows = await getProductSheetRows();
+    const fileName = `products-${getTodayDate()}`;
+
+    if (req.query.format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Products', { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.addRows(rows);
+      sheet.getRow(1).font = { bold: true };
+
+      res.setHeader('Content-Type', XLSX_MIME_TYPE);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+      return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    // The byte order mark makes Excel read the file as UTF-8
+    return res.send(`\ufeff${toCsv(rows)}`);
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import products from a CSV or XLSX file (multipart field `file`, columns as in the export).
+// Query: dryRun=true to only check the rows. Imports of more than PRODUCT_IMPORT_SYNC_ROWS rows
+// run as a job (202 with the job to poll). On Vercel, where nothing runs after the response, the job
+// runs inside the request and the finished job is returned.
+app.post('/api/admin/products/import', requireAdmin, requirePermission('products:write', 'products:compliance'), importUpload.single('file'), validateRequest({ query: { dryRun: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendValidationError(res, { file: 'file is required' });
+    }
+
+    const { rows, error } = await readSpreadsheet(req.file);
+    if (error) {
+      return sendValidationError(res, { file: error });
+    }
+
+    const headers = (rows[0] || []).map(header => String(header).trim());
+    const unknownColumns = headers.filter(header => header && !PRODUCT_SHEET_COLUMNS.some(column => column.header === header));
+    if (unknownColumns.length > 0) {
+      return sendValidationError(res, { file: `Unknown columns: ${unknownColumns.join(', ')}` });
+    }
+    if (!['id', 'sku', 'name'].some(header => headers.includes(header))) {
+      return sendValidationError(res, { file: 'The first row must name the columns (id, sku, name...)' });
+    }
+
+    // Row numbers as shown by spreadsheet apps: the header is row 1
+    const productRows = rows.slice(1)
+      .map((cells, index) => ({ row: index + 2, cells }))
+      .filter(({ cells }) => cells.some(cell => String(cell).trim()));
+    if (productRows.length === 0) {
+      return sendValidationError(res, { file: 'The file has no product rows' });
+    }
+    if (productRows.length > PRODUCT_IMPORT_MAX_ROWS) {
+      return sendValidationError(res, { file: `At most ${PRODUCT_IMPORT_MAX_ROWS} rows can be imported at once` });
+    }
+
+    const entries = await planProductImport(req.admin, headers, productRows);
+
+    if (req.query.dryRun) {
+      return res.json({
+        dryRun: true,
+        summary: summarizeProductImport(entries),
+        rows: entries.map(({ body, ...entry }) => entry)
+      });
+    }
+
+    if (entries.length > PRODUCT_IMPORT_SYNC_ROWS) {
+      const { data: job, error: jobError } = await supabase
+        .from('product_import_jobs')
+        .insert([{
+          status: 'running',
+          file_name: req.file.originalname,
+          total_rows: entries.length,
+          created_by: req.admin.id,
+          started_at: new Date().toISOString(),
+          heartbeat_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (jobError) {
+        console.error('Supabase error:', jobError);
+        return res.status(500).json({ error: 'Failed to start the import', details: jobError.message });
+      }
+
+      if (isVercel) {
+        await runProductImportJob(job.id, getAuditActor(req), entries);
+        const { data: finishedJob } = await supabase
+          .from('product_import_jobs')
+          .select('*')
+          .eq('id', job.id)
+          .maybeSingle();
+        return res.json({ job: toProductImportJob(finishedJob || job), message: 'Import finished' });
+      }
+
+      // Not awaited: the job saves its own progress and result
+      runProductImportJob(job.id, getAuditActor(req), entries);
+      return res.status(202).json({ job: toProductImportJob(job), message: 'Import started' });
+    }
+
+    const report = await runProductImport(getAuditActor(req), entries);
+    return res.json({ dryRun: false, summary: summarizeProductImport(report), rows: report });
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent import jobs, newest first (without their report)
+app.get('/api/admin/products/import/jobs', requireAdmin, requirePermission('products:write', 'products:compliance'), validateRequest({ query: PAGINATION_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 20, 100);
+
+    await failStaleProductImportJobs();
+
+    const { data, error, count } = await supabase
+      .from('product_import_jobs')
+      .select('id, status, file_name, total_rows, processed_rows, created_count, updated_count, failed_count, error, created_by, created_at, started_at, heartbeat_at, finished_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch import jobs', details: error.message });
+    }
+
+    return res.json({
+      jobs: (data || []).map(toProductImportJob),
+      pagination: buildPagination(req, { page, limit }, count || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One import job with its progress, and its per-row report once finished
+app.get('/api/admin/products/import/jobs/:id', requireAdmin, requirePermission('products:write', 'products:compliance'), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    await failStaleProductImportJobs();
+
+    const { data, error } = await supabase
+      .from('product_import_jobs')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch import job', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    return res.json({ job: toProductImportJob(data) });
+  } catch (error) {
+    console.error('Error fetching import job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END PRODUCT IMPORT & EXPORT ====================
+
+// ==================== SEARCH API ====================
+
+// Relative weight of each searchable product field
+const SEARCH_FIELD_WEIGHTS = {
+  name: 10,
+  helps: 4,
+  ingredients: 4,
+  description: 2
+};
+
+// Groups of interchangeable search terms. A query containing any entry also
+// matches the others (e.g. "blood pressure" finds "BP" and vice versa).
+const SEARCH_SYNONYMS = [
+  ['blood pressure', 'bp', 'hypertension'],
+  ['monitor', 'meter', 'machine'],
+  ['magnesium', 'mg'],
+  ['vitamin', 'vit'],
+  ['sleep', 'insomnia'],
+  ['men', 'male'],
+  ['women', 'female', 'ladies'],
+  ['heart', 'cardiac'],
+  ['sugar', 'glucose', 'diabetes']
+];
+
+// Words never offered as autocomplete suggestions
+const SEARCH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Searchable products are cached briefly so autocomplete does not hit the database on every keystroke
+const SEARCH_CACHE_TTL_MS = 60 * 1000;
+let searchIndexCache = null;
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_SNIPPET_LENGTH = 160;
+
+// Lowercase, strip accents and punctuation
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenizeSearchText(text) {
+  const normalized = normalizeSearchText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+// Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance.
+function getEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+// Typos allowed for a query term of this length
+function getAllowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+function getSearchFieldText(product, field) {
+  const value = product[field];
+  if (Array.isArray(value)) {
+    return value.filter(Boolean).join(', ');
+  }
+  return value ? String(value) : '';
+}
+
+// Pre-tokenize every searchable field of every product
+function buildSearchIndex(products) {
+  const vocabulary = new Map();
+
+  const entries = products.map(product => {
+    const fields = {};
+    for (const field of Object.keys(SEARCH_FIELD_WEIGHTS)) {
+      const text = getSearchFieldText(product, field);
+      const tokens = tokenizeSearchText(text);
+      fields[field] = { text, normalized: tokens.join(' '), tokens: new Set(tokens) };
+
+      for (const token of tokens) {
+        if (token.length < 2 || SEARCH_STOP_WORDS.has(token)) continue;
+        const weight = SEARCH_FIELD_WEIGHTS[field];
+        vocabulary.set(token, (vocabulary.get(token) || 0) + weight);
+      }
+    }
+    return { product, fields };
+  });
+
+  return { entries, vocabulary, loadedAt: Date.now() };
+}
+
+async function loadSearchIndex() {
+  if (searchIndexCache && Date.now() - searchIndexCache.loadedAt < SEARCH_CACHE_TTL_MS) {
+    return searchIndexCache;
+  }
+
+  let products;
+  try {
+    products = await fetchAllRows('products', '*', ['id'], query => query.is('deleted_at', null));
+  } catch (error) {
+    // Not cached, so the next search tries again
+    console.error('Supabase error:', error);
+    return buildSearchIndex([]);
+  }
+
+  searchIndexCache = buildSearchIndex(products);
+  return searchIndexCache;
+}
+
+// Drop the cached index after catalog writes
+function invalidateSearchIndex() {
+  searchIndexCache = null;
+}
+
+// Expand the query into groups of alternatives: every group must be matched by one of its terms.
+// Terms containing a space are phrases and match on the normalized field text.
+function expandSearchQuery(query) {
+  let remaining = ` ${normalizeSearchText(query)} `;
+  const groups = [];
+
+  // Multi-word synonyms first, so "blood pressure monitor" becomes [blood pressure|bp|...] + [monitor|...]
+  for (const synonyms of SEARCH_SYNONYMS) {
+    for (const phrase of synonyms.filter(term => term.includes(' '))) {
+      if (remaining.includes(` ${phrase} `)) {
+        remaining = remaining.replace(` ${phrase} `, ' ');
+        groups.push({ original: phrase, terms: synonyms });
+      }
+    }
+  }
+
+  for (const token of remaining.trim().split(' ').filter(Boolean)) {
+    const synonyms = SEARCH_SYNONYMS.find(group => group.includes(token));
+    groups.push({ original: token, terms: synonyms || [token] });
+  }
+
+  return groups;
+}
+
+// Best match of one term against one field: { score, matched: [field tokens], typo }
+function matchSearchTerm(term, field) {
+  if (term.includes(' ')) {
+    return ` ${field.normalized} `.includes(` ${term} `)
+      ? { score: 1, matched: term.split(' '), typo: false }
+      : null;
+  }
+
+  if (field.tokens.has(term)) {
+    return { score: 1, matched: [term], typo: false };
+  }
+
+  let best = null;
+  const allowedTypos = getAllowedTypos(term);
+
+  for (const token of field.tokens) {
+    // Prefix match ("magne" → "magnesium") for autocomplete-style queries
+    if (term.length >= 2 && token.startsWith(term)) {
+      const score = 0.8;
+      if (!best || score > best.score) best = { score, matched: [token], typo: false };
+      continue;
+    }
+
+    if (allowedTypos > 0) {
+      const distance = getEditDistance(term, token, allowedTypos);
+      if (distance <= allowedTypos) {
+        // A typo in the first letter is less likely, so it ranks lower on ties
+        const score = 0.7 - distance * 0.15 - (term[0] !== token[0] ? 0.05 : 0);
+        if (!best || score > best.score) best = { score, matched: [token], typo: true };
+      }
+    }
+  }
+
+  return best;
+}
+
+// Score one product against the expanded query. Returns null when nothing matched.
+function scoreSearchEntry(entry, groups, normalizedQuery) {
+  let score = 0;
+  let matchedGroups = 0;
+  const matchedTokens = {};
+  const corrections = {};
+
+  for (const group of groups) {
+    let groupBest = null;
+
+    group.terms.forEach((term, index) => {
+      // Synonyms count slightly less than the word the customer actually typed
+      const synonymFactor = term === group.original ? 1 : 0.9;
+
+      for (const [fieldName, field] of Object.entries(entry.fields)) {
+        const match = matchSearchTerm(term, field);
+        if (!match) continue;
+
+        const value = match.score * synonymFactor * SEARCH_FIELD_WEIGHTS[fieldName];
+        matchedTokens[fieldName] = matchedTokens[fieldName] || new Set();
+        match.matched.forEach(token => matchedTokens[fieldName].add(token));
+
+        if (!groupBest || value > groupBest.value) {
+          groupBest = { value, match, index };
+        }
+      }
+    });
+
+    if (groupBest) {
+      score += groupBest.value;
+      matchedGroups++;
+      if (groupBest.match.typo && groupBest.index === 0) {
+        corrections[group.original] = groupBest.match.matched[0];
+      }
+    }
+  }
+
+  if (matchedGroups === 0) {
+    return null;
+  }
+
+  // Prefer products that match every part of the query, and exact name phrases
+  if (matchedGroups === groups.length) score *= 1.5;
+  else score *= matchedGroups / groups.length;
+  if (normalizedQuery && ` ${entry.fields.name.normalized} `.includes(` ${normalizedQuery} `)) score += 10;
+
+  return { score, matchedGroups, matchedTokens, corrections };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML-escaped snippet of `text` around the first matched word, with matches wrapped in <mark>
+function buildSearchSnippet(text, matchedTokens) {
+  const words = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let found;
+  while ((found = wordPattern.exec(text)) !== null) {
+    if (matchedTokens.has(normalizeSearchText(found[0]))) {
+      words.push({ start: found.index, end: found.index + found[0].length });
+    }
+  }
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SEARCH_SNIPPET_LENGTH) {
+    start = Math.max(0, words[0].start - Math.floor(SEARCH_SNIPPET_LENGTH / 3));
+    end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const word of words.filter(w => w.start >= start && w.end <= end)) {
+    snippet += escapeHtml(text.slice(cursor, word.start));
+    snippet += `<mark>${escapeHtml(text.slice(word.start, word.end))}</mark>`;
+    cursor = word.end;
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+// Autocomplete: product names and catalog words starting with the last typed word
+function getSearchSuggestions(index, query, limit = 8) {
+  const tokens = tokenizeSearchText(query);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const prefix = tokens[tokens.length - 1];
+  const head = tokens.slice(0, -1).join(' ');
+  const suggestions = [];
+  const seen = new Set();
+
+  const normalizedQuery = tokens.join(' ');
+  for (const { product, fields } of index.entries) {
+    const name = fields.name.normalized;
+    if (name.startsWith(normalizedQuery) || name.includes(` ${normalizedQuery}`)) {
+      suggestions.push({ type: 'product', text: product.name, productId: product.id });
+      seen.add(name);
+    }
+  }
+
+  const terms = [...index.vocabulary.entries()]
+    .filter(([word]) => word.startsWith(prefix) && word !== prefix)
+    .sort((a, b) => b[1] - a[1])
+    .map(([word]) => (head ? `${head} ${word}` : word));
+
+  for (const text of terms) {
+    if (!seen.has(text)) {
+      suggestions.push({ type: 'term', text });
+      seen.add(text);
+    }
+  }
+
+  return suggestions.slice(0, limit);
+}
+
+const SEARCH_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  q: { type: 'string', required: true, max: 200 }
+};
+
+function parseSearchLimit(query) {
+  return { page: query.page || 1, limit: Math.min(query.limit || SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT) };
+}
+
+// Search products by name, description, helps and ingredients
+// Query: q (required), page, limit
+app.get('/api/search', validateRequest({ query: SEARCH_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const q = req.query.q.trim();
+    const options = parseSearchLimit(req.query);
+    const index = await loadSearchIndex();
+    const groups = expandSearchQuery(q);
+    const normalizedQuery = normalizeSearchText(q);
+
+    const corrections = {};
+    const matches = [];
+    for (const entry of index.entries) {
+      const result = scoreSearchEntry(entry, groups, normalizedQuery);
+      if (!result) continue;
+      Object.assign(corrections, result.corrections);
+      matches.push({ entry, ...result });
+    }
+
+    // When some products match the whole query, drop the partial matches
+    const maxGroups = Math.max(0, ...matches.map(match => match.matchedGroups));
+    const ranked = matches
+      .filter(match => match.matchedGroups === maxGroups)
+      .sort((a, b) => b.score - a.score);
+
+    const from = (options.page - 1) * options.limit;
+    const results = ranked.slice(from, from + options.limit).map(match => {
+      const highlights = {};
+      for (const [fieldName, tokens] of Object.entries(match.matchedTokens)) {
+        const snippet = buildSearchSnippet(match.entry.fields[fieldName].text, tokens);
+        if (snippet) highlights[fieldName] = snippet;
+      }
+      return {
+        product: match.entry.product,
+        score: Math.round(match.score * 100) / 100,
+        highlights
+      };
+    });
+
+    // "Did you mean" only when the query relied on typo correction
+    let didYouMean = null;
+    if (Object.keys(corrections).length > 0) {
+      didYouMean = groups.map(group => corrections[group.original] || group.original).join(' ');
+    }
+
+    return res.json({
+      query: q,
+      results,
+      didYouMean,
+      suggestions: getSearchSuggestions(index, q),
+      pagination: buildPagination(req, options, ranked.length)
+    });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Autocomplete suggestions for the search box
+app.get('/api/search/suggest', validateRequest({ query: { q: { type: 'string', max: 200 } } }), async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) {
+      return res.json({ suggestions: [] });
+    }
+
+    const index = await loadSearchIndex();
+    return res.json({ suggestions: getSearchSuggestions(index, q) });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END SEARCH API ====================
+
+// ==================== CATEGORIES, BRANDS & COLLECTIONS API ====================
+
+// "Sleep Support" → "sleep-support"
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Fetch a row by uuid or by slug
+async function findByIdOrSlug(table, value) {
+  const column = UUID_PATTERN.test(value) ? 'id' : 'slug';
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch ${table}: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Nest a flat category list under parent_id, sorted by order_index then name
+function buildCategoryTree(categories) {
+  const byId = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const category of byId.values()) {
+    const parent = category.parent_id ? byId.get(category.parent_id) : null;
+    (parent ? parent.children : roots).push(category);
+  }
+
+  const sortLevel = level => {
+    level.sort((a, b) => (a.order_index || 0) - (b.order_index || 0) || a.name.localeCompare(b.name));
+    level.forEach(category => sortLevel(category.children));
+  };
+  sortLevel(roots);
+
+  return roots;
+}
+
+async function fetchAllCategories() {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to fetch categories: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// Ids of a category and all of its descendants
+function getCategoryDescendantIds(categories, categoryId) {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parent_id === ids[i])
+      .forEach(category => ids.push(category.id));
+  }
+  return ids;
+}
+
+// Ids of products in a category (including its subcategories)
+async function getProductIdsInCategory(categoryIdOrSlug) {
+  const categories = await fetchAllCategories();
+  const category = categories.find(c => c.id === categoryIdOrSlug || c.slug === categoryIdOrSlug);
+  if (!category) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('product_categories')
+    .select('product_id')
+    .in('category_id', getCategoryDescendantIds(categories, category.id));
+
+  if (error) {
+    throw new Error(`Failed to fetch product categories: ${error.message}`);
+  }
+
+  return [...new Set((data || []).map(row => row.product_id))];
+}
+
+// Check that categoryIds / brandId from a product body exist. Returns the invalid fields
+// ({ field: message }) or null.
+async function validateProductTaxonomy({ categoryIds, brandId }) {
+  if (categoryIds && categoryIds.length > 0) {
+    const { data, error } = await supabase
+      .from('categories')
+      .select('id')
+      .in('id', categoryIds);
+
+    if (error) {
+      throw new Error(`Failed to fetch categories: ${error.message}`);
+    }
+
+    const found = new Set((data || []).map(row => row.id));
+    const missing = categoryIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      return { categoryIds: `Unknown category ids: ${missing.join(', ')}` };
+    }
+  }
+
+  if (brandId) {
+    const { data } = await supabase
+      .from('brands')
+      .select('id')
+      .eq('id', brandId)
+      .maybeSingle();
+
+    if (!data) {
+      return { brandId: `Unknown brand id: ${brandId}` };
+    }
+  }
+
+  return null;
+}
+
+// Replace the categories assigned to a product
+async function setProductCategories(productId, categoryIds) {
+  const { error: deleteError } = await supabase
+    .from('product_categories')
+    .delete()
+    .eq('product_id', productId);
+
+  if (deleteError) {
+    throw new Error(`Failed to update product categories: ${deleteError.message}`);
+  }
+
+  const uniqueIds = [...new Set(categoryIds)];
+  if (uniqueIds.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('product_categories')
+    .insert(uniqueIds.map(categoryId => ({ product_id: productId, category_id: categoryId })));
+
+  if (error) {
+    throw new Error(`Failed to update product categories: ${error.message}`);
+  }
+}
+
+// Attach categories and brand to a product for detail responses
+async function withProductTaxonomy(product) {
+  const { data: links } = await supabase
+    .from('product_categories')
+    .select('category_id')
+    .eq('product_id', product.id);
+
+  let categories = [];
+  const categoryIds = (links || []).map(link => link.category_id);
+  if (categoryIds.length > 0) {
+    const { data } = await supabase
+      .from('categories')
+      .select('*')
+      .in('id', categoryIds);
+    categories = data || [];
+  }
+
+  let brand = null;
+  if (product.brand_id) {
+    const { data } = await supabase
+      .from('brands')
+      .select('*')
+      .eq('id', product.brand_id)
+      .maybeSingle();
+    brand = data || null;
+  }
+
+  return { ...product, categories, brand };
+}
+
+// Products of the given collections, ordered by position. Returns a Map of collection id → products.
+async function fetchCollectionProducts(collectionIds) {
+  const result = new Map(collectionIds.map(id => [id, []]));
+  if (collectionIds.length === 0) {
+    return result;
+  }
+
+  const { data: links, error } = await supabase
+    .from('collection_products')
+    .select('*')
+    .in('collection_id', collectionIds)
+    .order('position', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch collection products: ${error.message}`);
+  }
+
+  const productIds = [...new Set((links || []).map(link => link.product_id))];
+  let products = [];
+  if (productIds.length > 0) {
+    const { data, error: productsError } = await supabase
+      .from('products')
+      .select('*')
+      .in('id', productIds)
+      .is('deleted_at', null);
+
+    if (productsError) {
+      throw new Error(`Failed to fetch products: ${productsError.message}`);
+    }
+    products = data || [];
+  }
+
+  const productsById = new Map(products.map(product => [product.id, product]));
+  for (const link of links || []) {
+    const product = productsById.get(link.product_id);
+    if (product) {
+      result.get(link.collection_id).push(product);
+    }
+  }
+
+  return result;
+}
+
+// Shared handler for slug conflicts on insert/update
+function sendTaxonomyWriteError(res, error, entity) {
+  if (error.code === '23505') {
+    return res.status(409).json({ error: `A ${entity} with this slug already exists` });
+  }
+  console.error('Supabase error:', error);
+  return res.status(500).json({ error: `Failed to save ${entity}`, details: error.message });
+}
+
+const CATEGORY_BODY_SCHEMA = {
+  name: { type: 'string', required: true, max: 200 },
+  // Slugified, the name is used when not given
+  slug: { type: 'string', max: 200 },
+  parentId: { type: 'uuid' },
+  description: { type: 'string', max: 2000 },
+  imageUrl: { type: 'url' },
+  orderIndex: { type: 'integer', nullable: false }
+};
+
+const BRAND_BODY_SCHEMA = {
+  name: CATEGORY_BODY_SCHEMA.name,
+  slug: CATEGORY_BODY_SCHEMA.slug,
+  logoUrl: { type: 'url' },
+  description: CATEGORY_BODY_SCHEMA.description
+};
+
+const COLLECTION_BODY_SCHEMA = {
+  name: CATEGORY_BODY_SCHEMA.name,
+  slug: CATEGORY_BODY_SCHEMA.slug,
+  description: CATEGORY_BODY_SCHEMA.description,
+  imageUrl: { type: 'url' },
+  orderIndex: CATEGORY_BODY_SCHEMA.orderIndex,
+  isActive: { type: 'boolean', nullable: false }
+};
+
+const COLLECTION_PRODUCTS_BODY_SCHEMA = {
+  productIds: { type: 'array', required: true, max: 200, items: { type: 'string' } }
+};
+
+// ---------- Categories ----------
+
+// Get all categories as a tree (or a flat list with ?flat=true)
+app.get('/api/categories', validateRequest({ query: { flat: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    const categories = await fetchAllCategories();
+    return res.json({ categories: req.query.flat ? categories : buildCategoryTree(categories) });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a category by id or slug, with its subcategories and breadcrumb path
+app.get('/api/categories/:idOrSlug', async (req, res) => {
+  try {
+    const categories = await fetchAllCategories();
+    const { idOrSlug } = req.params;
+    const category = categories.find(c => c.id === idOrSlug || c.slug === idOrSlug);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const breadcrumb = [];
+    for (let current = category; current; current = categories.find(c => c.id === current.parent_id)) {
+      breadcrumb.unshift({ id: current.id, name: current.name, slug: current.slug });
+    }
+
+    const subtree = buildCategoryTree(categories.filter(c => getCategoryDescendantIds(categories, category.id).includes(c.id)));
+
+    return res.json({ category: subtree[0], breadcrumb });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a category
+app.post('/api/categories', requireAdmin, requirePermission('products:write'), validateRequest({ body: CATEGORY_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { name, slug, parentId, description, imageUrl, orderIndex } = req.body;
+
+    if (parentId) {
+      const { data: parent } = await supabase
+        .from('categories')
+        .select('id')
+        .eq('id', parentId)
+        .maybeSingle();
+
+      if (!parent) {
+        return sendValidationError(res, { parentId: 'Parent category not found' });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('categories')
+      .insert([{
+        name,
+        slug: slugify(slug || name),
+        parent_id: parentId || null,
+        description: description || null,
+        image_url: imageUrl || null,
+        order_index: orderIndex !== undefined ? orderIndex : 0
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return sendTaxonomyWriteError(res, error, 'category');
+    }
+
+    return res.status(201).json({ category: data, message: 'Category created successfully' });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a category (moving it under a new parent is allowed, but not under its own subtree)
+app.put('/api/categories/:id', requireAdmin, requirePermission('products:write'), validateRequest({ body: toUpdateSchema(CATEGORY_BODY_SCHEMA) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, slug, parentId, description, imageUrl, orderIndex } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (slug) updateData.slug = slugify(slug);
+    if (description !== undefined) updateData.description = description || null;
+    if (imageUrl !== undefined) updateData.image_url = imageUrl || null;
+    if (orderIndex !== undefined) updateData.order_index = orderIndex;
+
+    if (parentId !== undefined) {
+      if (parentId) {
+        const categories = await fetchAllCategories();
+        if (!categories.some(c => c.id === parentId)) {
+          return sendValidationError(res, { parentId: 'Parent category not found' });
+        }
+        if (getCategoryDescendantIds(categories, id).includes(parentId)) {
+          return sendValidationError(res, { parentId: 'A category cannot be moved under itself or its subcategories' });
+        }
+      }
+      updateData.parent_id = parentId || null;
+    }
+
+    const { data, error } = await supabase
+      .from('categories')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return sendTaxonomyWriteError(res, error, 'category');
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    return res.json({ category: data, message: 'Category updated successfully' });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a category (only when it has no subcategories; product assignments are removed)
+app.delete('/api/categories/:id', requireAdmin, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await supabase
+      .from('categories')
+      .select('id', { count: 'exact', head: true })
+      .eq('parent_id', id);
+
+    if (count > 0) {
+      return res.status(409).json({ error: 'Move or delete the subcategories first' });
+    }
+
+    // Including trashed banners, which could be restored
+    const { count: bannerCount } = await supabase
+      .from('banners')
+      .select('id', { count: 'exact', head: true })
+      .eq('category_id', id);
+
+    if (bannerCount > 0) {
+      return res.status(409).json({ error: 'Banners are shown on this category page: change or purge them first' });
+    }
+
+    await supabase
+      .from('product_categories')
+      .delete()
+      .eq('category_id', id);
+
+    const { error } = await supabase
+      .from('categories')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete category', details: error.message });
+    }
+
+    return res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------- Brands ----------
+
+// Get all brands
+app.get('/api/brands', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('brands')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch brands', details: error.message });
+    }
+
+    return res.json({ brands: data || [] });
+  } catch (error) {
+    console.error('Error fetching brands:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a brand by id or slug
+app.get('/api/brands/:idOrSlug', async (req, res) => {
+  try {
+    const brand = await findByIdOrSlug('brands', req.params.idOrSlug);
+    if (!brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    return res.json({ brand });
+  } catch (error) {
+    console.error('Error fetching brand:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a brand
+app.post('/api/brands', requireAdmin, requirePermission('products:write'), validateRequest({ body: BRAND_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { name, slug, logoUrl, description } = req.body;
+
+    const { data, error } = await supabase
+      .from('brands')
+      .insert([{
+        name,
+        slug: slugify(slug || name),
+        logo_url: logoUrl || null,
+        description: description || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return sendTaxonomyWriteError(res, error, 'brand');
+    }
+
+    return res.status(201).json({ brand: data, message: 'Brand created successfully' });
+  } catch (error) {
+    console.error('Error creating brand:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a brand
+app.put('/api/brands/:id', requireAdmin, requirePermission('products:write'), validateRequest({ body: toUpdateSchema(BRAND_BODY_SCHEMA) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, slug, logoUrl, description } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (slug) updateData.slug = slugify(slug);
+    if (logoUrl !== undefined) updateData.logo_url = logoUrl || null;
+    if (description !== undefined) updateData.description = description || null;
+
+    const { data, error } = await supabase
+      .from('brands')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return sendTaxonomyWriteError(res, error, 'brand');
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    return res.json({ brand: data, message: 'Brand updated successfully' });
+  } catch (error) {
+    console.error('Error updating brand:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a brand (its products keep existing without a brand)
+app.delete('/api/brands/:id', requireAdmin, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await supabase
+      .from('products')
+      .update({ brand_id: null })
+      .eq('brand_id', id);
+
+    const { error } = await supabase
+      .from('brands')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete brand', details: error.message });
+    }
+
+    invalidateSearchIndex();
+    return res.json({ message: 'Brand deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting brand:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ---------- Collections ----------
+
+// Get active collections with their products in curated order (for the homepage)
+app.get('/api/collections', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('collections')
+      .select('*')
+      .eq('is_active', true)
+      .order('order_index', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.json({ collections: [] });
+    }
+
+    const collections = data || [];
+    const productsByCollection = await fetchCollectionProducts(collections.map(c => c.id));
+
+    return res.json({
+      collections: collections.map(collection => ({
+        ...collection,
+        products: productsByCollection.get(collection.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all collections (including inactive - for admin)
+app.get('/api/collections/all', requireAdmin, requirePermission('collections:write'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('collections')
+      .select('*')
+      .order('order_index', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch collections', details: error.message });
+    }
+
+    return res.json({ collections: data || [] });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a collection by id or slug with its products
+app.get('/api/collections/:idOrSlug', async (req, res) => {
+  try {
+    const collection = await findByIdOrSlug('collections', req.params.idOrSlug);
+    if (!collection || !collection.is_active) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const productsByCollection = await fetchCollectionProducts([collection.id]);
+    return res.json({ collection: { ...collection, products: productsByCollection.get(collection.id) } });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a collection
+app.post('/api/collections', requireAdmin, requirePermission('collections:write'), validateRequest({ body: COLLECTION_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { name, slug, description, imageUrl, orderIndex, isActive } = req.body;
+
+    const { data, error } = await supabase
+      .from('collections')
+      .insert([{
+        name,
+        slug: slugify(slug || name),
+        description: description || null,
+        image_url: imageUrl || null,
+        order_index: orderIndex !== undefined ? orderIndex : 0,
+        is_active: isActive !== undefined ? isActive : true
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return sendTaxonomyWriteError(res, error, 'collection');
+    }
+
+    return res.status(201).json({ collection: data, message: 'Collection created successfully' });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a collection
+app.put('/api/collections/:id', requireAdmin, requirePermission('collections:write'), validateRequest({ body: toUpdateSchema(COLLECTION_BODY_SCHEMA) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, slug, description, imageUrl, orderIndex, isActive } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) updateData.name = name;
+    if (slug) updateData.slug = slugify(slug);
+    if (description !== undefined) updateData.description = description || null;
+    if (imageUrl !== undefined) updateData.image_url = imageUrl || null;
+    if (orderIndex !== undefined) updateData.order_index = orderIndex;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    const { data, error } = await supabase
+      .from('collections')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      return sendTaxonomyWriteError(res, error, 'collection');
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    return res.json({ collection: data, message: 'Collection updated successfully' });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the products of a collection; the array order is the display order
+app.put('/api/collections/:id/products', requireAdmin, requirePermission('collections:write'), validateRequest({ body: COLLECTION_PRODUCTS_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { productIds } = req.body;
+
+    const { data: collection } = await supabase
+      .from('collections')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const uniqueIds = [...new Set(productIds)];
+    if (uniqueIds.length > 0) {
+      const { data: products } = await supabase
+        .from('products')
+        .select('id')
+        .in('id', uniqueIds)
+        .is('deleted_at', null);
+
+      const found = new Set((products || []).map(product => product.id));
+      const missing = uniqueIds.filter(productId => !found.has(productId));
+      if (missing.length > 0) {
+        return sendValidationError(res, { productIds: `Unknown product ids: ${missing.join(', ')}` });
+      }
+    }
+
+    const { error: deleteError } = await supabase
+      .from('collection_products')
+      .delete()
+      .eq('collection_id', id);
+
+    if (deleteError) {
+      console.error('Supabase error:', deleteError);
+      return res.status(500).json({ error: 'Failed to update collection products', details: deleteError.message });
+    }
+
+    if (uniqueIds.length > 0) {
+      const { error } = await supabase
+        .from('collection_products')
+        .insert(uniqueIds.map((productId, position) => ({ collection_id: id, product_id: productId, position })));
+
+      if (error) {
+        console.error('Supabase error:', error);
+        return res.status(500).json({ error: 'Failed to update collection products', details: error.message });
+      }
+    }
+
+    const productsByCollection = await fetchCollectionProducts([id]);
+    return res.json({
+      collection: { ...collection, products: productsByCollection.get(id) },
+      message: 'Collection products updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating collection products:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a collection
+app.delete('/api/collections/:id', requireAdmin, requirePermission('collections:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await supabase
+      .from('collection_products')
+      .delete()
+      .eq('collection_id', id);
+
+    const { error } = await supabase
+      .from('collections')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete collection', details: error.message });
+    }
+
+    return res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END CATEGORIES, BRANDS & COLLECTIONS API ====================
+
+// ==================== INVENTORY API ====================
+
+// Inventory configuration
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '10', 10);
+const NEAR_EXPIRY_DAYS = parseInt(process.env.NEAR_EXPIRY_DAYS || '90', 10);
+// Conditional batch updates that lose a race are retried this many times
+const STOCK_UPDATE_ATTEMPTS = 5;
+
+// Today as YYYY-MM-DD. A batch can be sold up to the day before its expiry date.
+function getTodayDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function addDaysToDate(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+// Sellable batches of the given variants, first-expiring first
+async function fetchSellableBatches(variantIds) {
+  if (variantIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('product_batches')
+    .select('*')
+    .in('variant_id', variantIds)
+    .gt('quantity', 0)
+    .gt('expiry_date', getTodayDate())
+    .order('expiry_date', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch stock: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// Available (unexpired, unreserved) quantity per variant id
+async function getAvailableStock(variantIds) {
+  const available = new Map(variantIds.map(id => [id, 0]));
+  for (const batch of await fetchSellableBatches(variantIds)) {
+    available.set(batch.variant_id, available.get(batch.variant_id) + batch.quantity);
+  }
+  return available;
+}
+
+// Store the available quantity on every variant of the products, and the total over the
+// active variants on the product (inStock when any active variant is in stock).
+// Returns the available quantity per product id.
+async function syncProductStock(productIds) {
+  const uniqueProductIds = [...new Set(productIds)];
+  const variantsByProduct = await fetchProductVariants(uniqueProductIds, { includeInactive: true });
+  const variants = [...variantsByProduct.values()].flat();
+  const available = await getAvailableStock(variants.map(variant => variant.id));
+  const productAvailable = new Map();
+
+  for (const variant of variants) {
+    const quantity = available.get(variant.id);
+    if (variant.stock_quantity !== quantity || variant.in_stock !== quantity > 0) {
+      const { error } = await supabase
+        .from('product_variants')
+        .update({ stock_quantity: quantity, in_stock: quantity > 0 })
+        .eq('id', variant.id);
+
+      if (error) {
+        console.error('Error syncing variant stock:', error);
+      }
+    }
+  }
+
+  for (const productId of uniqueProductIds) {
+    const quantity = variantsByProduct.get(productId)
+      .filter(variant => variant.is_active)
+      .reduce((sum, variant) => sum + available.get(variant.id), 0);
+    productAvailable.set(productId, quantity);
+
+    const { error } = await supabase
+      .from('products')
+      .update({ stock_quantity: quantity, inStock: quantity > 0 })
+      .eq('id', productId);
+
+    if (error) {
+      console.error('Error syncing product stock:', error);
+    }
+  }
+
+  invalidateSearchIndex();
+  return productAvailable;
+}
+
+async function recordStockMovement(movement) {
+  const { error } = await supabase
+    .from('stock_movements')
+    .insert([{
+      product_id: movement.productId,
+      variant_id: movement.variantId || null,
+      batch_id: movement.batchId || null,
+      quantity_change: movement.quantityChange,
+      movement_type: movement.type,
+      reason: movement.reason || null,
+      order_id: movement.orderId || null,
+      actor_id: movement.actor ? movement.actor.id : null,
+      actor_name: movement.actor ? (movement.actor.name || movement.actor.email) : null
+    }]);
+
+  if (error) {
+    console.error('Error recording stock movement:', error);
+  }
+}
+
+// Change a batch quantity by `delta` only if nobody else changed it meanwhile.
+// Returns the updated batch, or null if the batch was modified concurrently.
+async function updateBatchQuantity(batch, delta) {
+  const { data, error } = await supabase
+    .from('product_batches')
+    .update({ quantity: batch.quantity + delta, updated_at: new Date().toISOString() })
+    .eq('id', batch.id)
+    .eq('quantity', batch.quantity)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update stock: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Put reserved quantities back on their batches. Returns the allocations that could not be put back
+// (batch deleted, or still changing after STOCK_UPDATE_ATTEMPTS), which are logged as errors.
+async function restoreAllocations(allocations) {
+  const failed = [];
+
+  for (const allocation of allocations) {
+    let restored = false;
+    for (let attempt = 0; attempt < STOCK_UPDATE_ATTEMPTS && !restored; attempt++) {
+      const { data: batch } = await supabase
+        .from('product_batches')
+        .select('*')
+        .eq('id', allocation.batch_id)
+        .maybeSingle();
+
+      if (!batch) {
+        break;
+      }
+      restored = Boolean(await updateBatchQuantity(batch, allocation.quantity));
+    }
+
+    if (!restored) {
+      failed.push(allocation);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error('Error restoring stock, these quantities were not returned to their batches:', failed.map(allocation => ({
+      productId: allocation.product_id,
+      variantId: allocation.variant_id,
+      batchId: allocation.batch_id,
+      quantity: allocation.quantity
+    })));
+  }
+  return failed;
+}
+
+// Take `quantity` of a variant from its batches, first-expiring first.
+// Returns the allocations made, or null (with nothing taken) if there is not enough stock.
+async function allocateVariantStock(variant, quantity) {
+  const allocations = [];
+  let remaining = quantity;
+
+  for (let attempt = 0; attempt < STOCK_UPDATE_ATTEMPTS && remaining > 0; attempt++) {
+    const batches = await fetchSellableBatches([variant.id]);
+    if (batches.reduce((sum, batch) => sum + batch.quantity, 0) < remaining) {
+      break;
+    }
+
+    for (const batch of batches) {
+      if (remaining === 0) break;
+      const take = Math.min(batch.quantity, remaining);
+      const updated = await updateBatchQuantity(batch, -take);
+      if (!updated) {
+        // Someone else took from this batch: re-read the batches and continue
+        break;
+      }
+      allocations.push({ product_id: variant.product_id, variant_id: variant.id, batch_id: batch.id, quantity: take });
+      remaining -= take;
+    }
+  }
+
+  if (remaining > 0) {
+    await restoreAllocations(allocations);
+    return null;
+  }
+
+  return allocations;
+}
+
+// Reserve stock for every order line. Returns { allocations } or { shortages } (nothing reserved).
+async function reserveStock(lines) {
+  const allocations = [];
+
+  for (const line of lines) {
+    const lineAllocations = await allocateVariantStock({ id: line.variantId, product_id: line.productId }, line.quantity);
+    if (!lineAllocations) {
+      await restoreAllocations(allocations);
+      return {
+        shortages: [{ productId: line.productId, variantId: line.variantId, name: line.name, requested: line.quantity }]
+      };
+    }
+    allocations.push(...lineAllocations);
+  }
+
+  return { allocations };
+}
+
+// Return the stock reserved by an order (on cancellation)
+async function releaseOrderStock(order, actor) {
+  const { data: allocations, error } = await supabase
+    .from('order_stock_allocations')
+    .select('*')
+    .eq('order_id', order.id)
+    .is('released_at', null);
+
+  if (error) {
+    throw new Error(`Failed to fetch stock allocations: ${error.message}`);
+  }
+
+  if (!allocations || allocations.length === 0) {
+    return;
+  }
+
+  // Allocations that could not be put back stay unreleased
+  const failed = new Set(await restoreAllocations(allocations));
+  const released = allocations.filter(allocation => !failed.has(allocation));
+  if (released.length === 0) {
+    return;
+  }
+
+  await supabase
+    .from('order_stock_allocations')
+    .update({ released_at: new Date().toISOString() })
+    .in('id', released.map(allocation => allocation.id));
+
+  for (const allocation of released) {
+    await recordStockMovement({
+      productId: allocation.product_id,
+      variantId: allocation.variant_id,
+      batchId: allocation.batch_id,
+      quantityChange: allocation.quantity,
+      type: 'release',
+      reason: `Order ${order.order_number} cancelled`,
+      orderId: order.id,
+      actor
+    });
+  }
+
+  await syncProductStock([...new Set(released.map(allocation => allocation.product_id))]);
+}
+
+// Stock overview of a product: available quantity (in total and per variant), batches and recent movements
+app.get('/api/admin/inventory/products/:productId', requireAdmin, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { data: product } = await supabase
+      .from('products')
+      .select('id, name, stock_quantity, inStock')
+      .eq('id', productId)
+      .maybeSingle();
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const variants = (await fetchProductVariants([productId], { includeInactive: true })).get(productId);
+    const [{ data: batches }, { data: movements }, available] = await Promise.all([
+      supabase.from('product_batches').select('*').eq('product_id', productId).order('expiry_date', { ascending: true }),
+      supabase.from('stock_movements').select('*').eq('product_id', productId).order('created_at', { ascending: false }).limit(50),
+      getAvailableStock(variants.map(variant => variant.id))
+    ]);
+
+    const today = getTodayDate();
+    return res.json({
+      product,
+      availableQuantity: variants
+        .filter(variant => variant.is_active)
+        .reduce((sum, variant) => sum + available.get(variant.id), 0),
+      variants: variants.map(variant => ({
+        ...toProductVariant(variant),
+        isActive: variant.is_active,
+        availableQuantity: available.get(variant.id)
+      })),
+      batches: (batches || []).map(batch => ({ ...batch, expired: batch.expiry_date <= today })),
+      movements: movements || []
+    });
+  } catch (error) {
+    console.error('Error fetching inventory:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const BATCH_BODY_SCHEMA = {
+  variantId: { type: 'uuid' },
+  lotNumber: { type: 'string', required: true, max: 100 },
+  expiryDate: { type: 'date', required: true },
+  quantity: { type: 'integer', required: true, min: 1 },
+  reason: { type: 'string', max: 500 }
+};
+
+const STOCK_ADJUSTMENT_BODY_SCHEMA = {
+  batchId: { type: 'uuid', required: true },
+  quantityChange: {
+    type: 'integer',
+    required: true,
+    check: value => value === 0 ? 'quantityChange cannot be 0' : null
+  },
+  reason: { type: 'string', required: true, max: 500 }
+};
+
+// Receive a new batch of a product variant (variantId, default variant when omitted)
+app.post('/api/admin/inventory/products/:productId/batches', requireAdmin, requirePermission('inventory:manage'), validateRequest({ body: BATCH_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId, lotNumber, expiryDate, quantity, reason } = req.body;
+
+    const { data: product } = await supabase
+      .from('products')
+      .select('id')
+      .eq('id', productId)
+      .maybeSingle();
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const variant = await findProductVariant(productId, variantId || null);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const { data: batch, error } = await supabase
+      .from('product_batches')
+      .insert([{
+        product_id: productId,
+        variant_id: variant.id,
+        lot_number: lotNumber.trim(),
+        expiry_date: expiryDate,
+        quantity,
+        received_quantity: quantity
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This lot number already exists for the variant, adjust it instead' });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to receive batch', details: error.message });
+    }
+
+    await recordStockMovement({
+      productId,
+      variantId: variant.id,
+      batchId: batch.id,
+      quantityChange: quantity,
+      type: 'receive',
+      reason: reason || 'Batch received',
+      actor: req.admin
+    });
+
+    const available = await syncProductStock([productId]);
+    return res.status(201).json({
+      batch,
+      availableQuantity: available.get(productId),
+      variantAvailableQuantity: (await getAvailableStock([variant.id])).get(variant.id),
+      message: 'Batch received successfully'
+    });
+  } catch (error) {
+    console.error('Error receiving batch:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Adjust the quantity of a batch (damage, count correction, write-off...). A reason is required.
+app.post('/api/admin/inventory/adjustments', requireAdmin, requirePermission('inventory:manage'), validateRequest({ body: STOCK_ADJUSTMENT_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { batchId, quantityChange: delta, reason } = req.body;
+
+    let updated = null;
+    for (let attempt = 0; attempt < STOCK_UPDATE_ATTEMPTS && !updated; attempt++) {
+      const { data: batch } = await supabase
+        .from('product_batches')
+        .select('*')
+        .eq('id', batchId)
+        .maybeSingle();
+
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      if (batch.quantity + delta < 0) {
+        return res.status(409).json({ error: `Batch only has ${batch.quantity} units` });
+      }
+
+      updated = await updateBatchQuantity(batch, delta);
+    }
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Stock is changing too quickly, please retry' });
+    }
+
+    await recordStockMovement({
+      productId: updated.product_id,
+      variantId: updated.variant_id,
+      batchId: updated.id,
+      quantityChange: delta,
+      type: 'adjustment',
+      reason: reason.trim(),
+      actor: req.admin
+    });
+
+    const available = await syncProductStock([updated.product_id]);
+    return res.json({
+      batch: updated,
+      availableQuantity: available.get(updated.product_id),
+      message: 'Stock adjusted successfully'
+    });
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Active variants at or below a stock threshold, one entry per variant.
+// Query: threshold (default LOW_STOCK_THRESHOLD)
+app.get('/api/admin/inventory/low-stock', requireAdmin, requirePermission('inventory:manage'), validateRequest({ query: { threshold: { type: 'integer', min: 0 } } }), async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? req.query.threshold : LOW_STOCK_THRESHOLD;
+
+    const { data: products, error } = await supabase
+      .from('products')
+      .select('id, name, image, packSize')
+      .is('deleted_at', null);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch products', details: error.message });
+    }
+
+    const variantsByProduct = await fetchProductVariants((products || []).map(product => product.id));
+    const variants = [...variantsByProduct.values()].flat();
+    const available = await getAvailableStock(variants.map(variant => variant.id));
+    const lowStock = (products || [])
+      .flatMap(product => variantsByProduct.get(product.id).map(variant => ({
+        ...product,
+        packSize: variant.pack_size,
+        variant_id: variant.id,
+        variant_name: variant.name,
+        sku: variant.sku,
+        availableQuantity: available.get(variant.id)
+      })))
+      .filter(product => product.availableQuantity <= threshold)
+      .sort((a, b) => a.availableQuantity - b.availableQuantity);
+
+    return res.json({ threshold, products: lowStock });
+  } catch (error) {
+    console.error('Error building low-stock report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Batches with stock that expire within N days (already-expired stock is included and flagged)
+// Query: days (default NEAR_EXPIRY_DAYS)
+app.get('/api/admin/inventory/near-expiry', requireAdmin, requirePermission('inventory:manage'), validateRequest({ query: { days: { type: 'integer', min: 0 } } }), async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? req.query.days : NEAR_EXPIRY_DAYS;
+
+    const today = getTodayDate();
+    const { data: batches, error } = await supabase
+      .from('product_batches')
+      .select('*')
+      .gt('quantity', 0)
+      .lte('expiry_date', addDaysToDate(today, days))
+      .order('expiry_date', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch batches', details: error.message });
+    }
+
+    const productIds = [...new Set((batches || []).map(batch => batch.product_id))];
+    let products = [];
+    if (productIds.length > 0) {
+      const { data } = await supabase
+        .from('products')
+        .select('id, name')
+        .in('id', productIds);
+      products = data || [];
+    }
+
+    const productNames = new Map(products.map(product => [product.id, product.name]));
+    const variantsByProduct = await fetchProductVariants(productIds, { includeInactive: true });
+    const variantsById = new Map([...variantsByProduct.values()].flat().map(variant => [variant.id, variant]));
+    return res.json({
+      days,
+      batches: (batches || []).map(batch => ({
+        ...batch,
+        product_name: productNames.get(batch.product_id) || null,
+        variant_name: variantsById.has(batch.variant_id) ? variantsById.get(batch.variant_id).name : null,
+        sku: variantsById.has(batch.variant_id) ? variantsById.get(batch.variant_id).sku : null,
+        expired: batch.expiry_date <= today,
+        days_left: Math.round((Date.parse(batch.expiry_date) - Date.parse(today)) / 86400000)
+      }))
+    });
+  } catch (error) {
+    console.error('Error building near-expiry report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recompute stock_quantity / inStock for every product and variant (batches that expired since the last
+// stock change are only dropped from the stored quantity here; cart and checkout always use live stock)
+app.post('/api/admin/inventory/sync', requireAdmin, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { data: products, error } = await supabase
+      .from('products')
+      .select('id');
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch products', details: error.message });
+    }
+
+    const available = await syncProductStock((products || []).map(product => product.id));
+    return res.json({ message: 'Stock synchronized', products: available.size });
+  } catch (error) {
+    console.error('Error syncing stock:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END INVENTORY API ====================
+
+// ==================== PROMOTIONS API ====================
+
+// Promotions with a code are coupons the customer applies to the cart; promotions without
+// a code apply automatically. Stacking: promotions marked stackable combine with each other,
+// the others never combine, and the cart gets whichever option gives the larger discount.
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+function normalizeCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function isPromotionLive(promotion, now = new Date()) {
+  return promotion.is_active &&
+    (!promotion.starts_at || new Date(promotion.starts_at) <= now) &&
+    (!promotion.ends_at || new Date(promotion.ends_at) > now);
+}
+
+const PROMOTION_STATUSES = ['live', 'scheduled', 'expired', 'inactive'];
+
+const PROMOTION_BODY_SCHEMA = {
+  name: { type: 'string', required: true, max: 200 },
+  description: { type: 'string', max: 2000 },
+  // Empty for an automatic promotion
+  code: {
+    type: 'string',
+    check: value => COUPON_CODE_PATTERN.test(normalizeCouponCode(value)) ? null : 'code must be 3-32 letters, digits, - or _'
+  },
+  type: { type: 'string', required: true, enum: PROMOTION_TYPES },
+  value: { type: 'number', min: 0 },
+  productIds: { type: 'array', items: { type: 'string' } },
+  categoryIds: { type: 'array', items: { type: 'uuid' } },
+  minSubtotal: { type: 'number', min: 0 },
+  maxDiscount: { type: 'number', min: 0 },
+  buyQuantity: { type: 'integer', min: 1 },
+  getQuantity: { type: 'integer', min: 1 },
+  startsAt: { type: 'datetime' },
+  endsAt: { type: 'datetime' },
+  usageLimit: { type: 'integer', min: 1 },
+  usageLimitPerCustomer: { type: 'integer', min: 1 },
+  stackable: { type: 'boolean', nullable: false },
+  isActive: { type: 'boolean', nullable: false }
+};
+
+// Column of each PROMOTION_BODY_SCHEMA field
+const PROMOTION_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  code: 'code',
+  type: 'type',
+  value: 'value',
+  productIds: 'product_ids',
+  categoryIds: 'category_ids',
+  minSubtotal: 'min_subtotal',
+  maxDiscount: 'max_discount',
+  buyQuantity: 'buy_quantity',
+  getQuantity: 'get_quantity',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  usageLimit: 'usage_limit',
+  usageLimitPerCustomer: 'usage_limit_per_customer',
+  stackable: 'stackable',
+  isActive: 'is_active'
+};
+
+// Columns of a promotion body checked against PROMOTION_BODY_SCHEMA. For updates, `existing` is
+// merged in so the rules that depend on the type and dates are checked on the result as a whole.
+// Returns { data } with only the given fields, or { fields }.
+function parsePromotionBody(body, existing = null) {
+  const data = {};
+  for (const [field, column] of Object.entries(PROMOTION_COLUMNS)) {
+    if (body[field] !== undefined) data[column] = body[field];
+  }
+  if (data.name !== undefined) data.name = data.name.trim();
+  if (data.description !== undefined) data.description = data.description || null;
+  if (data.code !== undefined) data.code = data.code ? normalizeCouponCode(data.code) : null;
+  if (data.product_ids !== undefined) data.product_ids = data.product_ids || [];
+  if (data.category_ids !== undefined) data.category_ids = data.category_ids || [];
+
+  const promotion = { ...(existing || {}), ...data };
+  const value = promotion.value === null || promotion.value === undefined ? null : Number(promotion.value);
+
+  if (promotion.type === 'percentage' && !(value > 0 && value <= 100)) {
+    return { fields: { value: 'value must be a percentage between 0 and 100' } };
+  }
+
+  if (promotion.type === 'fixed_amount' && !(value > 0)) {
+    return { fields: { value: 'value must be a positive amount' } };
+  }
+
+  if (promotion.type === 'buy_x_get_y') {
+    if (!promotion.buy_quantity || !promotion.get_quantity) {
+      const fields = {};
+      if (!promotion.buy_quantity) fields.buyQuantity = 'buyQuantity is required for buy_x_get_y promotions';
+      if (!promotion.get_quantity) fields.getQuantity = 'getQuantity is required for buy_x_get_y promotions';
+      return { fields };
+    }
+    // value is the percentage off the "get" items; 100 (free) unless set
+    if (value !== null && !(value > 0 && value <= 100)) {
+      return { fields: { value: 'value must be a percentage between 0 and 100' } };
+    }
+  }
+
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.ends_at) <= new Date(promotion.starts_at)) {
+    return { fields: { endsAt: 'endsAt must be after startsAt' } };
+  }
+
+  return { data };
+}
+
+// How many orders used a promotion, overall and by this customer (by account or email)
+async function countPromotionRedemptions(promotionId, { customerId = null, email = null } = {}) {
+  const countBy = async (column, value) => {
+    let query = supabase
+      .from('promotion_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promotion_id', promotionId);
+
+    if (column) {
+      query = query.eq(column, value);
+    }
+
+    const { count, error } = await query;
+    if (error) {
+      throw new Error(`Failed to count promotion usage: ${error.message}`);
+    }
+    return count || 0;
+  };
+
+  const [total, byCustomer, byEmail] = await Promise.all([
+    countBy(null),
+    customerId ? countBy('customer_id', customerId) : 0,
+    email ? countBy('email', email) : 0
+  ]);
+
+  return { total, byCustomer: Math.max(byCustomer, byEmail) };
+}
+
+// Why a promotion cannot be used right now because of its usage limits (null when it can)
+async function getPromotionLimitReason(promotion, identity) {
+  if (!promotion.usage_limit && !promotion.usage_limit_per_customer) {
+    return null;
+  }
+
+  const usage = await countPromotionRedemptions(promotion.id, identity);
+
+  if (promotion.usage_limit && usage.total >= promotion.usage_limit) {
+    return 'This promotion has been fully redeemed';
+  }
+
+  if (promotion.usage_limit_per_customer && usage.byCustomer >= promotion.usage_limit_per_customer) {
+    return 'You have already used this promotion the maximum number of times';
+  }
+
+  return null;
+}
+
+// Discount of one promotion on the available cart lines: { amount, shipping } or { reason }
+function computePromotionDiscount(promotion, { lines, subtotal, shippingFee, isEligible }) {
+  if (promotion.min_subtotal && subtotal < promotion.min_subtotal) {
+    return { reason: `Spend at least ${promotion.min_subtotal} to use this promotion` };
+  }
+
+  const scoped = (promotion.product_ids || []).length > 0 || (promotion.category_ids || []).length > 0;
+  const eligible = lines.filter(line => isEligible(promotion, line));
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  if (scoped && eligible.length === 0) {
+    return { reason: 'No items in your cart qualify for this promotion' };
+  }
+
+  let amount = 0;
+  switch (promotion.type) {
+    case 'percentage':
+      amount = (eligibleSubtotal * promotion.value) / 100;
+      if (promotion.max_discount) {
+        amount = Math.min(amount, promotion.max_discount);
+      }
+      break;
+    case 'fixed_amount':
+      amount = Math.min(promotion.value, eligibleSubtotal);
+      break;
+    case 'free_shipping':
+      if (shippingFee <= 0) {
+        return { reason: 'Shipping is already free' };
+      }
+      return { amount: shippingFee, shipping: true };
+    case 'buy_x_get_y': {
+      // Most expensive units first, so the discounted "get" units are the cheapest of each group
+      const units = eligible
+        .flatMap(line => Array(line.quantity).fill(line.unitPrice))
+        .sort((a, b) => b - a);
+      const groupSize = promotion.buy_quantity + promotion.get_quantity;
+      const percentOff = promotion.value || 100;
+
+      units.forEach((price, index) => {
+        if (index % groupSize >= promotion.buy_quantity && index - (index % groupSize) + groupSize <= units.length) {
+          amount += (price * percentOff) / 100;
+        }
+      });
+
+      if (amount === 0) {
+        return { reason: `Add ${groupSize} qualifying items to use this promotion` };
+      }
+      break;
+    }
+    default:
+      return { reason: 'Unknown promotion type' };
+  }
+
+  return { amount: roundMoney(amount), shipping: false };
+}
+
+// Apply automatic promotions and the cart's coupon to the available lines.
+// Returns { discounts, discountTotal, coupon } where coupon explains whether the code was applied.
+async function applyPromotions(lines, { subtotal, shippingFee, couponCode = null, customerId = null, email = null }) {
+  const code = couponCode ? normalizeCouponCode(couponCode) : null;
+  const none = { discounts: [], discountTotal: 0, coupon: null };
+
+  let query = supabase
+    .from('promotions')
+    .select('*')
+    .eq('is_active', true);
+
+  query = code && COUPON_CODE_PATTERN.test(code)
+    ? query.or(`code.is.null,code.eq.${code}`)
+    : query.is('code', null);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch promotions: ${error.message}`);
+  }
+
+  const promotions = (data || []).filter(promotion => isPromotionLive(promotion));
+  const couponPromotion = code ? promotions.find(promotion => promotion.code === code) : null;
+
+  if (lines.length === 0 || promotions.length === 0) {
+    const reason = !couponPromotion ? 'This coupon is not valid' : 'Your cart is empty';
+    return { ...none, coupon: code ? { code, applied: false, reason } : null };
+  }
+
+  // Category scopes include subcategories
+  const productIds = [...new Set(lines.map(line => line.productId))];
+  const productCategories = new Map(productIds.map(id => [id, new Set()]));
+  const categoryScopes = new Map();
+
+  if (promotions.some(promotion => (promotion.category_ids || []).length > 0)) {
+    const [categories, { data: links }] = await Promise.all([
+      fetchAllCategories(),
+      supabase.from('product_categories').select('product_id, category_id').in('product_id', productIds)
+    ]);
+
+    (links || []).forEach(link => productCategories.get(link.product_id).add(link.category_id));
+    promotions.forEach(promotion => {
+      const ids = (promotion.category_ids || []).flatMap(id => getCategoryDescendantIds(categories, id));
+      categoryScopes.set(promotion.id, new Set(ids));
+    });
+  }
+
+  const isEligible = (promotion, line) => {
+    const byProduct = (promotion.product_ids || []).length > 0;
+    const byCategory = (promotion.category_ids || []).length > 0;
+    if (!byProduct && !byCategory) {
+      return true;
+    }
+    if (byProduct && promotion.product_ids.includes(line.productId)) {
+      return true;
+    }
+    const scope = categoryScopes.get(promotion.id);
+    return byCategory && [...productCategories.get(line.productId)].some(id => scope.has(id));
+  };
+
+  const identity = { customerId, email };
+  const results = [];
+  for (const promotion of promotions) {
+    const result = computePromotionDiscount(promotion, { lines, subtotal, shippingFee, isEligible });
+    if (!result.reason) {
+      result.reason = await getPromotionLimitReason(promotion, identity);
+    }
+    results.push({ promotion, ...result });
+  }
+
+  // Either all stackable promotions together, or the best single non-stackable one
+  const usable = results.filter(result => !result.reason && result.amount > 0);
+  const combine = candidates => {
+    let merchandiseLeft = subtotal;
+    let shippingLeft = shippingFee;
+    return [...candidates]
+      .sort((a, b) => b.amount - a.amount)
+      .map(result => {
+        const amount = result.shipping
+          ? Math.min(result.amount, shippingLeft)
+          : Math.min(result.amount, merchandiseLeft);
+        if (result.shipping) shippingLeft -= amount; else merchandiseLeft -= amount;
+        return { ...result, amount: roundMoney(amount) };
+      })
+      .filter(result => result.amount > 0);
+  };
+  const sumOf = applied => applied.reduce((sum, result) => sum + result.amount, 0);
+
+  const options = [combine(usable.filter(result => result.promotion.stackable))];
+  usable.filter(result => !result.promotion.stackable).forEach(result => options.push(combine([result])));
+  const applied = options.reduce((best, option) => (sumOf(option) > sumOf(best) ? option : best), []);
+
+  let coupon = null;
+  if (code) {
+    const couponResult = results.find(result => result.promotion === couponPromotion);
+    const isApplied = applied.some(result => result.promotion === couponPromotion);
+    coupon = {
+      code,
+      applied: isApplied,
+      reason: isApplied ? null : (!couponResult
+        ? 'This coupon is not valid'
+        : (couponResult.reason || 'A better promotion is already applied to your cart'))
+    };
+  }
+
+  return {
+    discounts: applied.map(result => ({
+      promotionId: result.promotion.id,
+      name: result.promotion.name,
+      code: result.promotion.code || null,
+      type: result.promotion.type,
+      amount: result.amount
+    })),
+    discountTotal: roundMoney(sumOf(applied)),
+    coupon
+  };
+}
+
+// Record the promotions used by an order. Returns an error message when a usage limit
+// was reached by a concurrent order in the meantime, otherwise null.
+async function recordPromotionRedemptions(order, discounts, identity) {
+  if (discounts.length === 0) {
+    return null;
+  }
+
+  const { error } = await supabase
+    .from('promotion_redemptions')
+    .insert(discounts.map(discount => ({
+      promotion_id: discount.promotionId,
+      order_id: order.id,
+      customer_id: identity.customerId || null,
+      email: identity.email || null,
+      discount: discount.amount
+    })));
+
+  if (error) {
+    throw new Error(`Failed to record promotion usage: ${error.message}`);
+  }
+
+  const { data: promotions } = await supabase
+    .from('promotions')
+    .select('*')
+    .in('id', discounts.map(discount => discount.promotionId));
+
+  for (const promotion of promotions || []) {
+    if (!promotion.usage_limit && !promotion.usage_limit_per_customer) {
+      continue;
+    }
+
+    const usage = await countPromotionRedemptions(promotion.id, identity);
+    if ((promotion.usage_limit && usage.total > promotion.usage_limit) ||
+        (promotion.usage_limit_per_customer && usage.byCustomer > promotion.usage_limit_per_customer)) {
+      return `${promotion.name} is no longer available, please review your cart`;
+    }
+  }
+
+  return null;
+}
+
+// A cancelled order gives its promotion usage back
+async function releasePromotionRedemptions(order) {
+  const { error } = await supabase
+    .from('promotion_redemptions')
+    .delete()
+    .eq('order_id', order.id);
+
+  if (error) {
+    console.error('Error releasing promotion usage:', error);
+  }
+}
+
+// Add times_used to promotions for the admin screens
+async function withPromotionUsage(promotions) {
+  if (promotions.length === 0) {
+    return [];
+  }
+
+  const { data } = await supabase
+    .from('promotion_redemptions')
+    .select('promotion_id')
+    .in('promotion_id', promotions.map(promotion => promotion.id));
+
+  const counts = new Map();
+  (data || []).forEach(row => counts.set(row.promotion_id, (counts.get(row.promotion_id) || 0) + 1));
+
+  return promotions.map(promotion => ({ ...promotion, times_used: counts.get(promotion.id) || 0 }));
+}
+
+function sendPromotionWriteError(res, error) {
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'A promotion with this code already exists' });
+  }
+  console.error('Supabase error:', error);
+  return res.status(500).json({ error: 'Failed to save promotion', details: error.message });
+}
+
+const PROMOTION_LIST_QUERY_SCHEMA = {
+  status: { type: 'string', enum: PROMOTION_STATUSES },
+  type: { type: 'string', enum: PROMOTION_TYPES }
+};
+
+// List promotions (admin). Query: status (live, scheduled, expired, inactive), type
+app.get('/api/admin/promotions', requireAdmin, requirePermission('promotions:write'), validateRequest({ query: PROMOTION_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    let query = supabase
+      .from('promotions')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (req.query.type) {
+      query = query.eq('type', req.query.type);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch promotions', details: error.message });
+    }
+
+    const now = new Date();
+    const getStatus = promotion => {
+      if (!promotion.is_active) return 'inactive';
+      if (promotion.starts_at && new Date(promotion.starts_at) > now) return 'scheduled';
+      if (promotion.ends_at && new Date(promotion.ends_at) <= now) return 'expired';
+      return 'live';
+    };
+
+    const promotions = (await withPromotionUsage(data || []))
+      .map(promotion => ({ ...promotion, status: getStatus(promotion) }))
+      .filter(promotion => !req.query.status || promotion.status === req.query.status);
+
+    return res.json({ promotions });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get one promotion (admin)
+app.get('/api/admin/promotions/:id', requireAdmin, requirePermission('promotions:write'), async (req, res) => {
+  try {
+    const { data } = await supabase
+      .from('promotions')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!data) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const [promotion] = await withPromotionUsage([data]);
+    return res.json({ promotion });
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a promotion. Leave code empty for an automatic promotion.
+app.post('/api/admin/promotions', requireAdmin, requirePermission('promotions:write'), validateRequest({ body: PROMOTION_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const parsed = parsePromotionBody(req.body);
+    if (parsed.fields) {
+      return sendValidationError(res, parsed.fields);
+    }
+
+    const { data, error } = await supabase
+      .from('promotions')
+      .insert([{
+        description: null,
+        code: null,
+        value: null,
+        product_ids: [],
+        category_ids: [],
+        stackable: false,
+        is_active: true,
+        ...parsed.data,
+        created_by: req.admin.id
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return sendPromotionWriteError(res, error);
+    }
+
+    return res.status(201).json({ promotion: data, message: 'Promotion created successfully' });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a promotion
+app.put('/api/admin/promotions/:id', requireAdmin, requirePermission('promotions:write'), validateRequest({ body: toUpdateSchema(PROMOTION_BODY_SCHEMA) }), async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from('promotions')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const parsed = parsePromotionBody(req.body, existing);
+    if (parsed.fields) {
+      return sendValidationError(res, parsed.fields);
+    }
+
+    const { data, error } = await supabase
+      .from('promotions')
+      .update({ ...parsed.data, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      return sendPromotionWriteError(res, error);
+    }
+
+    return res.json({ promotion: data, message: 'Promotion updated successfully' });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a promotion that was never used (used ones can be deactivated with isActive: false)
+app.delete('/api/admin/promotions/:id', requireAdmin, requirePermission('promotions:write'), async (req, res) => {
+  try {
+    const { total } = await countPromotionRedemptions(req.params.id);
+    if (total > 0) {
+      return res.status(409).json({ error: 'This promotion has been used by orders; deactivate it instead' });
+    }
+
+    const { data, error } = await supabase
+      .from('promotions')
+      .delete()
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete promotion', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    return res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check a coupon code. With an X-Cart-Token header the discount is previewed on that cart
+// (without applying the coupon to it).
+app.post('/api/coupons/validate', optionalCustomer, validateRequest({ body: { code: { type: 'string', required: true, max: 64 } } }), async (req, res) => {
+  try {
+    const code = normalizeCouponCode(req.body.code);
+
+    const { data: promotion } = COUPON_CODE_PATTERN.test(code)
+      ? await supabase.from('promotions').select('*').eq('code', code).maybeSingle()
+      : { data: null };
+
+    if (!promotion || !isPromotionLive(promotion)) {
+      return res.json({ valid: false, code, reason: 'This coupon is not valid' });
+    }
+
+    const summary = {
+      name: promotion.name,
+      description: promotion.description,
+      type: promotion.type,
+      value: promotion.value,
+      min_subtotal: promotion.min_subtotal,
+      ends_at: promotion.ends_at
+    };
+
+    const token = req.get('x-cart-token');
+    if (!token) {
+      const reason = await getPromotionLimitReason(promotion, { customerId: req.customer ? req.customer.id : null });
+      return res.json({ valid: !reason, code, reason, promotion: summary });
+    }
+
+    const { data: cart } = await supabase
+      .from('carts')
+      .select('*')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (!cart || cart.status !== 'active') {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const priced = await priceCart({ ...cart, coupon_code: code }, { customerId: req.customer ? req.customer.id : null });
+    const discount = priced.totals.discounts.find(entry => entry.promotionId === promotion.id);
+
+    return res.json({
+      valid: priced.coupon.applied,
+      code,
+      reason: priced.coupon.reason,
+      promotion: summary,
+      discount: discount ? discount.amount : 0,
+      totals: priced.totals
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END PROMOTIONS API ====================
+
+// ==================== CART & CHECKOUT API ====================
+
+// Checkout configuration
+const SHIPPING_FEE = parseFloat(process.env.SHIPPING_FEE || '0');
+// Orders with a subtotal at or above this ship for free (0 = never)
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || '0');
+const PAYMENT_METHODS = ['cod', 'bank_transfer', 'card'];
+const MAX_CART_LINE_QUANTITY = 99;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// e.g. BM-20250114-7K2Q9X
+function generateOrderNumber() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase().padStart(6, '0').slice(-6);
+  return `BM-${date}-${suffix}`;
+}
+
+// Middleware: load the active cart identified by the X-Cart-Token header into req.cart
+async function requireCart(req, res, next) {
+  try {
+    const token = req.get('x-cart-token');
+    if (!token) {
+      return res.status(400).json({ error: 'X-Cart-Token header is required' });
+    }
+
+    const { data: cart, error } = await supabase
+      .from('carts')
+      .select('*')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch cart', details: error.message });
+    }
+
+    if (!cart || cart.status !== 'active') {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    req.cart = cart;
+    next();
+  } catch (error) {
+    console.error('Error loading cart:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Why `quantity` of a product cannot be bought right now (null when it can)
+function getProductUnavailableReason(product, availableQuantity, quantity) {
+  if (!product) return 'unavailable';
+  if (!availableQuantity) return 'out_of_stock';
+  if (quantity > availableQuantity) return 'insufficient_stock';
+  return null;
+}
+
+// Re-price every cart line from the current variant data.
+// Lines whose product or variant was deleted, deactivated or is out of stock are kept but flagged
+// and excluded from totals.
+// identity ({ customerId, email }) is used for per-customer promotion limits; the cart's
+// customer is used when it is not given
+async function priceCart(cart, identity = {}) {
+  const { data: items, error } = await supabase
+    .from('cart_items')
+    .select('*')
+    .eq('cart_id', cart.id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch cart items: ${error.message}`);
+  }
+
+  const productIds = [...new Set((items || []).map(item => item.product_id))];
+  let products = [];
+  if (productIds.length > 0) {
+    const { data, error: productsError } = await supabase
+      .from('products')
+      .select('*')
+      .in('id', productIds)
+      .is('deleted_at', null);
+
+    if (productsError) {
+      throw new Error(`Failed to fetch products: ${productsError.message}`);
+    }
+    products = data || [];
+  }
+
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const variantsByProduct = await fetchProductVariants(productIds);
+  const variantsById = new Map([...variantsByProduct.values()].flat().map(variant => [variant.id, variant]));
+  const availableStock = await getAvailableStock([...variantsById.keys()]);
+  const lines = (items || []).map(item => {
+    const variant = variantsById.get(item.variant_id) || null;
+    const product = variant ? productsById.get(item.product_id) || null : null;
+    const unitPrice = product ? parseFloat(variant.discounted_price) : 0;
+    const availableQuantity = availableStock.get(item.variant_id) || 0;
+    const issue = getProductUnavailableReason(product, availableQuantity, item.quantity);
+
+    return {
+      productId: item.product_id,
+      variantId: item.variant_id,
+      name: product ? product.name : null,
+      variantName: variant ? variant.name : null,
+      sku: variant ? variant.sku : null,
+      image: product ? ((variant.images || [])[0] || product.image) : null,
+      packSize: variant ? variant.pack_size : null,
+      strength: variant ? variant.strength : null,
+      requiresPrescription: Boolean(product && product.requiresPrescription),
+      originalPrice: product ? parseFloat(variant.original_price) : null,
+      unitPrice,
+      quantity: item.quantity,
+      availableQuantity,
+      lineTotal: roundMoney(unitPrice * item.quantity),
+      coinsEarned: getLineCoins(product, item.quantity),
+      available: !issue,
+      issue,
+      product
+    };
+  });
+
+  const subtotal = roundMoney(lines.filter(line => line.available).reduce((sum, line) => sum + line.lineTotal, 0));
+  const coinsToEarn = lines.filter(line => line.available).reduce((sum, line) => sum + line.coinsEarned, 0);
+  const freeShipping = FREE_SHIPPING_THRESHOLD > 0 && subtotal >= FREE_SHIPPING_THRESHOLD;
+  const shippingFee = subtotal > 0 && !freeShipping ? SHIPPING_FEE : 0;
+  const promotions = await applyPromotions(lines.filter(line => line.available), {
+    subtotal,
+    shippingFee,
+    couponCode: cart.coupon_code || null,
+    customerId: identity.customerId || cart.customer_id || null,
+    email: identity.email || null
+  });
+
+  return {
+    lines,
+    totals: {
+      itemCount: lines.filter(line => line.available).reduce((sum, line) => sum + line.quantity, 0),
+      subtotal,
+      shippingFee,
+      discounts: promotions.discounts,
+      discount: promotions.discountTotal,
+      total: roundMoney(subtotal + shippingFee - promotions.discountTotal),
+      coinsToEarn
+    },
+    coupon: promotions.coupon,
+    hasIssues: lines.some(line => !line.available),
+    requiresPrescription: lines.some(line => line.available && line.requiresPrescription)
+  };
+}
+
+// Public shape of a priced cart (internal product rows are not exposed)
+function toCartResponse(cart, priced) {
+  return {
+    token: cart.token,
+    status: cart.status,
+    lines: priced.lines.map(({ product, ...line }) => line),
+    totals: priced.totals,
+    coupon: priced.coupon,
+    hasIssues: priced.hasIssues,
+    requiresPrescription: priced.requiresPrescription,
+    updated_at: cart.updated_at
+  };
+}
+
+async function touchCart(cart) {
+  await supabase
+    .from('carts')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', cart.id);
+}
+
+// Bring the guest cart of `token` into the account of a customer who just logged in. Without another
+// active cart the guest cart is attached to the customer; otherwise its lines (quantities added up),
+// coupon and prescriptions move to the customer's latest cart and it is marked 'merged'.
+// Returns the customer's cart, or null when the token is not an active cart the customer may take.
+async function mergeGuestCart(customer, token) {
+  const { data: guestCart, error } = await supabase
+    .from('carts')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch cart: ${error.message}`);
+  }
+  if (!guestCart || guestCart.status !== 'active' || (guestCart.customer_id && guestCart.customer_id !== customer.id)) {
+    return null;
+  }
+
+  const { data: customerCarts, error: cartsError } = await supabase
+    .from('carts')
+    .select('*')
+    .eq('customer_id', customer.id)
+    .eq('status', 'active')
+    .neq('id', guestCart.id)
+    .order('updated_at', { ascending: false })
+    .limit(1);
+
+  if (cartsError) {
+    throw new Error(`Failed to fetch carts: ${cartsError.message}`);
+  }
+
+  const cart = (customerCarts || [])[0];
+  if (!cart) {
+    const { data: attached, error: attachError } = await supabase
+      .from('carts')
+      .update({ customer_id: customer.id, updated_at: new Date().toISOString() })
+      .eq('id', guestCart.id)
+      .select()
+      .single();
+
+    if (attachError) {
+      throw new Error(`Failed to attach cart: ${attachError.message}`);
+    }
+    return attached;
+  }
+
+  const [{ data: guestItems, error: guestItemsError }, { data: items, error: itemsError }] = await Promise.all([
+    supabase.from('cart_items').select('*').eq('cart_id', guestCart.id),
+    supabase.from('cart_items').select('*').eq('cart_id', cart.id)
+  ]);
+
+  if (guestItemsError || itemsError) {
+    throw new Error(`Failed to fetch cart items: ${(guestItemsError || itemsError).message}`);
+  }
+
+  const lineByVariant = new Map((items || []).map(item => [item.variant_id, item]));
+  for (const item of guestItems || []) {
+    const line = lineByVariant.get(item.variant_id);
+    const { error: lineError } = line
+      ? await supabase
+        .from('cart_items')
+        .update({ quantity: Math.min(line.quantity + item.quantity, MAX_CART_LINE_QUANTITY), updated_at: new Date().toISOString() })
+        .eq('id', line.id)
+      : await supabase
+        .from('cart_items')
+        .insert([{ cart_id: cart.id, product_id: item.product_id, variant_id: item.variant_id, quantity: item.quantity }]);
+
+    if (lineError) {
+      throw new Error(`Failed to merge cart items: ${lineError.message}`);
+    }
+  }
+
+  // Prescriptions are checked against the cart at checkout
+  const { error: prescriptionsError } = await supabase
+    .from('prescriptions')
+    .update({ cart_id: cart.id })
+    .eq('cart_id', guestCart.id);
+
+  if (prescriptionsError) {
+    throw new Error(`Failed to move prescriptions: ${prescriptionsError.message}`);
+  }
+
+  const { data: merged, error: mergeError } = await supabase
+    .from('carts')
+    .update({ coupon_code: cart.coupon_code || guestCart.coupon_code || null, updated_at: new Date().toISOString() })
+    .eq('id', cart.id)
+    .select()
+    .single();
+
+  if (mergeError) {
+    throw new Error(`Failed to merge cart: ${mergeError.message}`);
+  }
+
+  await supabase
+    .from('carts')
+    .update({ status: 'merged', customer_id: customer.id, updated_at: new Date().toISOString() })
+    .eq('id', guestCart.id);
+
+  return merged;
+}
+
+// Create a guest cart. The returned token must be sent as X-Cart-Token on every cart request.
+app.post('/api/cart', optionalCustomer, async (req, res) => {
+  try {
+    const { data: cart, error } = await supabase
+      .from('carts')
+      .insert([{
+        token: crypto.randomBytes(24).toString('hex'),
+        status: 'active',
+        customer_id: req.customer ? req.customer.id : null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to create cart', details: error.message });
+    }
+
+    return res.status(201).json({ cart: toCartResponse(cart, await priceCart(cart)) });
+  } catch (error) {
+    console.error('Error creating cart:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the cart, re-priced from current product prices and stock
+app.get('/api/cart', requireCart, async (req, res) => {
+  try {
+    return res.json({ cart: toCartResponse(req.cart, await priceCart(req.cart)) });
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const CART_ITEM_BODY_SCHEMA = {
+  productId: { type: 'string', required: true },
+  variantId: { type: 'uuid' },
+  quantity: { type: 'integer', min: 1, max: MAX_CART_LINE_QUANTITY }
+};
+
+const CART_ITEM_UPDATE_SCHEMA = {
+  quantity: { type: 'integer', required: true, min: 0, max: MAX_CART_LINE_QUANTITY },
+  variantId: { type: 'uuid' }
+};
+
+const CHECKOUT_BODY_SCHEMA = {
+  // A saved address of the logged-in customer, instead of shippingAddress
+  addressId: { type: 'uuid' },
+  shippingAddress: { type: 'object', fields: SHIPPING_ADDRESS_SCHEMA },
+  // Defaults to the account email of a logged-in customer
+  email: { type: 'email' },
+  paymentMethod: { type: 'string', required: true, enum: PAYMENT_METHODS },
+  notes: { type: 'string', max: 1000 },
+  prescriptionId: { type: 'uuid' },
+  redeemCoins: { type: 'integer', min: 0 }
+};
+
+// Add a product to the cart (adds to the quantity if it is already there)
+app.post('/api/cart/items', requireCart, validateRequest({ body: CART_ITEM_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = req.body.quantity || 1;
+
+    const { data: product } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', productId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Without a variantId the default variant is added
+    const variant = await findProductVariant(productId, variantId || null);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    const { data: existing } = await supabase
+      .from('cart_items')
+      .select('*')
+      .eq('cart_id', req.cart.id)
+      .eq('variant_id', variant.id)
+      .maybeSingle();
+
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    if (newQuantity > MAX_CART_LINE_QUANTITY) {
+      return sendValidationError(res, { quantity: `You can add at most ${MAX_CART_LINE_QUANTITY} of a product` });
+    }
+
+    const availableQuantity = (await getAvailableStock([variant.id])).get(variant.id);
+    const unavailableReason = getProductUnavailableReason(product, availableQuantity, newQuantity);
+    if (unavailableReason) {
+      return res.status(409).json({
+        error: unavailableReason === 'out_of_stock' ? 'Product is out of stock' : `Only ${availableQuantity} left in stock`,
+        code: unavailableReason,
+        details: { availableQuantity }
+      });
+    }
+
+    const { error } = existing
+      ? await supabase
+        .from('cart_items')
+        .update({ quantity: newQuantity, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+      : await supabase
+        .from('cart_items')
+        .insert([{ cart_id: req.cart.id, product_id: productId, variant_id: variant.id, quantity: newQuantity }]);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to update cart', details: error.message });
+    }
+
+    await touchCart(req.cart);
+    return res.json({ cart: toCartResponse(req.cart, await priceCart(req.cart)), message: 'Item added to cart' });
+  } catch (error) {
+    console.error('Error adding cart item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cart lines of a product, narrowed to one variant when variantId is given
+async function findCartLines(cart, productId, variantId) {
+  if (variantId && !UUID_PATTERN.test(variantId)) {
+    return [];
+  }
+
+  let query = supabase
+    .from('cart_items')
+    .select('*')
+    .eq('cart_id', cart.id)
+    .eq('product_id', productId);
+
+  if (variantId) {
+    query = query.eq('variant_id', variantId);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch cart items: ${error.message}`);
+  }
+  return data || [];
+}
+
+// Set the quantity of a cart line (0 removes it). Body: quantity, variantId (required when the
+// cart holds several variants of the product)
+app.put('/api/cart/items/:productId', requireCart, validateRequest({ body: CART_ITEM_UPDATE_SCHEMA }), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { quantity } = req.body;
+
+    const cartLines = await findCartLines(req.cart, productId, req.body.variantId);
+    if (cartLines.length === 0) {
+      return res.status(404).json({ error: 'Item not found in cart' });
+    }
+
+    if (cartLines.length > 1) {
+      return sendValidationError(res, { variantId: 'The cart holds several variants of this product, variantId is required' });
+    }
+
+    const line = cartLines[0];
+    if (quantity > 0) {
+      const availableQuantity = (await getAvailableStock([line.variant_id])).get(line.variant_id);
+      if (quantity > availableQuantity) {
+        return res.status(409).json({
+          error: availableQuantity ? `Only ${availableQuantity} left in stock` : 'Product is out of stock',
+          code: availableQuantity ? 'insufficient_stock' : 'out_of_stock',
+          details: { availableQuantity }
+        });
+      }
+    }
+
+    const query = quantity === 0
+      ? supabase.from('cart_items').delete()
+      : supabase.from('cart_items').update({ quantity, updated_at: new Date().toISOString() });
+
+    const { data, error } = await query
+      .eq('id', line.id)
+      .select();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to update cart', details: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Item not found in cart' });
+    }
+
+    await touchCart(req.cart);
+    return res.json({ cart: toCartResponse(req.cart, await priceCart(req.cart)), message: 'Cart updated' });
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a product from the cart (only one of its variants with ?variantId=)
+app.delete('/api/cart/items/:productId', requireCart, validateRequest({ query: { variantId: { type: 'uuid' } } }), async (req, res) => {
+  try {
+    let query = supabase
+      .from('cart_items')
+      .delete()
+      .eq('cart_id', req.cart.id)
+      .eq('product_id', req.params.productId);
+
+    if (req.query.variantId) {
+      query = query.eq('variant_id', req.query.variantId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to update cart', details: error.message });
+    }
+
+    await touchCart(req.cart);
+    return res.json({ cart: toCartResponse(req.cart, await priceCart(req.cart)), message: 'Item removed from cart' });
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Apply a coupon code to the cart (replaces any previous code)
+app.post('/api/cart/coupon', requireCart, validateRequest({ body: { code: { type: 'string', required: true, max: 64 } } }), async (req, res) => {
+  try {
+    const code = normalizeCouponCode(req.body.code);
+
+    const { data: promotion } = COUPON_CODE_PATTERN.test(code)
+      ? await supabase.from('promotions').select('id, is_active, starts_at, ends_at').eq('code', code).maybeSingle()
+      : { data: null };
+
+    if (!promotion || !isPromotionLive(promotion)) {
+      return res.status(404).json({ error: 'This coupon is not valid' });
+    }
+
+    const { data: cart, error } = await supabase
+      .from('carts')
+      .update({ coupon_code: code, updated_at: new Date().toISOString() })
+      .eq('id', req.cart.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to apply coupon', details: error.message });
+    }
+
+    const priced = await priceCart(cart);
+    return res.json({
+      cart: toCartResponse(cart, priced),
+      message: priced.coupon.applied ? 'Coupon applied' : priced.coupon.reason
+    });
+  } catch (error) {
+    console.error('Error applying coupon:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove the coupon from the cart
+app.delete('/api/cart/coupon', requireCart, async (req, res) => {
+  try {
+    const { data: cart, error } = await supabase
+      .from('carts')
+      .update({ coupon_code: null, updated_at: new Date().toISOString() })
+      .eq('id', req.cart.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to remove coupon', details: error.message });
+    }
+
+    return res.json({ cart: toCartResponse(cart, await priceCart(cart)), message: 'Coupon removed' });
+  } catch (error) {
+    console.error('Error removing coupon:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn the cart into an order with line snapshots
+app.post('/api/checkout', optionalCustomer, requireCart, validateRequest({ body: CHECKOUT_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const body = { ...req.body };
+
+    // Logged-in customers may use a saved address and their account email
+    if (req.customer) {
+      if (body.addressId) {
+        const { data: address } = await supabase
+          .from('customer_addresses')
+          .select('*')
+          .eq('id', body.addressId)
+          .eq('customer_id', req.customer.id)
+          .maybeSingle();
+
+        if (!address) {
+          return sendValidationError(res, { addressId: 'Saved address not found' });
+        }
+
+        body.shippingAddress = toCustomerAddress(address);
+      }
+
+      body.email = body.email || req.customer.email;
+    }
+
+    if (!body.shippingAddress || !body.email) {
+      const fields = {};
+      if (!body.shippingAddress) fields.shippingAddress = 'shippingAddress is required';
+      if (!body.email) fields.email = 'email is required';
+      return sendValidationError(res, fields);
+    }
+
+    const { shippingAddress, email, paymentMethod, notes, prescriptionId } = body;
+    const redeemCoins = body.redeemCoins || 0;
+
+    if (redeemCoins > 0 && !req.customer) {
+      return res.status(401).json({ error: 'Log in to redeem wellness coins' });
+    }
+
+    const identity = { customerId: req.customer ? req.customer.id : (req.cart.customer_id || null), email: normalizeEmail(email) };
+
+    // Claim the cart, so a concurrent checkout of the same cart cannot place a second order
+    const { data: claimedCart, error: claimError } = await supabase
+      .from('carts')
+      .update({ status: 'checking_out', updated_at: new Date().toISOString() })
+      .eq('id', req.cart.id)
+      .eq('status', 'active')
+      .select('id')
+      .maybeSingle();
+
+    if (claimError) {
+      console.error('Supabase error:', claimError);
+      return res.status(500).json({ error: 'Failed to place order', details: claimError.message });
+    }
+
+    if (!claimedCart) {
+      return res.status(409).json({ error: 'This cart is already being checked out', code: 'checkout_in_progress' });
+    }
+
+    // No transactions through the REST API: every step after the claim is undone when a later one
+    // fails or throws
+    let priced = null;
+    let reservation = null;
+    let order = null;
+    let coinsSpent = false;
+    const movements = [];
+    const rollbackCheckout = async () => {
+      try {
+        if (coinsSpent) {
+          await refundRedeemedCoins({ ...order, status: 'cancelled' }, null);
+        }
+        if (order) {
+          await supabase.from('orders').delete().eq('id', order.id);
+        }
+        if (reservation && reservation.allocations) {
+          await restoreAllocations(reservation.allocations);
+          for (const movement of movements) {
+            await recordStockMovement({ ...movement, quantityChange: -movement.quantityChange, type: 'release', reason: `${movement.reason} was not placed`, orderId: null });
+          }
+          await syncProductStock(priced.lines.map(line => line.productId));
+        }
+        await supabase
+          .from('carts')
+          .update({ status: 'active', updated_at: new Date().toISOString() })
+          .eq('id', req.cart.id)
+          .eq('status', 'checking_out');
+      } catch (error) {
+        console.error('Error rolling back checkout:', error);
+      }
+    };
+
+    try {
+      priced = await priceCart(req.cart, identity);
+
+      if (priced.lines.length === 0) {
+        await rollbackCheckout();
+        return res.status(400).json({ error: 'Cart is empty', code: 'cart_empty' });
+      }
+
+      if (priced.hasIssues) {
+        await rollbackCheckout();
+        return res.status(409).json({
+          error: 'Some items in your cart are no longer available',
+          code: 'items_unavailable',
+          details: {
+            lines: priced.lines
+              .filter(line => !line.available)
+              .map(line => ({ productId: line.productId, variantId: line.variantId, name: line.name, issue: line.issue }))
+          }
+        });
+      }
+
+      // Prescription-only items need an approved, unused prescription uploaded with this cart
+      let prescription = null;
+      if (priced.requiresPrescription) {
+        const rxProducts = priced.lines
+          .filter(line => line.requiresPrescription)
+          .map(line => ({ productId: line.productId, name: line.name }));
+
+        prescription = await findUsablePrescription(req.cart, prescriptionId);
+        if (!prescription) {
+          await rollbackCheckout();
+          return res.status(409).json({
+            error: prescriptionId
+              ? 'The prescription has not been approved yet or cannot be used for this cart'
+              : 'An approved prescription is required for some items in your cart',
+            code: 'prescription_required',
+            details: { prescriptionRequired: rxProducts }
+          });
+        }
+      }
+
+      if (priced.coupon && !priced.coupon.applied) {
+        await rollbackCheckout();
+        return res.status(409).json({
+          error: `Coupon ${priced.coupon.code} cannot be used: ${priced.coupon.reason}`,
+          code: 'coupon_not_applicable',
+          details: { coupon: priced.coupon }
+        });
+      }
+
+      let coinsDiscount = 0;
+      if (redeemCoins > 0) {
+        const maxCoins = getMaxRedeemableCoins(priced.totals.subtotal - priced.totals.discount);
+        if (redeemCoins > maxCoins) {
+          await rollbackCheckout();
+          return sendValidationError(res, { redeemCoins: `At most ${maxCoins} coins can be redeemed on this order` }, { maxCoins });
+        }
+
+        const { balance } = await getCoinAccount(req.customer.id);
+        if (redeemCoins > balance) {
+          await rollbackCheckout();
+          return sendValidationError(res, { redeemCoins: `Your balance is only ${balance} coins` }, { balance });
+        }
+
+        coinsDiscount = roundMoney(redeemCoins * COIN_VALUE);
+      }
+
+      // Reserve stock first-expiring first; nothing is reserved if any line is short
+      reservation = await reserveStock(priced.lines);
+      if (reservation.shortages) {
+        await rollbackCheckout();
+        return res.status(409).json({
+          error: 'Some items in your cart are no longer available in the requested quantity',
+          code: 'insufficient_stock',
+          details: { lines: reservation.shortages.map(line => ({ ...line, issue: 'insufficient_stock' })) }
+        });
+      }
+
+      const { data: createdOrder, error: orderError } = await supabase
+        .from('orders')
+        .insert([{
+          order_number: generateOrderNumber(),
+          cart_id: req.cart.id,
+          customer_id: req.customer ? req.customer.id : (req.cart.customer_id || null),
+          email: String(email).trim().toLowerCase(),
+          phone: shippingAddress.phone,
+          customer_name: shippingAddress.fullName,
+          shipping_address: {
+            fullName: shippingAddress.fullName,
+            phone: shippingAddress.phone,
+            line1: shippingAddress.line1,
+            line2: shippingAddress.line2 || null,
+            city: shippingAddress.city,
+            province: shippingAddress.province || null,
+            postalCode: shippingAddress.postalCode || null,
+            country: shippingAddress.country || 'Pakistan'
+          },
+          payment_method: paymentMethod,
+          payment_status: 'pending',
+          status: 'pending',
+          subtotal: priced.totals.subtotal,
+          shipping_fee: priced.totals.shippingFee,
+          discount_total: priced.totals.discount,
+          discounts: priced.totals.discounts,
+          coupon_code: priced.coupon ? priced.coupon.code : null,
+          coins_redeemed: redeemCoins,
+          coins_discount: coinsDiscount,
+          total: roundMoney(priced.totals.total - coinsDiscount),
+          coins_earned: priced.totals.coinsToEarn,
+          prescription_id: prescription ? prescription.id : null,
+          notes: notes || null
+        }])
+        .select()
+        .single();
+
+      if (orderError) {
+        console.error('Supabase error:', orderError);
+        await rollbackCheckout();
+        return res.status(500).json({ error: 'Failed to create order', details: orderError.message });
+      }
+      order = createdOrder;
+
+      const { data: orderItems, error: itemsError } = await supabase
+        .from('order_items')
+        .insert(priced.lines.map(line => ({
+          order_id: order.id,
+          product_id: line.productId,
+          variant_id: line.variantId,
+          sku: line.sku,
+          variant_name: line.variantName,
+          product_name: line.name,
+          product_image: line.image || null,
+          pack_size: line.packSize || null,
+          original_price: line.originalPrice,
+          unit_price: line.unitPrice,
+          quantity: line.quantity,
+          line_total: line.lineTotal,
+          coins_earned: line.coinsEarned
+        })))
+        .select();
+
+      if (itemsError) {
+        console.error('Supabase error:', itemsError);
+        await rollbackCheckout();
+        return res.status(500).json({ error: 'Failed to create order', details: itemsError.message });
+      }
+
+      // Link the prescription; a prescription can only ever be used by one order
+      if (prescription) {
+        const { data: linked } = await supabase
+          .from('prescriptions')
+          .update({ order_id: order.id })
+          .eq('id', prescription.id)
+          .is('order_id', null)
+          .select()
+          .maybeSingle();
+
+        if (!linked) {
+          await rollbackCheckout();
+          return res.status(409).json({ error: 'This prescription has already been used for another order' });
+        }
+      }
+
+      const promotionError = await recordPromotionRedemptions(order, priced.totals.discounts, identity);
+      if (promotionError) {
+        await rollbackCheckout();
+        return res.status(409).json({ error: promotionError });
+      }
+
+      // Spend the coins, then re-check the balance in case another checkout spent them concurrently
+      if (redeemCoins > 0) {
+        await appendCoinEntry({
+          customerId: req.customer.id,
+          type: 'redeem',
+          amount: -redeemCoins,
+          orderId: order.id,
+          reason: `Redeemed on order ${order.order_number}`
+        });
+        coinsSpent = true;
+
+        const { balance } = await getCoinAccount(req.customer.id);
+        if (balance < 0) {
+          await rollbackCheckout();
+          return res.status(409).json({ error: 'Your coin balance changed, please try again' });
+        }
+      }
+
+      const { error: allocationsError } = await supabase
+        .from('order_stock_allocations')
+        .insert(reservation.allocations.map(allocation => ({ ...allocation, order_id: order.id })));
+
+      if (allocationsError) {
+        console.error('Supabase error:', allocationsError);
+        await rollbackCheckout();
+        return res.status(500).json({ error: 'Failed to create order', details: allocationsError.message });
+      }
+
+      for (const allocation of reservation.allocations) {
+        const movement = {
+          productId: allocation.product_id,
+          variantId: allocation.variant_id,
+          batchId: allocation.batch_id,
+          quantityChange: -allocation.quantity,
+          type: 'reservation',
+          reason: `Order ${order.order_number}`,
+          orderId: order.id
+        };
+        await recordStockMovement(movement);
+        movements.push(movement);
+      }
+
+      await syncProductStock(priced.lines.map(line => line.productId));
+      await recordOrderStatusHistory(order.id, null, 'pending', null, 'Order placed');
+
+      await supabase
+        .from('carts')
+        .update({ status: 'converted', updated_at: new Date().toISOString() })
+        .eq('id', req.cart.id)
+        .eq('status', 'checking_out');
+
+      return res.status(201).json({ order: { ...order, items: orderItems }, message: 'Order placed successfully' });
+    } catch (error) {
+      await rollbackCheckout();
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error during checkout:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END CART & CHECKOUT API ====================
+
+// ==================== ORDERS API ====================
+
+// Allowed order status transitions. cancelled and returned are final.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+async function recordOrderStatusHistory(orderId, fromStatus, toStatus, actor, note) {
+  const { error } = await supabase
+    .from('order_status_history')
+    .insert([{
+      order_id: orderId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      changed_by: actor ? actor.id : null,
+      changed_by_name: actor ? (actor.name || actor.email) : null,
+      note: note || null
+    }]);
+
+  if (error) {
+    console.error('Error recording order status history:', error);
+  }
+}
+
+// Move an order to a new status. Returns { order } or { error, status } for the HTTP response.
+// The update is conditional on the current status so two staff members cannot both move the same order.
+async function changeOrderStatus(order, toStatus, { actor = null, note = null } = {}) {
+  const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(toStatus)) {
+    return {
+      status: 409,
+      error: `Cannot change order status from ${order.status} to ${toStatus}`,
+      allowed
+    };
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error } = await supabase
+    .from('orders')
+    .update({ status: toStatus, status_updated_at: now, updated_at: now })
+    .eq('id', order.id)
+    .eq('status', order.status)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update order status: ${error.message}`);
+  }
+
+  if (!updated) {
+    return { status: 409, error: 'Order status was changed by someone else, please reload' };
+  }
+
+  await recordOrderStatusHistory(order.id, order.status, toStatus, actor, note);
+
+  if (toStatus === 'cancelled') {
+    await releaseOrderStock(updated, actor);
+    await refundRedeemedCoins(updated, actor);
+    await releasePromotionRedemptions(updated);
+  }
+
+  if (toStatus === 'delivered') {
+    await creditOrderCoins(updated, actor);
+  }
+
+  if (toStatus === 'returned') {
+    await reverseOrderCoins(updated, actor);
+    await refundRedeemedCoins(updated, actor);
+  }
+
+  return { order: updated };
+}
+
+// Order with its items and status history (notes only for staff)
+async function getOrderDetail(order, { includeNotes = false } = {}) {
+  const [{ data: items }, { data: history }] = await Promise.all([
+    supabase.from('order_items').select('*').eq('order_id', order.id).order('created_at', { ascending: true }),
+    supabase.from('order_status_history').select('*').eq('order_id', order.id).order('created_at', { ascending: true })
+  ]);
+
+  const detail = { ...order, items: items || [], history: history || [] };
+
+  if (includeNotes) {
+    const { data: notes } = await supabase
+      .from('order_notes')
+      .select('*')
+      .eq('order_id', order.id)
+      .order('created_at', { ascending: true });
+    detail.notes = notes || [];
+  }
+
+  return detail;
+}
+
+// Order as shown to the customer: no internal notes or staff identities
+function toCustomerOrder(detail) {
+  return {
+    ...detail,
+    history: detail.history.map(entry => ({
+      status: entry.to_status,
+      note: entry.note,
+      created_at: entry.created_at
+    }))
+  };
+}
+
+const ORDER_LIST_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  status: { type: 'string', enum: ORDER_STATUSES },
+  from: { type: 'datetime' },
+  to: { type: 'datetime' },
+  q: { type: 'string', max: 100 }
+};
+
+const ORDER_NOTE_RULE = { type: 'string', required: true, max: 2000 };
+
+const ORDER_STATUS_BODY_SCHEMA = {
+  status: { type: 'string', required: true, enum: ORDER_STATUSES },
+  note: { type: 'string', max: 2000 }
+};
+
+// List orders (admin)
+// Query: status, from, to (ISO dates on created_at), q (order number or email), page, limit
+app.get('/api/admin/orders', requireAdmin, requirePermission('orders:manage'), validateRequest({ query: ORDER_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const { status, from, to, q } = req.query;
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 20, 100);
+
+    let query = supabase
+      .from('orders')
+      .select('*', { count: 'exact' });
+
+    if (status) query = query.eq('status', status);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+    if (q) {
+      const term = q.replace(/[,()%]/g, '').trim();
+      query = query.or(`order_number.ilike.%${term}%,email.ilike.%${term}%`);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch orders', details: error.message });
+    }
+
+    return res.json({
+      orders: data || [],
+      pagination: buildPagination(req, { page, limit }, count || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get order detail with items, status history and internal notes (admin)
+app.get('/api/admin/orders/:id', requireAdmin, requirePermission('orders:manage'), async (req, res) => {
+  try {
+    const { data: order } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    return res.json({
+      order: await getOrderDetail(order, { includeNotes: true }),
+      allowedTransitions: ORDER_STATUS_TRANSITIONS[order.status] || []
+    });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change order status (admin)
+app.put('/api/admin/orders/:id/status', requireAdmin, requirePermission('orders:manage'), validateRequest({ body: ORDER_STATUS_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const { data: order } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await changeOrderStatus(order, status, { actor: req.admin, note });
+    if (result.error) {
+      return res.status(result.status).json(result.allowed
+        ? { error: result.error, code: 'invalid_transition', details: { allowedTransitions: result.allowed } }
+        : { error: result.error });
+    }
+
+    return res.json({
+      order: await getOrderDetail(result.order, { includeNotes: true }),
+      message: `Order marked as ${status}`
+    });
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an internal note to an order (admin, never shown to the customer)
+app.post('/api/admin/orders/:id/notes', requireAdmin, requirePermission('orders:manage'), validateRequest({ body: { note: ORDER_NOTE_RULE } }), async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const { data: order } = await supabase
+      .from('orders')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('order_notes')
+      .insert([{
+        order_id: order.id,
+        author_id: req.admin.id,
+        author_name: req.admin.name || req.admin.email,
+        note: note.trim()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to add note', details: error.message });
+    }
+
+    return res.status(201).json({ note: data, message: 'Note added successfully' });
+  } catch (error) {
+    console.error('Error adding order note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Track an order (customer). The email used at checkout is required so order numbers cannot be enumerated.
+app.get('/api/orders/:orderNumber', validateRequest({ query: { email: { type: 'string', required: true } } }), async (req, res) => {
+  try {
+    const email = req.query.email.trim().toLowerCase();
+
+    const { data: order } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('order_number', req.params.orderNumber)
+      .maybeSingle();
+
+    if (!order || order.email !== email) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    return res.json({ order: toCustomerOrder(await getOrderDetail(order)) });
+  } catch (error) {
+    console.error('Error tracking order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END ORDERS API ====================
+
+// ==================== WELLNESS COINS API ====================
+
+// Coins are earned per unit from a product's wellnessCoins when an order is delivered,
+// and can be redeemed at checkout. The ledger is append-only: the balance is the sum of
+// all entries, and corrections are made with new entries, never by editing old ones.
+const COIN_VALUE = parseFloat(process.env.COIN_VALUE || '1'); // currency per coin
+const COINS_MAX_REDEEM_PERCENT = parseFloat(process.env.COINS_MAX_REDEEM_PERCENT || '50'); // of the subtotal
+const COINS_EXPIRY_DAYS = parseInt(process.env.COINS_EXPIRY_DAYS || '365', 10);
+const COINS_EXPIRING_SOON_DAYS = 30;
+const COIN_ENTRY_TYPES = ['earn', 'earn_reversal', 'redeem', 'redeem_refund', 'expire', 'adjustment'];
+
+// Coins earned for buying `quantity` of a product (fractions are dropped per line)
+function getLineCoins(product, quantity) {
+  return product ? Math.floor((parseFloat(product.wellnessCoins) || 0) * quantity) : 0;
+}
+
+// Most coins that can be redeemed against a subtotal
+function getMaxRedeemableCoins(subtotal) {
+  if (COIN_VALUE <= 0) {
+    return 0;
+  }
+  return Math.max(0, Math.floor((subtotal * COINS_MAX_REDEEM_PERCENT) / 100 / COIN_VALUE));
+}
+
+async function appendCoinEntry(entry) {
+  const { data, error } = await supabase
+    .from('coin_ledger')
+    .insert([{
+      customer_id: entry.customerId,
+      entry_type: entry.type,
+      amount: entry.amount,
+      order_id: entry.orderId || null,
+      source_entry_id: entry.sourceEntryId || null,
+      expires_at: entry.expiresAt || null,
+      reason: entry.reason || null,
+      actor_id: entry.actor ? entry.actor.id : null,
+      actor_name: entry.actor ? (entry.actor.name || entry.actor.email) : null
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    // Order entries are unique per (order, type), so a repeated status change is a no-op
+    if (error.code === '23505') {
+      return null;
+    }
+    throw new Error(`Failed to record coin entry: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Replay the ledger to find what is left of every credit ("lot").
+// Debits without a source lot are taken from the lots that expire first.
+function getCoinLots(entries) {
+  const lots = new Map();
+  let debt = 0;
+
+  const takeFrom = (lot, amount) => {
+    const taken = Math.min(lot.remaining, amount);
+    lot.remaining -= taken;
+    return amount - taken;
+  };
+
+  entries.forEach(entry => {
+    if (entry.amount > 0) {
+      const lot = { entry, remaining: entry.amount };
+      debt = takeFrom(lot, debt);
+      lots.set(entry.id, lot);
+      return;
+    }
+
+    let owed = -entry.amount;
+    const source = entry.source_entry_id ? lots.get(entry.source_entry_id) : null;
+    if (source) {
+      owed = takeFrom(source, owed);
+    }
+
+    const open = [...lots.values()]
+      .filter(lot => lot.remaining > 0 && (!lot.entry.expires_at || new Date(lot.entry.expires_at) > new Date(entry.created_at)))
+      .sort((a, b) => String(a.entry.expires_at || '9999').localeCompare(String(b.entry.expires_at || '9999')));
+
+    for (const lot of open) {
+      if (owed === 0) break;
+      owed = takeFrom(lot, owed);
+    }
+
+    debt += owed;
+  });
+
+  return [...lots.values()];
+}
+
+// Balance and ledger of a customer. Expired coins are written off here, lazily,
+// with an 'expire' entry per expired lot.
+async function getCoinAccount(customerId) {
+  const fetchEntries = async () => {
+    const { data, error } = await supabase
+      .from('coin_ledger')
+      .select('*')
+      .eq('customer_id', customerId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch coin ledger: ${error.message}`);
+    }
+    return data || [];
+  };
+
+  let entries = await fetchEntries();
+  const now = new Date();
+  const expired = getCoinLots(entries)
+    .filter(lot => lot.remaining > 0 && lot.entry.expires_at && new Date(lot.entry.expires_at) <= now);
+
+  if (expired.length > 0) {
+    for (const lot of expired) {
+      await appendCoinEntry({
+        customerId,
+        type: 'expire',
+        amount: -lot.remaining,
+        sourceEntryId: lot.entry.id,
+        reason: 'Coins expired'
+      });
+    }
+    entries = await fetchEntries();
+  }
+
+  const soon = new Date(now.getTime() + COINS_EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000);
+  const expiringSoon = getCoinLots(entries)
+    .filter(lot => lot.remaining > 0 && lot.entry.expires_at && new Date(lot.entry.expires_at) <= soon)
+    .map(lot => ({ amount: lot.remaining, expires_at: lot.entry.expires_at }));
+
+  return {
+    balance: entries.reduce((sum, entry) => sum + entry.amount, 0),
+    expiringSoon,
+    entries
+  };
+}
+
+// Ledger entry as shown to the customer
+function toCoinEntry(entry) {
+  return {
+    id: entry.id,
+    type: entry.entry_type,
+    amount: entry.amount,
+    order_id: entry.order_id,
+    expires_at: entry.expires_at,
+    reason: entry.reason,
+    created_at: entry.created_at
+  };
+}
+
+// Coins of a delivered order (customers only; guest orders earn nothing)
+async function creditOrderCoins(order, actor) {
+  if (!order.customer_id || !(order.coins_earned > 0)) {
+    return;
+  }
+
+  await appendCoinEntry({
+    customerId: order.customer_id,
+    type: 'earn',
+    amount: order.coins_earned,
+    orderId: order.id,
+    expiresAt: new Date(Date.now() + COINS_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    reason: `Order ${order.order_number} delivered`,
+    actor
+  });
+}
+
+// Take back the coins of a returned order. The balance can go below zero when they were
+// already spent; later earnings then pay that off first.
+async function reverseOrderCoins(order, actor) {
+  if (!order.customer_id) {
+    return;
+  }
+
+  const { data: earned } = await supabase
+    .from('coin_ledger')
+    .select('*')
+    .eq('order_id', order.id)
+    .eq('entry_type', 'earn')
+    .maybeSingle();
+
+  if (!earned) {
+    return;
+  }
+
+  await appendCoinEntry({
+    customerId: order.customer_id,
+    type: 'earn_reversal',
+    amount: -earned.amount,
+    orderId: order.id,
+    sourceEntryId: earned.id,
+    reason: `Order ${order.order_number} returned`,
+    actor
+  });
+}
+
+// Give back coins redeemed on an order that was cancelled or returned
+async function refundRedeemedCoins(order, actor) {
+  if (!order.customer_id || !(order.coins_redeemed > 0)) {
+    return;
+  }
+
+  await appendCoinEntry({
+    customerId: order.customer_id,
+    type: 'redeem_refund',
+    amount: order.coins_redeemed,
+    orderId: order.id,
+    expiresAt: new Date(Date.now() + COINS_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    reason: `Order ${order.order_number} ${order.status}`,
+    actor
+  });
+}
+
+// Balance, coins expiring within 30 days and the ledger of the logged-in customer
+app.get('/api/account/coins', requireCustomer, validateRequest({ query: PAGINATION_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const account = await getCoinAccount(req.customer.id);
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 20, 100);
+    const newestFirst = [...account.entries].reverse();
+
+    return res.json({
+      balance: account.balance,
+      coinValue: COIN_VALUE,
+      expiringSoon: account.expiringSoon,
+      entries: newestFirst.slice((page - 1) * limit, page * limit).map(toCoinEntry),
+      pagination: buildPagination(req, { page, limit }, newestFirst.length)
+    });
+  } catch (error) {
+    console.error('Error fetching coin balance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Coin balance and full ledger of a customer (admin)
+app.get('/api/admin/customers/:id/coins', requireAdmin, requirePermission('coins:manage'), async (req, res) => {
+  try {
+    const { data: customer } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const account = await getCoinAccount(customer.id);
+
+    return res.json({
+      customer: toCustomer(customer),
+      balance: account.balance,
+      expiringSoon: account.expiringSoon,
+      entries: [...account.entries].reverse()
+    });
+  } catch (error) {
+    console.error('Error fetching customer coins:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const COIN_ADJUSTMENT_BODY_SCHEMA = {
+  amount: { type: 'integer', required: true, check: value => value === 0 ? 'amount cannot be 0' : null },
+  reason: { type: 'string', required: true, max: 500 }
+};
+
+// Manually credit or debit coins. Body: { amount (non-zero whole number), reason }
+// Credits expire like earned coins; debits cannot take the balance below zero.
+app.post('/api/admin/customers/:id/coins/adjust', requireAdmin, requirePermission('coins:manage'), validateRequest({ body: COIN_ADJUSTMENT_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { amount } = req.body;
+    const reason = req.body.reason.trim();
+
+    const { data: customer } = await supabase
+      .from('customers')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const account = await getCoinAccount(customer.id);
+    if (amount < 0 && account.balance + amount < 0) {
+      return sendValidationError(res, { amount: `The balance is only ${account.balance} coins` });
+    }
+
+    const entry = await appendCoinEntry({
+      customerId: customer.id,
+      type: 'adjustment',
+      amount,
+      expiresAt: amount > 0 ? new Date(Date.now() + COINS_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString() : null,
+      reason,
+      actor: req.admin
+    });
+
+    return res.status(201).json({
+      entry,
+      balance: account.balance + amount,
+      message: 'Coin balance adjusted'
+    });
+  } catch (error) {
+    console.error('Error adjusting coins:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END WELLNESS COINS API ====================
+
+// ==================== PRESCRIPTIONS API ====================
+
+// Private bucket: prescription files are only ever served through short-lived signed URLs
+const PRESCRIPTIONS_BUCKET = process.env.PRESCRIPTIONS_BUCKET || 'prescriptions';
+const PRESCRIPTION_SIGNED_URL_TTL_SECONDS = 5 * 60;
+const PRESCRIPTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Prescription as shown to the customer (no storage path or reviewer identity)
+function toCustomerPrescription(prescription) {
+  return {
+    id: prescription.id,
+    status: prescription.status,
+    file_name: prescription.file_name,
+    patient_name: prescription.patient_name,
+    rejection_reason: prescription.rejection_reason,
+    order_id: prescription.order_id,
+    reviewed_at: prescription.reviewed_at,
+    created_at: prescription.created_at
+  };
+}
+
+// Prescription for the pharmacist review screen, with a signed URL to view the file
+async function toReviewPrescription(prescription) {
+  const fileUrl = await createStorageSignedUrl(PRESCRIPTIONS_BUCKET, prescription.file_path, PRESCRIPTION_SIGNED_URL_TTL_SECONDS);
+  return { ...prescription, file_url: fileUrl };
+}
+
+// Approved prescription uploaded with this cart and not used by another order yet
+async function findUsablePrescription(cart, prescriptionId) {
+  if (!prescriptionId) {
+    return null;
+  }
+
+  const { data } = await supabase
+    .from('prescriptions')
+    .select('*')
+    .eq('id', prescriptionId)
+    .eq('cart_id', cart.id)
+    .maybeSingle();
+
+  if (!data || data.status !== 'approved' || data.order_id) {
+    return null;
+  }
+
+  return data;
+}
+
+const PRESCRIPTION_BODY_SCHEMA = {
+  patientName: { type: 'string', max: 200 },
+  note: { type: 'string', max: 1000 }
+};
+
+// Upload a prescription (image or PDF) for the current cart
+app.post('/api/prescriptions', requireCart, prescriptionUpload.single('file'), validateUploadedFiles('file', 'prescription'), validateRequest({ body: PRESCRIPTION_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { fileType } = req.file;
+    const uploadResult = await uploadToStorage(req.file, PRESCRIPTIONS_BUCKET, req.cart.id, fileType);
+
+    const { data, error } = await supabase
+      .from('prescriptions')
+      .insert([{
+        cart_id: req.cart.id,
+        customer_id: req.cart.customer_id || null,
+        file_path: uploadResult.path,
+        file_name: req.file.originalname,
+        mime_type: fileType.mimeType,
+        file_size: req.file.size,
+        patient_name: req.body.patientName || null,
+        customer_note: req.body.note || null,
+        status: 'pending'
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      await deleteFromStorage(uploadResult.path, PRESCRIPTIONS_BUCKET);
+      return res.status(500).json({ error: 'Failed to save prescription', details: error.message });
+    }
+
+    return res.status(201).json({
+      prescription: toCustomerPrescription(data),
+      message: 'Prescription uploaded, a pharmacist will review it shortly'
+    });
+  } catch (error) {
+    console.error('Error uploading prescription:', error);
+    res.status(500).json({ error: 'Error uploading prescription', details: error.message });
+  }
+});
+
+// List prescriptions uploaded with the current cart (to follow their review status)
+app.get('/api/prescriptions', requireCart, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('prescriptions')
+      .select('*')
+      .eq('cart_id', req.cart.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch prescriptions', details: error.message });
+    }
+
+    return res.json({ prescriptions: (data || []).map(toCustomerPrescription) });
+  } catch (error) {
+    console.error('Error fetching prescriptions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const PRESCRIPTION_LIST_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  status: { type: 'string', enum: PRESCRIPTION_STATUSES }
+};
+
+// Body of a pharmacist review, and of review and question moderation
+const DECISION_BODY_SCHEMA = {
+  decision: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+  // Required to reject
+  reason: { type: 'string', max: 1000 }
+};
+
+// Pharmacist review queue (oldest first). Query: status (default pending), page, limit
+app.get('/api/admin/prescriptions', requireAdmin, requirePermission('prescriptions:review'), validateRequest({ query: PRESCRIPTION_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 20, 100);
+
+    const { data, error, count } = await supabase
+      .from('prescriptions')
+      .select('*', { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending: status === 'pending' })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch prescriptions', details: error.message });
+    }
+
+    return res.json({
+      prescriptions: await Promise.all((data || []).map(toReviewPrescription)),
+      pagination: buildPagination(req, { page, limit }, count || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching prescriptions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get one prescription with a signed file URL
+app.get('/api/admin/prescriptions/:id', requireAdmin, requirePermission('prescriptions:review'), async (req, res) => {
+  try {
+    const { data } = await supabase
+      .from('prescriptions')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!data) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    return res.json({ prescription: await toReviewPrescription(data) });
+  } catch (error) {
+    console.error('Error fetching prescription:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a pending prescription. A reason is required to reject.
+app.put('/api/admin/prescriptions/:id/review', requireAdmin, requirePermission('prescriptions:review'), validateRequest({ body: DECISION_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    if (decision === 'rejected' && !reason) {
+      return sendValidationError(res, { reason: 'A reason is required to reject a prescription' });
+    }
+
+    const { data, error } = await supabase
+      .from('prescriptions')
+      .update({
+        status: decision,
+        rejection_reason: decision === 'rejected' ? reason.trim() : null,
+        review_note: decision === 'approved' ? (reason || null) : null,
+        reviewed_by: req.admin.id,
+        reviewed_by_name: req.admin.name || req.admin.email,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to review prescription', details: error.message });
+    }
+
+    if (!data) {
+      const { data: existing } = await supabase
+        .from('prescriptions')
+        .select('status')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+      return existing
+        ? res.status(409).json({ error: `Prescription was already ${existing.status}` })
+        : res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    return res.json({ prescription: await toReviewPrescription(data), message: `Prescription ${decision}` });
+  } catch (error) {
+    console.error('Error reviewing prescription:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END PRESCRIPTIONS API ====================
+
+// ==================== REVIEWS & QUESTIONS API ====================
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+const REVIEW_SORTS = {
+  newest: [['created_at', false]],
+  rating_desc: [['rating', false], ['created_at', false]],
+  rating_asc: [['rating', true], ['created_at', false]]
+};
+const REVIEW_BODY_MAX_LENGTH = 5000;
+
+const MODERATION_LIST_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  status: { type: 'string', enum: MODERATION_STATUSES },
+  productId: { type: 'string' }
+};
+
+// Author fields shared by reviews and questions
+const FEEDBACK_AUTHOR_SCHEMA = {
+  name: { type: 'string', required: true, max: 200 },
+  email: { type: 'email', required: true }
+};
+
+const REVIEW_BODY_SCHEMA = {
+  ...FEEDBACK_AUTHOR_SCHEMA,
+  rating: { type: 'integer', required: true, min: 1, max: 5 },
+  title: { type: 'string', max: 200 },
+  body: { type: 'string', required: true, max: REVIEW_BODY_MAX_LENGTH },
+  orderNumber: { type: 'string', max: 50 }
+};
+
+const QUESTION_BODY_SCHEMA = {
+  ...FEEDBACK_AUTHOR_SCHEMA,
+  question: { type: 'string', required: true, max: REVIEW_BODY_MAX_LENGTH }
+};
+
+const REVIEW_LIST_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  sort: { type: 'string', enum: Object.keys(REVIEW_SORTS) },
+  rating: { type: 'integer', min: 1, max: 5 }
+};
+
+// Listing options from a query checked against MODERATION_LIST_QUERY_SCHEMA
+function parseModerationListQuery(query) {
+  return {
+    status: query.status || 'pending',
+    productId: query.productId || null,
+    page: query.page || 1,
+    limit: Math.min(query.limit || 20, 100)
+  };
+}
+
+// Author of a review or question (checked against FEEDBACK_AUTHOR_SCHEMA)
+function getFeedbackAuthor(body) {
+  return { name: body.name.trim(), email: body.email.toLowerCase() };
+}
+
+// A review is a verified purchase when the given order was placed with the same email,
+// contains the product and has been delivered
+async function findVerifiedPurchaseOrder(productId, email, orderNumber) {
+  if (!orderNumber) {
+    return null;
+  }
+
+  const { data: order } = await supabase
+    .from('orders')
+    .select('id, email, status')
+    .eq('order_number', String(orderNumber).trim())
+    .maybeSingle();
+
+  if (!order || order.email !== email || order.status !== 'delivered') {
+    return null;
+  }
+
+  const { data: items } = await supabase
+    .from('order_items')
+    .select('id')
+    .eq('order_id', order.id)
+    .eq('product_id', productId)
+    .limit(1);
+
+  return items && items.length > 0 ? order : null;
+}
+
+// Recalculate a product's rating, reviews and questions from approved entries
+async function refreshProductReviewStats(productId) {
+  const [{ data: reviews, error: reviewsError }, { count: questions, error: questionsError }] = await Promise.all([
+    supabase.from('product_reviews').select('rating').eq('product_id', productId).eq('status', 'approved'),
+    supabase.from('product_questions').select('id', { count: 'exact', head: true }).eq('product_id', productId).eq('status', 'approved')
+  ]);
+
+  if (reviewsError || questionsError) {
+    throw new Error(`Failed to load review stats: ${(reviewsError || questionsError).message}`);
+  }
+
+  const total = (reviews || []).reduce((sum, review) => sum + review.rating, 0);
+  const stats = {
+    rating: reviews && reviews.length > 0 ? Math.round((total / reviews.length) * 10) / 10 : 0,
+    reviews: (reviews || []).length,
+    questions: questions || 0
+  };
+
+  const { error } = await supabase
+    .from('products')
+    .update(stats)
+    .eq('id', productId);
+
+  if (error) {
+    throw new Error(`Failed to update review stats: ${error.message}`);
+  }
+
+  invalidateSearchIndex();
+  return stats;
+}
+
+// Review as shown on the product page (no email or moderation details)
+function toPublicReview(review) {
+  return {
+    id: review.id,
+    author_name: review.author_name,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    verified_purchase: review.verified_purchase,
+    created_at: review.created_at
+  };
+}
+
+// Question as shown on the product page (no email or moderation details)
+function toPublicQuestion(question) {
+  return {
+    id: question.id,
+    author_name: question.author_name,
+    question: question.question,
+    answer: question.answer,
+    answered_by_name: question.answer ? question.answered_by_name : null,
+    answered_at: question.answered_at,
+    created_at: question.created_at
+  };
+}
+
+async function findProductForFeedback(productId) {
+  const { data } = await supabase
+    .from('products')
+    .select('id, rating, reviews, questions')
+    .eq('id', productId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  return data;
+}
+
+// Approve or reject a pending review or question. Returns { row } or { status, error }.
+async function moderateEntry(table, label, id, { decision, reason }, admin) {
+  if (decision === 'rejected' && !reason) {
+    return { fields: { reason: `A reason is required to reject a ${label}` } };
+  }
+
+  const { data, error } = await supabase
+    .from(table)
+    .update({
+      status: decision,
+      rejection_reason: decision === 'rejected' ? reason.trim() : null,
+      moderated_by: admin.id,
+      moderated_by_name: admin.name || admin.email,
+      moderated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to moderate ${label}: ${error.message}`);
+  }
+
+  if (!data) {
+    const { data: existing } = await supabase
+      .from(table)
+      .select('status')
+      .eq('id', id)
+      .maybeSingle();
+
+    return existing
+      ? { status: 409, error: `The ${label} was already ${existing.status}` }
+      : { status: 404, error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found` };
+  }
+
+  if (decision === 'approved') {
+    await refreshProductReviewStats(data.product_id);
+  }
+
+  return { row: data };
+}
+
+// Approved reviews of a product with a rating summary
+// Query: sort (newest, rating_desc, rating_asc), rating (1-5), page, limit
+app.get('/api/products/:id/reviews', validateRequest({ query: REVIEW_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const sort = req.query.sort || 'newest';
+    const rating = req.query.rating !== undefined ? req.query.rating : null;
+
+    const product = await findProductForFeedback(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 10, 50);
+
+    let query = supabase
+      .from('product_reviews')
+      .select('*', { count: 'exact' })
+      .eq('product_id', product.id)
+      .eq('status', 'approved');
+
+    if (rating !== null) {
+      query = query.eq('rating', rating);
+    }
+
+    REVIEW_SORTS[sort].forEach(([column, ascending]) => {
+      query = query.order(column, { ascending });
+    });
+
+    const [{ data, error, count }, { data: ratings }] = await Promise.all([
+      query.range((page - 1) * limit, page * limit - 1),
+      supabase.from('product_reviews').select('rating').eq('product_id', product.id).eq('status', 'approved')
+    ]);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch reviews', details: error.message });
+    }
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    (ratings || []).forEach(entry => { distribution[entry.rating] += 1; });
+
+    return res.json({
+      summary: { rating: product.rating, reviews: product.reviews, distribution },
+      reviews: (data || []).map(toPublicReview),
+      pagination: buildPagination(req, { page, limit }, count || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Post a review. It is shown once approved by staff.
+// Body: name, email, rating (1-5), title?, body, orderNumber? (for the verified purchase badge)
+app.post('/api/products/:id/reviews', validateRequest({ body: REVIEW_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const author = getFeedbackAuthor(req.body);
+    const { rating } = req.body;
+    const body = req.body.body.trim();
+
+    const product = await findProductForFeedback(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const order = await findVerifiedPurchaseOrder(product.id, author.email, req.body.orderNumber);
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .insert([{
+        product_id: product.id,
+        order_id: order ? order.id : null,
+        author_name: author.name,
+        email: author.email,
+        rating,
+        title: req.body.title ? req.body.title.trim() : null,
+        body,
+        verified_purchase: Boolean(order),
+        status: 'pending'
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'You have already reviewed this product' });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to save review', details: error.message });
+    }
+
+    return res.status(201).json({
+      review: { ...toPublicReview(data), status: data.status },
+      message: 'Thank you! Your review will appear once it has been approved.'
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approved questions of a product, newest first, with staff answers
+app.get('/api/products/:id/questions', validateRequest({ query: PAGINATION_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const product = await findProductForFeedback(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 10, 50);
+
+    const { data, error, count } = await supabase
+      .from('product_questions')
+      .select('*', { count: 'exact' })
+      .eq('product_id', product.id)
+      .eq('status', 'approved')
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch questions', details: error.message });
+    }
+
+    return res.json({
+      questions: (data || []).map(toPublicQuestion),
+      pagination: buildPagination(req, { page, limit }, count || 0)
+    });
+  } catch (error) {
+    console.error('Error fetching questions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Ask a question about a product. It is shown once approved by staff.
+// Body: name, email, question
+app.post('/api/products/:id/questions', validateRequest({ body: QUESTION_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const author = getFeedbackAuthor(req.body);
+    const question = req.body.question.trim();
+
+    const product = await findProductForFeedback(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('product_questions')
+      .insert([{
+        product_id: product.id,
+        author_name: author.name,
+        email: author.email,
+        question,
+        status: 'pending'
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to save question', details: error.message });
+    }
+
+    return res.status(201).json({
+      question: { ...toPublicQuestion(data), status: data.status },
+      message: 'Thank you! Your question will appear once it has been approved.'
+    });
+  } catch (error) {
+    console.error('Error creating question:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Moderation queue for reviews (admin). Query: status (default pending), productId, page, limit
+app.get('/api/admin/reviews', requireAdmin, requirePermission('reviews:moderate'), validateRequest({ query: MODERATION_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const options = parseModerationListQuery(req.query);
+
+    let query = supabase
+      .from('product_reviews')
+      .select('*', { count: 'exact' })
+      .eq('status', options.status);
+
+    if (options.productId) {
+      query = query.eq('product_id', options.productId);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: options.status === 'pending' })
+      .range((options.page - 1) * options.limit, options.page * options.limit - 1);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch reviews', details: error.message });
+    }
+
+    return res.json({ reviews: data || [], pagination: buildPagination(req, options, count || 0) });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a pending review. A reason is required to reject.
+app.put('/api/admin/reviews/:id/moderate', requireAdmin, requirePermission('reviews:moderate'), validateRequest({ body: DECISION_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const result = await moderateEntry('product_reviews', 'review', req.params.id, req.body, req.admin);
+    if (result.fields) {
+      return sendValidationError(res, result.fields);
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.json({ review: result.row, message: `Review ${result.row.status}` });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a review (e.g. at the customer's request)
+app.delete('/api/admin/reviews/:id', requireAdmin, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .delete()
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete review', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (data.status === 'approved') {
+      await refreshProductReviewStats(data.product_id);
+    }
+
+    return res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Moderation queue for questions (admin). Query: status (default pending), productId, unanswered, page, limit
+app.get('/api/admin/questions', requireAdmin, requirePermission('reviews:moderate'), validateRequest({ query: { ...MODERATION_LIST_QUERY_SCHEMA, unanswered: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    const options = parseModerationListQuery(req.query);
+
+    let query = supabase
+      .from('product_questions')
+      .select('*', { count: 'exact' })
+      .eq('status', options.status);
+
+    if (options.productId) {
+      query = query.eq('product_id', options.productId);
+    }
+
+    if (req.query.unanswered) {
+      query = query.is('answer', null);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: options.status === 'pending' })
+      .range((options.page - 1) * options.limit, options.page * options.limit - 1);
+
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch questions', details: error.message });
+    }
+
+    return res.json({ questions: data || [], pagination: buildPagination(req, options, count || 0) });
+  } catch (error) {
+    console.error('Error fetching questions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a pending question. A reason is required to reject.
+app.put('/api/admin/questions/:id/moderate', requireAdmin, requirePermission('reviews:moderate'), validateRequest({ body: DECISION_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const result = await moderateEntry('product_questions', 'question', req.params.id, req.body, req.admin);
+    if (result.fields) {
+      return sendValidationError(res, result.fields);
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.json({ question: result.row, message: `Question ${result.row.status}` });
+  } catch (error) {
+    console.error('Error moderating question:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Answer a question (or edit the answer). Answering a pending question also approves it.
+app.put('/api/admin/questions/:id/answer', requireAdmin, requirePermission('reviews:moderate'), validateRequest({ body: { answer: { type: 'string', required: true, max: REVIEW_BODY_MAX_LENGTH } } }), async (req, res) => {
+  try {
+    const answer = req.body.answer.trim();
+
+    const { data: question } = await supabase
+      .from('product_questions')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (question.status === 'rejected') {
+      return res.status(409).json({ error: 'Cannot answer a rejected question' });
+    }
+
+    const now = new Date().toISOString();
+    const updateData = {
+      answer,
+      answered_by: req.admin.id,
+      answered_by_name: req.admin.name || req.admin.email,
+      answered_at: now
+    };
+
+    if (question.status === 'pending') {
+      Object.assign(updateData, {
+        status: 'approved',
+        moderated_by: req.admin.id,
+        moderated_by_name: req.admin.name || req.admin.email,
+        moderated_at: now
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('product_questions')
+      .update(updateData)
+      .eq('id', question.id)
+      .eq('status', question.status)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to answer question', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(409).json({ error: 'Question was changed by someone else, please reload' });
+    }
+
+    if (question.status === 'pending') {
+      await refreshProductReviewStats(data.product_id);
+    }
+
+    return res.json({ question: data, message: 'Answer saved' });
+  } catch (error) {
+    console.error('Error answering question:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a question
+app.delete('/api/admin/questions/:id', requireAdmin, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('product_questions')
+      .delete()
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete question', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (data.status === 'approved') {
+      await refreshProductReviewStats(data.product_id);
+    }
+
+    return res.json({ message: 'Question deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recalculate rating, reviews and questions for every product, e.g. after upgrading
+// from the manually entered counters
+app.post('/api/admin/reviews/recalculate', requireAdmin, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { data: products, error } = await supabase
+      .from('products')
+      .select('id');
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch products', details: error.message });
+    }
+
+    for (const product of products || []) {
+      await refreshProductReviewStats(product.id);
+    }
+
+    return res.json({ message: `Review stats recalculated for ${(products || []).length} products` });
+  } catch (error) {
+    console.error('Error recalculating review stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END REVIEWS & QUESTIONS API ====================
+
+// ==================== BANNERS API ENDPOINTS ====================
+
+// Where a banner is shown (GET /api/banners?placement=). Category page banners can be limited to
+// one category with category_id (null: every category page).
+const BANNER_PLACEMENTS = ['home_hero', 'category', 'checkout'];
+// Who sees a banner: everyone, signed-out visitors, signed-in customers, or a customer segment
+// (new: no orders yet; returning: at least one order that was not cancelled)
+const BANNER_AUDIENCES = ['all', 'guests', 'customers', 'new_customers', 'returning_customers'];
+const BANNER_STATUSES = ['live', 'scheduled', 'expired', 'inactive'];
+
+// A banner is live while active and inside its starts_at / ends_at window, checked at request time
+function getBannerStatus(banner, now = new Date()) {
+  if (!banner.is_active) return 'inactive';
+  if (banner.starts_at && new Date(banner.starts_at) > now) return 'scheduled';
+  if (banner.ends_at && new Date(banner.ends_at) <= now) return 'expired';
+  return 'live';
+}
+
+// The audiences whose banners a visitor sees (`customer` is null for guests)
+async function getBannerAudiences(customer) {
+  if (!customer) {
+    return ['all', 'guests'];
+  }
+
+  const { count } = await supabase
+    .from('orders')
+    .select('id', { count: 'exact', head: true })
+    .eq('customer_id', customer.id)
+    .neq('status', 'cancelled');
+
+  return ['all', 'customers', count > 0 ? 'returning_customers' : 'new_customers'];
+}
+
+const BANNER_QUERY_SCHEMA = {
+  placement: { type: 'string', enum: BANNER_PLACEMENTS },
+  // Category id or slug, for the category placement
+  category: { type: 'string' }
+};
+
+// Live banners of a placement for the visitor, in display order. Signed-in customers send their
+// access token to get the banners of their audience.
+// Query: placement (home_hero by default, category or checkout), category
+app.get('/api/banners', identifyCustomer, validateRequest({ query: BANNER_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    const placement = req.query.placement || 'home_hero';
+
+    let query = supabase
+      .from('banners')
+      .select('*')
+      .eq('is_active', true)
+      .eq('placement', placement)
+      .is('deleted_at', null);
+
+    // Category pages show the banners of every category page and those of their category
+    if (placement === 'category') {
+      const category = req.query.category ? await findByIdOrSlug('categories', req.query.category) : null;
+      query = category ? query.or(`category_id.is.null,category_id.eq.${category.id}`) : query.is('category_id', null);
+    }
+
+    const { data, error } = await query
+      .order('order_index', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.json({ banners: [] });
+    }
+
+    const now = new Date();
+    const audiences = await getBannerAudiences(req.customer || null);
+    const banners = (data || []).filter(banner => getBannerStatus(banner, now) === 'live' && audiences.includes(banner.audience));
+
+    return res.json({ banners });
+  } catch (error) {
+    console.error('Error fetching banners:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const BANNER_LIST_QUERY_SCHEMA = {
+  trashed: { type: 'string', enum: TRASHED_FILTERS },
+  placement: { type: 'string', enum: BANNER_PLACEMENTS },
+  status: { type: 'string', enum: BANNER_STATUSES }
+};
+
+// Get all banners (including inactive and scheduled - for admin), each with its status
+// Query: placement, status (live, scheduled, expired, inactive), trashed (exclude, the default, include or only)
+app.get('/api/banners/all', requireAdmin, requirePermission('banners:write'), validateRequest({ query: BANNER_LIST_QUERY_SCHEMA }), async (req, res) => {
+  try {
+    let query = supabase
+      .from('banners')
+      .select('*');
+
+    if (req.query.trashed === 'only') query = query.not('deleted_at', 'is', null);
+    else if (req.query.trashed !== 'include') query = query.is('deleted_at', null);
+    if (req.query.placement) query = query.eq('placement', req.query.placement);
+
+    const { data, error } = await query
+      .order('order_index', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch banners', details: error.message });
+    }
+
+    const now = new Date();
+    const banners = (data || [])
+      .map(banner => ({ ...banner, status: getBannerStatus(banner, now) }))
+      .filter(banner => !req.query.status || banner.status === req.query.status);
+
+    return res.json({ banners });
+  } catch (error) {
+    console.error('Error fetching banners:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const BANNER_BODY_SCHEMA = {
+  // Required unless imageRenditions is given. The desktop image, and the mobile one when there is
+  // no mobile image.
+  imageUrl: { type: 'url', nullable: false },
+  imageRenditions: {
+    type: 'object',
+    check: set => validateImageRenditions([set], 'imageRenditions')
+  },
+  mobileImageUrl: { type: 'url' },
+  mobileImageRenditions: {
+    type: 'object',
+    check: set => validateImageRenditions([set], 'mobileImageRenditions')
+  },
+  title: { type: 'string', max: 200 },
+  subtitle: { type: 'string', max: 500 },
+  link: { type: 'url' },
+  placement: { type: 'string', enum: BANNER_PLACEMENTS, nullable: false },
+  categoryId: { type: 'uuid' },
+  audience: { type: 'string', enum: BANNER_AUDIENCES, nullable: false },
+  startsAt: { type: 'datetime' },
+  endsAt: { type: 'datetime' },
+  orderIndex: { type: 'integer', nullable: false },
+  isActive: { type: 'boolean', nullable: false }
+};
+
+// Column of each BANNER_BODY_SCHEMA field
+const BANNER_COLUMNS = {
+  imageUrl: 'image_url',
+  imageRenditions: 'image_renditions',
+  mobileImageUrl: 'mobile_image_url',
+  mobileImageRenditions: 'mobile_image_renditions',
+  title: 'title',
+  subtitle: 'subtitle',
+  link: 'link',
+  placement: 'placement',
+  categoryId: 'category_id',
+  audience: 'audience',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  orderIndex: 'order_index',
+  isActive: 'is_active'
+};
+
+// Optional banner columns that an empty value clears
+const BANNER_NULLABLE_COLUMNS = ['image_renditions', 'mobile_image_url', 'mobile_image_renditions', 'title', 'subtitle', 'link', 'category_id', 'starts_at', 'ends_at'];
+
+// Columns of a banner body checked against BANNER_BODY_SCHEMA, only the given fields. The rendition
+// sets from the upload endpoint provide the image URLs when they are not given.
+function parseBannerBody(body) {
+  const data = {};
+  for (const [field, column] of Object.entries(BANNER_COLUMNS)) {
+    if (body[field] !== undefined) data[column] = body[field];
+  }
+  for (const column of BANNER_NULLABLE_COLUMNS) {
+    if (data[column] !== undefined) data[column] = data[column] || null;
+  }
+  for (const column of ['starts_at', 'ends_at']) {
+    if (data[column]) data[column] = new Date(data[column]).toISOString();
+  }
+
+  if (data.image_url === undefined && data.image_renditions) data.image_url = data.image_renditions.url;
+  if (data.mobile_image_url === undefined && data.mobile_image_renditions) data.mobile_image_url = data.mobile_image_renditions.url;
+  return data;
+}
+
+// Rules on a banner as a whole (for updates, the stored banner with the changes applied).
+// Returns the invalid fields or null.
+async function checkBanner(banner) {
+  if (!banner.image_url) {
+    return { imageUrl: 'imageUrl is required' };
+  }
+
+  if (banner.starts_at && banner.ends_at && new Date(banner.ends_at) <= new Date(banner.starts_at)) {
+    return { endsAt: 'endsAt must be after startsAt' };
+  }
+
+  if (banner.category_id) {
+    if (banner.placement !== 'category') {
+      return { categoryId: 'categoryId is only used by category page banners' };
+    }
+
+    const { data } = await supabase
+      .from('categories')
+      .select('id')
+      .eq('id', banner.category_id)
+      .maybeSingle();
+
+    if (!data) {
+      return { categoryId: `Unknown category id: ${banner.category_id}` };
+    }
+  }
+
+  return null;
+}
+
+// Response of a createBanner() or updateBanner() failure
+function sendBannerWriteError(res, { fields, status, error, details }) {
+  if (fields) {
+    return sendValidationError(res, fields);
+  }
+  return res.status(status).json(details ? { error, details } : { error });
+}
+
+// Create a banner from a request body checked against BANNER_BODY_SCHEMA, on behalf of `actor`
+// (see getAuditActor). Returns { banner }, { fields } (422) or { status, error, details }.
+async function createBanner(actor, body) {
+  const newBanner = {
+    title: null,
+    subtitle: null,
+    link: null,
+    image_renditions: null,
+    mobile_image_url: null,
+    mobile_image_renditions: null,
+    placement: 'home_hero',
+    category_id: null,
+    audience: 'all',
+    starts_at: null,
+    ends_at: null,
+    order_index: 0,
+    is_active: true,
+    ...parseBannerBody(body)
+  };
+
+  const fields = await checkBanner(newBanner);
+  if (fields) {
+    return { fields };
+  }
+
+  const { data, error } = await supabase
+    .from('banners')
+    .insert([newBanner])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Supabase error:', error);
+    return { status: 500, error: 'Failed to create banner', details: error.message };
+  }
+
+  await recordAudit({ actor, entityType: 'banner', entityId: data.id, action: 'create', after: toBannerSnapshot(data) });
+
+  return { banner: data };
+}
+
+// Create a new banner
+app.post('/api/banners', requireAdmin, requirePermission('banners:write'), validateRequest({ body: BANNER_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const result = await createBanner(getAuditActor(req), req.body);
+    if (!result.banner) {
+      return sendBannerWriteError(res, result);
+    }
+
+    return res.status(201).json({ banner: result.banner, message: 'Banner created successfully' });
+  } catch (error) {
+    console.error('Error creating banner:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a banner from a request body checked against BANNER_BODY_SCHEMA, on behalf of `actor`
+// (see getAuditActor). `revertOf` is the audit entry id when the update reverts to that version.
+// Returns { banner }, { fields } (422) or { status, error, details }.
+async function updateBanner(actor, id, body, { revertOf = null } = {}) {
+  const updateData = parseBannerBody(body);
+
+  // The current banner, to audit the update and delete the images the update replaces.
+  // Trashed banners are restored before editing.
+  const { data: existing } = await supabase
+    .from('banners')
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (!existing) {
+    return { status: 404, error: 'Banner not found' };
+  }
+
+  const fields = await checkBanner({ ...existing, ...updateData });
+  if (fields) {
+    return { fields };
+  }
+
+  const { data, error } = await supabase
+    .from('banners')
+    .update(updateData)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Supabase error:', error);
+    return { status: 500, error: 'Failed to update banner', details: error.message };
+  }
+
+  if (!data) {
+    return { status: 404, error: 'Banner not found' };
+  }
+
+  await recordAudit({
+    actor,
+    entityType: 'banner',
+    entityId: id,
+    action: revertOf ? 'revert' : 'update',
+    before: toBannerSnapshot(existing),
+    after: toBannerSnapshot(data),
+    revertedFrom: revertOf
+  });
+
+  // Like products, a revert leaves replaced media to the media GC
+  if (!revertOf) {
+    const currentMediaUrls = new Set(getRecordMediaUrls('banner', data).map(({ url }) => url));
+    await releaseMedia(getRecordMediaUrls('banner', existing).map(({ url }) => url).filter(url => !currentMediaUrls.has(url)));
+  }
+
+  return { banner: data };
+}
+
+// Update a banner
+app.put('/api/banners/:id', requireAdmin, requirePermission('banners:write'), validateRequest({ body: BANNER_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const result = await updateBanner(getAuditActor(req), req.params.id, req.body);
+    if (!result.banner) {
+      return sendBannerWriteError(res, result);
+    }
+
+    return res.json({ banner: result.banner, message: 'Banner updated successfully' });
+  } catch (error) {
+    console.error('Error updating banner:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const BANNER_ORDER_BODY_SCHEMA = {
+  bannerIds: { type: 'array', required: true, min: 1, items: { type: 'uuid' } }
+};
+
+// Reorder banners in one request: each listed banner's order_index becomes its position in
+// bannerIds (0, 1, ...). Banners not listed keep their order_index.
+app.put('/api/admin/banners/order', requireAdmin, requirePermission('banners:write'), validateRequest({ body: BANNER_ORDER_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const ids = req.body.bannerIds;
+    if (new Set(ids).size !== ids.length) {
+      return sendValidationError(res, { bannerIds: 'A banner can only be listed once' });
+    }
+
+    const { data: banners, error } = await supabase
+      .from('banners')
+      .select('*')
+      .in('id', ids)
+      .is('deleted_at', null);
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch banners', details: error.message });
+    }
+
+    const bannersById = new Map((banners || []).map(banner => [banner.id, banner]));
+    const missing = ids.filter(id => !bannersById.has(id));
+    if (missing.length > 0) {
+      return sendValidationError(res, { bannerIds: `Unknown banner ids: ${missing.join(', ')}` });
+    }
+
+    const actor = getAuditActor(req);
+    const reordered = [];
+    for (const [index, id] of ids.entries()) {
+      const banner = bannersById.get(id);
+      if (banner.order_index === index) {
+        reordered.push(banner);
+        continue;
+      }
+
+      const { data, error: updateError } = await supabase
+        .from('banners')
+        .update({ order_index: index })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (updateError) {
+        console.error('Supabase error:', updateError);
+        return res.status(500).json({ error: 'Failed to reorder banners', details: updateError.message });
+      }
+
+      await recordAudit({ actor, entityType: 'banner', entityId: id, action: 'update', before: toBannerSnapshot(banner), after: toBannerSnapshot(data) });
+      reordered.push(data);
+    }
+
+    return res.json({ banners: reordered, message: 'Banners reordered successfully' });
+  } catch (error) {
+    console.error('Error reordering banners:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a banner: moves it to the trash (see TRASH). Its image is kept until it is purged.
+app.delete('/api/banners/:id', requireAdmin, requirePermission('banners:write'), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Banner not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('banners')
+      .update({ deleted_at: new Date().toISOString(), deleted_by: req.admin.id })
+      .eq('id', req.params.id)
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to delete banner', details: error.message });
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Banner not found' });
+    }
+
+    await recordAudit({ actor: getAuditActor(req), entityType: 'banner', entityId: data.id, action: 'delete', before: toBannerSnapshot(data) });
+
+    return res.json({ message: 'Banner moved to the trash', deleted_at: data.deleted_at, purge_at: getTrashPurgeDate(data.deleted_at) });
+  } catch (error) {
+    console.error('Error deleting banner:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== END BANNERS API ====================
+
+// ==================== AUDIT LOG ====================
+
+// Every create, update and delete of a product or banner is stored in audit_log with the admin who
+// made it, their IP, the changed fields ({ field: { before, after } }) and a snapshot of the record.
+// The snapshots make up the version history a record can be reverted to. Entries are never changed.
+const AUDIT_ENTITY_TYPES = ['product', 'banner'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'revert', 'restore', 'purge'];
+
+// Product columns left out of snapshots: maintained by the server, not set through PUT /api/products/:id
+const PRODUCT_SNAPSHOT_OMITTED_COLUMNS = ['id_number', 'created_at', 'updated_at', 'discount_percent', 'inStock', 'stock_quantity', 'rating', 'reviews', 'questions', 'deleted_at', 'deleted_by'];
+
+// Product fields restored as they are by a revert (the others are mapped in getProductRevertBody)
+const PRODUCT_REVERT_FIELDS = ['name', 'video', 'wellnessCoins', 'description', 'helps', 'details', 'directions', 'ingredients', 'requiresPrescription', 'categoryIds'];
+
+// Columns of audit entries in lists (the snapshot is only returned for a single entry)
+const AUDIT_LIST_COLUMNS = 'id, entity_type, entity_id, action, actor_id, actor_name, ip, changes, reverted_from, created_at';
+
+const AUDIT_QUERY_SCHEMA = {
+  ...PAGINATION_QUERY_SCHEMA,
+  entity: { type: 'string', enum: AUDIT_ENTITY_TYPES },
+  entityId: { type: 'string', max: 100 },
+  actor: { type: 'uuid' },
+  action: { type: 'string', enum: AUDIT_ACTIONS },
+  from: { type: 'datetime' },
+  to: { type: 'datetime' }
+};
+
+// Who makes a change: the signed-in admin and the request IP
+function getAuditActor(req) {
+  return { admin: req.admin, ip: req.ip || null };
+}
+
+// The product with its category ids and active variants (in the shape of the request body), or null
+async function getProductSnapshot(id) {
+  const { data: product } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!product) {
+    return null;
+  }
+
+  const [{ data: links }, variants] = await Promise.all([
+    supabase.from('product_categories').select('category_id').eq('product_id', id),
+    fetchProductVariants([id])
+  ]);
+
+  const snapshot = {};
+  for (const [column, value] of Object.entries(product)) {
+    if (!PRODUCT_SNAPSHOT_OMITTED_COLUMNS.includes(column)) {
+      snapshot[column] = value;
+    }
+  }
+  // Decimal columns can come back as strings
+  for (const column of ['originalPrice', 'discountedPrice', 'wellnessCoins']) {
+    if (snapshot[column] !== null && snapshot[column] !== undefined) {
+      snapshot[column] = parseFloat(snapshot[column]);
+    }
+  }
+
+  snapshot.categoryIds = (links || []).map(link => link.category_id).sort();
+  snapshot.variants = variants.get(id).map(variant => {
+    const { stockQuantity, inStock, position, ...body } = toProductVariant(variant);
+    return body;
+  });
+  return snapshot;
+}
+
+function toBannerSnapshot(banner) {
+  const { created_at, deleted_at, deleted_by, ...snapshot } = banner;
+  return snapshot;
+}
+
+// JSON with sorted object keys, so values read back from JSONB columns compare equal
+function toCanonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toCanonicalJson).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function getSnapshotValue(snapshot, field) {
+  return snapshot && snapshot[field] !== undefined ? snapshot[field] : null;
+}
+
+// { field: { before, after } } for every field that differs between two snapshots (either can be null)
+function getAuditChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('id');
+
+  for (const field of fields) {
+    const previous = getSnapshotValue(before, field);
+    const current = getSnapshotValue(after, field);
+    if (toCanonicalJson(previous) !== toCanonicalJson(current)) {
+      changes[field] = { before: previous, after: current };
+    }
+  }
+
+  return changes;
+}
+
+// Store an audit entry. `before` and `after` are snapshots of the record (null for a create, or for a
+// delete or purge). An update that changed nothing is not stored. A failure is logged and does not
+// undo the change. Returns the entry or null.
+async function recordAudit({ actor, entityType, entityId, action, before = null, after = null, revertedFrom = null }) {
+  const changes = getAuditChanges(before, after);
+  if ((action === 'update' || action === 'revert') && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('audit_log')
+    .insert([{
+      entity_type: entityType,
+      entity_id: String(entityId),
+      action,
+      actor_id: actor.admin ? actor.admin.id : null,
+      actor_name: actor.admin ? (actor.admin.name || actor.admin.email) : null,
+      ip: actor.ip,
+      changes,
+      snapshot: after || before,
+      reverted_from: revertedFrom
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording audit entry:', error);
+    return null;
+  }
+
+  return data;
+}
+
+// One audit entry of a record, or null
+async function findAuditEntry(entityType, entityId, entryId) {
+  if (!UUID_PATTERN.test(entryId)) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('audit_log')
+    .select('*')
+    .eq('id', entryId)
+    .eq('entity_type', entityType)
+    .eq('entity_id', entityId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch audit entry: ${error.message}`);
+  }
+
+  return data || null;
+}
+
+// Handler listing the history of a product or banner, newest first (entries without their snapshot).
+// The history of a deleted record stays available.
+function listAuditHistory(entityType) {
+  return async (req, res) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = Math.min(req.query.limit || 20, 100);
+
+      const { data, error, count } = await supabase
+        .from('audit_log')
+        .select(AUDIT_LIST_COLUMNS, { count: 'exact' })
+        .eq('entity_type', entityType)
+        .eq('entity_id', req.params.id)
+        .order('created_at', { ascending: false })
+        .range((page - 1) * limit, page * limit - 1);
+
+      if (error && error.code !== 'PGRST103') {
+        console.error('Supabase error:', error);
+        return res.status(500).json({ error: 'Failed to fetch history', details: error.message });
+      }
+
+      return res.json({
+        history: data || [],
+        pagination: buildPagination(req, { page, limit }, count || 0)
+      });
+    } catch (error) {
+      console.error('Error fetching history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Handler returning one entry of the history of a product or banner, with its snapshot
+function getAuditHistoryEntry(entityType) {
+  return async (req, res) => {
+    try {
+      const entry = await findAuditEntry(entityType, req.params.id, req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({ error: 'History entry not found' });
+      }
+
+      return res.json({ entry });
+    } catch (error) {
+      console.error('Error fetching history entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// The entry a revert goes back to, or the error response to send: { entry } or { status, error }
+async function findRevertEntry(entityType, entityId, entryId) {
+  const entry = await findAuditEntry(entityType, entityId, entryId);
+  if (!entry) {
+    return { status: 404, error: 'History entry not found' };
+  }
+  if (entry.action === 'delete' || entry.action === 'purge' || !entry.snapshot) {
+    return { status: 409, error: 'A delete or purge entry cannot be reverted to' };
+  }
+  return { entry };
+}
+
+// Uploaded files of `urls` that were deleted since (not in `currentUrls`). Media is deleted once no
+// record uses it (see releaseMedia), so a file still exists while it is used or in the media library.
+// Returns { missing } or { error }.
+async function findMissingMedia(urls, currentUrls) {
+  const candidates = [...new Set(urls)].filter(url => !currentUrls.includes(url) && isStorageUrl(url, MEDIA_BUCKET));
+  if (candidates.length === 0) {
+    return { missing: [] };
+  }
+
+  const { references, error } = await findMediaReferences(candidates);
+  if (error) {
+    return { error };
+  }
+
+  const unused = candidates.filter(url => !references.has(url));
+  if (unused.length === 0) {
+    return { missing: [] };
+  }
 
-// Upload video
-app.post('/api/upload/video', videoUpload.single('video'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No video file provided' });
-    }
+  const { data: assets, error: assetsError } = await supabase
+    .from('media_assets')
+    .select('urls')
+    .overlaps('urls', unused);
 
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase is not configured' });
-    }
+  if (assetsError) {
+    console.error('Supabase error:', assetsError);
+    return { error: assetsError.message };
+  }
 
-    // Upload to Supabase Storage
-    const uploadResult = await uploadToSupabaseStorage(req.file, 'products', 'videos');
-    
-    res.json({
-      message: 'Video uploaded successfully',
-      videoUrl: uploadResult.publicUrl,
-      filename: uploadResult.fileName,
-      path: uploadResult.path
-    });
-  } catch (error) {
-    console.error('Error uploading video:', error);
-    res.status(500).json({ error: 'Error uploading video', details: error.message });
+  const recorded = new Set((assets || []).flatMap(asset => asset.urls));
+  return { missing: unused.filter(url => !recorded.has(url)) };
+}
+
+// Refuse a revert to a version whose media was deleted (409 with details.missing).
+// Returns true when a response was sent.
+async function sendMissingMediaError(res, urls, currentUrls) {
+  const { missing, error } = await findMissingMedia(urls, currentUrls);
+  if (error) {
+    res.status(500).json({ error: 'Failed to check the media of this version', details: error });
+    return true;
   }
-});
+  if (missing.length > 0) {
+    res.status(409).json({ error: 'This version uses media that has since been deleted', code: 'media_missing', details: { missing } });
+    return true;
+  }
+  return false;
+}
 
-// Get all products
-app.get('/api/products', async (req, res) => {
-  try {
-    if (supabase) {
-      // Try to fetch from Supabase
-      const { data, error } = await supabase
-        .from('products')
-        .select('*')
-        .order('id', { ascending: true });
+// Media URLs of a product snapshot, with the images of its variants
+function getProductSnapshotMediaUrls(snapshot) {
+  return [
+    ...getRecordMediaUrls('product', snapshot),
+    ...(snapshot.variants || []).flatMap(variant => getRecordMediaUrls('product_variant', variant))
+  ].map(({ url }) => url);
+}
 
-      if (error) {
-        console.error('Supabase error:', error);
-        // Fallback to mock data if table doesn't exist yet
-        return res.json({ products: getMockProducts() });
-      }
+// PUT /api/products/:id body that turns the `current` snapshot back into `target`: only the fields
+// that differ. The slug is permanent and never reverted.
+function getProductRevertBody(target, current) {
+  const differs = field => toCanonicalJson(getSnapshotValue(target, field)) !== toCanonicalJson(getSnapshotValue(current, field));
+  const body = {};
 
-      return res.json({ products: data || [] });
-    } else {
-      // Return mock data if Supabase is not configured
-      return res.json({ products: getMockProducts() });
-    }
-  } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  for (const field of PRODUCT_REVERT_FIELDS) {
+    if (differs(field)) body[field] = getSnapshotValue(target, field);
   }
-});
+  if (differs('brand_id')) body.brandId = target.brand_id;
+  // The main image follows the images array
+  if (['image', 'images', 'image_renditions'].some(differs)) {
+    body.images = target.images || [];
+    body.imageRenditions = target.image_renditions || [];
+  }
+  // Variants carry the prices, pack size and SKUs
+  if (differs('variants')) body.variants = target.variants;
 
-// Get single product by ID
-app.get('/api/products/:id', async (req, res) => {
+  return body;
+}
+
+// Global audit feed, newest first (entries without their snapshot)
+// Query: entity (product or banner), entityId, actor (admin user id), action, from, to (ISO dates on
+// created_at), page, limit
+app.get('/api/admin/audit', requireAdmin, requirePermission('audit:read'), validateRequest({ query: AUDIT_QUERY_SCHEMA }), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { entity, entityId, actor, action, from, to } = req.query;
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 50, 200);
 
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('products')
-        .select('*')
-        .eq('id', id)
-        .single();
+    let query = supabase
+      .from('audit_log')
+      .select(AUDIT_LIST_COLUMNS, { count: 'exact' });
 
-      if (error) {
-        console.error('Supabase error:', error);
-        // Fallback to mock data
-        const product = getMockProducts().find(p => p.id === id);
-        if (!product) {
-          return res.status(404).json({ error: 'Product not found' });
-        }
-        return res.json({ product });
-      }
+    if (entity) query = query.eq('entity_type', entity);
+    if (entityId) query = query.eq('entity_id', entityId);
+    if (actor) query = query.eq('actor_id', actor);
+    if (action) query = query.eq('action', action);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
 
-      if (!data) {
-        return res.status(404).json({ error: 'Product not found' });
-      }
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
 
-      return res.json({ product: data });
-    } else {
-      // Return mock data
-      const product = getMockProducts().find(p => p.id === id);
-      if (!product) {
-        return res.status(404).json({ error: 'Product not found' });
-      }
-      return res.json({ product });
+    if (error && error.code !== 'PGRST103') {
+      console.error('Supabase error:', error);
+      return res.status(500).json({ error: 'Failed to fetch the audit log', details: error.message });
     }
+
+    return res.json({
+      entries: data || [],
+      pagination: buildPagination(req, { page, limit }, count || 0)
+    });
   } catch (error) {
-    console.error('Error fetching product:', error);
+    console.error('Error fetching the audit log:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Helper function to generate unique auto-incremented product ID
-async function generateProductId() {
-  try {
-    if (supabase) {
-      // Get all products to find the highest ID
-      const { data, error } = await supabase
-        .from('products')
-        .select('id');
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-        console.error('Error fetching products for ID generation:', error);
-        // Fallback to timestamp-based ID
-        return `prod-${Date.now()}`;
-      }
-
-      if (data && data.length > 0) {
-        // Extract numbers from all IDs and find the maximum
-        let maxNumber = 0;
-        data.forEach(product => {
-          const match = product.id.match(/^prod-(\d+)$/);
-          if (match) {
-            const num = parseInt(match[1], 10);
-            if (num > maxNumber) {
-              maxNumber = num;
-            }
-          }
-        });
-        
-        if (maxNumber > 0) {
-          return `prod-${maxNumber + 1}`;
-        }
-      }
-      // If no products exist or format doesn't match, start from 1
-      return 'prod-1';
-    } else {
-      // For development without Supabase, use timestamp
-      return `prod-${Date.now()}`;
-    }
-  } catch (error) {
-    console.error('Error generating product ID:', error);
-    // Fallback to timestamp-based ID
-    return `prod-${Date.now()}`;
-  }
-}
+// History of a product
+app.get('/api/admin/products/:id/history', requireAdmin, requirePermission('products:write', 'products:compliance'), validateRequest({ query: PAGINATION_QUERY_SCHEMA }), listAuditHistory('product'));
+app.get('/api/admin/products/:id/history/:entryId', requireAdmin, requirePermission('products:write', 'products:compliance'), getAuditHistoryEntry('product'));
 
-// Create a new product (POST)
-app.post('/api/products', async (req, res) => {
+// Revert a product to the version of a history entry. Recorded as a 'revert' entry.
+app.post('/api/admin/products/:id/history/:entryId/revert', requireAdmin, requirePermission('products:write', 'products:compliance'), async (req, res) => {
   try {
-    const { 
-      name, rating, reviews, questions, originalPrice, discountedPrice, 
-      image, images, video, packSize, wellnessCoins,
-      description, helps, details, directions, ingredients,
-      inStock 
-    } = req.body;
+    const { id, entryId } = req.params;
 
-    // Validation
-    if (!name || !originalPrice || !discountedPrice) {
-      return res.status(400).json({ error: 'Name, originalPrice, and discountedPrice are required' });
+    const { entry, status, error } = await findRevertEntry('product', id, entryId);
+    if (!entry) {
+      return res.status(status).json({ error });
     }
 
-    // Generate auto-increment unique ID
-    const productId = await generateProductId();
-
-    // Handle images - support both single image (backward compatibility) and images array
-    const imageArray = images && Array.isArray(images) ? images : (image ? [image] : []);
-    const mainImage = image || (imageArray.length > 0 ? imageArray[0] : '');
+    const current = await getProductSnapshot(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
 
-    const newProduct = {
-      id: productId,
-      name,
-      rating: rating ? parseFloat(rating) : 0,
-      reviews: reviews ? parseInt(reviews) : 0,
-      questions: questions ? parseInt(questions) : 0,
-      originalPrice: parseFloat(originalPrice),
-      discountedPrice: parseFloat(discountedPrice),
-      image: mainImage, // Main image for backward compatibility
-      images: imageArray, // Array of images
-      video: video || null, // Video URL (optional)
-      packSize: packSize || null,
-      wellnessCoins: wellnessCoins ? parseFloat(wellnessCoins) : null,
-      description: description || '',
-      helps: helps && Array.isArray(helps) ? helps : null,
-      details: details || null,
-      directions: directions || null,
-      ingredients: ingredients && Array.isArray(ingredients) ? ingredients : null,
-      inStock: inStock !== undefined ? inStock : true
-    };
+    const body = getProductRevertBody(entry.snapshot, current);
+    if (Object.keys(body).length === 0) {
+      return res.status(409).json({ error: 'The product already matches this version' });
+    }
 
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('products')
-        .insert([newProduct])
-        .select()
-        .single();
+    // The version may no longer be valid (e.g. its brand or categories were deleted)
+    const { values, fields } = checkSchema(PRODUCT_UPDATE_SCHEMA, body);
+    if (Object.keys(fields).length > 0) {
+      return sendValidationError(res, fields);
+    }
 
-      if (error) {
-        console.error('Supabase error:', error);
-        console.error('Product data:', JSON.stringify(newProduct, null, 2));
-        return res.status(500).json({ error: 'Failed to create product', details: error.message });
-      }
+    if (await sendMissingMediaError(res, getProductSnapshotMediaUrls(entry.snapshot), getProductSnapshotMediaUrls(current))) {
+      return;
+    }
 
-      return res.status(201).json({ product: data, message: 'Product created successfully' });
-    } else {
-      // In-memory storage for development (without Supabase)
-      // Note: This is temporary - data will be lost on server restart
-      return res.status(201).json({ product: newProduct, message: 'Product created successfully (stored in memory)' });
+    const result = await updateProduct(getAuditActor(req), id, values, { revertOf: entry.id });
+    if (!result.product) {
+      return sendProductWriteError(res, result);
     }
+
+    return res.json({
+      product: await withProductVariants(await withProductTaxonomy(result.product)),
+      message: 'Product reverted successfully'
+    });
   } catch (error) {
-    console.error('Error creating product:', error);
+    console.error('Error reverting product:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update a product (PUT)
-app.put('/api/products/:id', async (req, res) => {
+// History of a banner
+app.get('/api/admin/banners/:id/history', requireAdmin, requirePermission('banners:write'), validateRequest({ query: PAGINATION_QUERY_SCHEMA }), listAuditHistory('banner'));
+app.get('/api/admin/banners/:id/history/:entryId', requireAdmin, requirePermission('banners:write'), getAuditHistoryEntry('banner'));
+
+// Revert a banner to the version of a history entry. Recorded as a 'revert' entry.
+app.post('/api/admin/banners/:id/history/:entryId/revert', requireAdmin, requirePermission('banners:write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { 
-      name, rating, reviews, questions, originalPrice, discountedPrice, 
-      image, images, video, packSize, wellnessCoins,
-      description, helps, details, directions, ingredients,
-      inStock 
-    } = req.body;
-
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (rating !== undefined) updateData.rating = parseFloat(rating);
-    if (reviews !== undefined) updateData.reviews = parseInt(reviews);
-    if (questions !== undefined) updateData.questions = parseInt(questions);
-    if (originalPrice !== undefined) updateData.originalPrice = parseFloat(originalPrice);
-    if (discountedPrice !== undefined) updateData.discountedPrice = parseFloat(discountedPrice);
-    
-    // Handle images
-    if (images !== undefined && Array.isArray(images)) {
-      updateData.images = images;
-      updateData.image = images.length > 0 ? images[0] : '';
-    } else if (image !== undefined) {
-      updateData.image = image;
-      if (!updateData.images) {
-        updateData.images = image ? [image] : [];
-      }
+    const { id, entryId } = req.params;
+
+    const { entry, status, error } = await findRevertEntry('banner', id, entryId);
+    if (!entry) {
+      return res.status(status).json({ error });
     }
-    
-    // Handle video (optional)
-    if (video !== undefined) updateData.video = video || null;
-    if (packSize !== undefined) updateData.packSize = packSize || null;
-    if (wellnessCoins !== undefined) updateData.wellnessCoins = wellnessCoins ? parseFloat(wellnessCoins) : null;
-    if (description !== undefined) updateData.description = description;
-    if (helps !== undefined) updateData.helps = helps && Array.isArray(helps) ? helps : null;
-    if (details !== undefined) updateData.details = details || null;
-    if (directions !== undefined) updateData.directions = directions || null;
-    if (ingredients !== undefined) updateData.ingredients = ingredients && Array.isArray(ingredients) ? ingredients : null;
-    if (inStock !== undefined) updateData.inStock = inStock;
-
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('products')
-        .update(updateData)
-        .eq('id', id)
-        .select()
-        .single();
 
-      if (error) {
-        console.error('Supabase error:', error);
-        return res.status(500).json({ error: 'Failed to update product', details: error.message });
-      }
+    const { data: current } = await supabase
+      .from('banners')
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle();
 
-      if (!data) {
-        return res.status(404).json({ error: 'Product not found' });
+    if (!current) {
+      return res.status(404).json({ error: 'Banner not found' });
+    }
+
+    // Fields added after the entry was recorded are left as they are
+    const body = {};
+    for (const [field, column] of Object.entries(BANNER_COLUMNS).filter(([, name]) => entry.snapshot[name] !== undefined)) {
+      const value = getSnapshotValue(entry.snapshot, column);
+      if (toCanonicalJson(value) !== toCanonicalJson(getSnapshotValue(current, column))) {
+        body[field] = value;
       }
+    }
+    if (Object.keys(body).length === 0) {
+      return res.status(409).json({ error: 'The banner already matches this version' });
+    }
 
-      return res.json({ product: data, message: 'Product updated successfully' });
-    } else {
-      // For development without Supabase - return updated data structure
-      return res.json({ product: { id, ...updateData }, message: 'Product updated successfully (in memory)' });
+    const { values, fields } = checkSchema(BANNER_BODY_SCHEMA, body);
+    if (Object.keys(fields).length > 0) {
+      return sendValidationError(res, fields);
     }
+
+    const mediaUrls = record => getRecordMediaUrls('banner', record).map(({ url }) => url);
+    if (await sendMissingMediaError(res, mediaUrls(parseBannerBody(values)), mediaUrls(current))) {
+      return;
+    }
+
+    const result = await updateBanner(getAuditActor(req), id, values, { revertOf: entry.id });
+    if (!result.banner) {
+      return sendBannerWriteError(res, result);
+    }
+
+    return res.json({ banner: result.banner, message: 'Banner reverted successfully' });
   } catch (error) {
-    console.error('Error updating product:', error);
+    console.error('Error reverting banner:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete a product (DELETE)
-app.delete('/api/products/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+// ==================== END AUDIT LOG ====================
 
-    if (supabase) {
-      // First, fetch the product to get image and video paths
-      const { data: product, error: fetchError } = await supabase
-        .from('products')
-        .select('image, images, video')
-        .eq('id', id)
-        .single();
+// ==================== TRASH ====================
 
-      if (fetchError && fetchError.code !== 'PGRST116') {
-        console.error('Error fetching product for deletion:', fetchError);
-      }
+// Deleted products and banners go to the trash (deleted_at is set): they are hidden from the public
+// API and can be restored. Purging deletes a record for good with the media no other record uses,
+// on request or once it has been in the trash for TRASH_RETENTION_DAYS (POST /api/admin/trash/purge,
+// run from a scheduler).
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
 
-      // Delete files from Supabase Storage if product exists
-      if (product) {
-        // Delete main image
-        if (product.image) {
-          await deleteFromSupabaseStorage(product.image, 'products');
-        }
+// Per entity type: its table, name column and purge function. Banner ids are uuids.
+const TRASH_ENTITIES = {
+  product: { table: 'products', label: 'Product', nameColumn: 'name', uuid: false, getSnapshot: getProductSnapshot, getPurgeBlocker: getProductPurgeBlocker, purge: purgeProduct },
+  banner: { table: 'banners', label: 'Banner', nameColumn: 'title', uuid: true, getSnapshot: getBannerSnapshot, purge: purgeBanner }
+};
 
-        // Delete images array
-        if (product.images && Array.isArray(product.images)) {
-          for (const imageUrl of product.images) {
-            await deleteFromSupabaseStorage(imageUrl, 'products');
-          }
-        }
+const TRASH_PURGE_BODY_SCHEMA = {
+  dryRun: { type: 'boolean' }
+};
 
-        // Delete video
-        if (product.video) {
-          await deleteFromSupabaseStorage(product.video, 'products');
-        }
-      }
+// When a record trashed at `deletedAt` is due to be purged
+function getTrashPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
 
-      // Delete product from database
-      const { error } = await supabase
-        .from('products')
-        .delete()
-        .eq('id', id);
+async function getBannerSnapshot(id) {
+  const { data } = await supabase
+    .from('banners')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
 
-      if (error) {
-        console.error('Supabase error:', error);
-        return res.status(500).json({ error: 'Failed to delete product', details: error.message });
-      }
+  return data ? toBannerSnapshot(data) : null;
+}
 
-      return res.json({ message: 'Product deleted successfully' });
-    } else {
-      // For development without Supabase
-      return res.json({ message: 'Product deleted successfully (from memory)' });
+// Why a product cannot be purged, or null. Ordered products are kept: deleting one would cascade to
+// its batches and with them to the order allocations, losing which lot went to which order (needed for
+// recalls, and to restore stock when an open order is cancelled).
+async function getProductPurgeBlocker(id) {
+  for (const table of ['order_items', 'order_stock_allocations']) {
+    const { count, error } = await supabase
+      .from(table)
+      .select('id', { count: 'exact', head: true })
+      .eq('product_id', id);
+
+    if (error) {
+      throw new Error(`Failed to fetch ${table}: ${error.message}`);
+    }
+    if (count > 0) {
+      return 'Product has been ordered and is kept for the order history';
     }
-  } catch (error) {
-    console.error('Error deleting product:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
-});
+  return null;
+}
 
-// ==================== BANNERS API ENDPOINTS ====================
+// Delete a trashed product for good, with the media of the product and its variants that no other
+// record uses. Returns an error message or null.
+async function purgeProduct(actor, id) {
+  const before = await getProductSnapshot(id);
+  if (!before) {
+    return 'Product not found';
+  }
 
-// Get all banners (for hero section)
-app.get('/api/banners', async (req, res) => {
-  try {
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('banners')
-        .select('*')
-        .eq('is_active', true)
-        .order('order_index', { ascending: true });
+  const blocker = await getProductPurgeBlocker(id);
+  if (blocker) {
+    return blocker;
+  }
 
-      if (error) {
-        console.error('Supabase error:', error);
-        return res.json({ banners: [] });
-      }
+  const mediaUrls = getRecordMediaUrls('product', before).map(({ url }) => url);
+  const variants = (await fetchProductVariants([id], { includeInactive: true })).get(id);
+  for (const variant of variants) {
+    mediaUrls.push(...(variant.images || []));
+  }
 
-      return res.json({ banners: data || [] });
-    } else {
-      return res.json({ banners: [] });
-    }
-  } catch (error) {
-    console.error('Error fetching banners:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  const { data, error } = await supabase
+    .from('products')
+    .delete()
+    .eq('id', id)
+    .not('deleted_at', 'is', null)
+    .select('id');
+
+  if (error) {
+    console.error('Supabase error:', error);
+    return error.message;
+  }
+  if (!data || data.length === 0) {
+    return 'Product is not in the trash';
   }
-});
 
-// Get all banners (including inactive - for admin)
-app.get('/api/banners/all', async (req, res) => {
-  try {
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('banners')
-        .select('*')
-        .order('order_index', { ascending: true });
+  await recordAudit({ actor, entityType: 'product', entityId: id, action: 'purge', before });
+  await releaseMedia(mediaUrls);
+  return null;
+}
 
-      if (error) {
-        console.error('Supabase error:', error);
-        return res.status(500).json({ error: 'Failed to fetch banners', details: error.message });
-      }
+// Delete a trashed banner for good, with its image unless another record uses it.
+// Returns an error message or null.
+async function purgeBanner(actor, id) {
+  const { data, error } = await supabase
+    .from('banners')
+    .delete()
+    .eq('id', id)
+    .not('deleted_at', 'is', null)
+    .select();
 
-      return res.json({ banners: data || [] });
-    } else {
-      return res.json({ banners: [] });
-    }
-  } catch (error) {
-    console.error('Error fetching banners:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  if (error) {
+    console.error('Supabase error:', error);
+    return error.message;
+  }
+  if (!data || data.length === 0) {
+    return 'Banner is not in the trash';
   }
-});
 
-// Create a new banner
-app.post('/api/banners', async (req, res) => {
-  try {
-    const { image_url, title, subtitle, link, order_index, is_active } = req.body;
+  await recordAudit({ actor, entityType: 'banner', entityId: id, action: 'purge', before: toBannerSnapshot(data[0]) });
+  await releaseMedia(getRecordMediaUrls('banner', data[0]).map(({ url }) => url));
+  return null;
+}
 
-    if (!image_url) {
-      return res.status(400).json({ error: 'Image URL is required' });
-    }
+// Handler listing the trashed records of a type, most recently deleted first, with their purge date
+function listTrash(entityType) {
+  const { table } = TRASH_ENTITIES[entityType];
 
-    const newBanner = {
-      image_url,
-      title: title || null,
-      subtitle: subtitle || null,
-      link: link || null,
-      order_index: order_index !== undefined ? parseInt(order_index) : 0,
-      is_active: is_active !== undefined ? is_active : true
-    };
+  return async (req, res) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = Math.min(req.query.limit || 20, 100);
 
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('banners')
-        .insert([newBanner])
-        .select()
-        .single();
+      const { data, error, count } = await supabase
+        .from(table)
+        .select('*', { count: 'exact' })
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false })
+        .range((page - 1) * limit, page * limit - 1);
 
-      if (error) {
+      if (error && error.code !== 'PGRST103') {
         console.error('Supabase error:', error);
-        return res.status(500).json({ error: 'Failed to create banner', details: error.message });
+        return res.status(500).json({ error: 'Failed to fetch the trash', details: error.message });
       }
 
-      return res.status(201).json({ banner: data, message: 'Banner created successfully' });
-    } else {
-      return res.status(201).json({ banner: newBanner, message: 'Banner created successfully (not saved)' });
+      return res.json({
+        [table]: (data || []).map(row => ({ ...row, purge_at: getTrashPurgeDate(row.deleted_at) })),
+        pagination: buildPagination(req, { page, limit }, count || 0)
+      });
+    } catch (error) {
+      console.error('Error fetching the trash:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-  } catch (error) {
-    console.error('Error creating banner:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  };
+}
 
-// Update a banner
-app.put('/api/banners/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { image_url, title, subtitle, link, order_index, is_active } = req.body;
+// Handler restoring a trashed record. Recorded as a 'restore' audit entry.
+function restoreFromTrash(entityType) {
+  const { table, label, uuid, getSnapshot } = TRASH_ENTITIES[entityType];
 
-    const updateData = {};
-    if (image_url !== undefined) updateData.image_url = image_url;
-    if (title !== undefined) updateData.title = title;
-    if (subtitle !== undefined) updateData.subtitle = subtitle;
-    if (link !== undefined) updateData.link = link;
-    if (order_index !== undefined) updateData.order_index = parseInt(order_index);
-    if (is_active !== undefined) updateData.is_active = is_active;
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (uuid && !UUID_PATTERN.test(id)) {
+        return res.status(404).json({ error: `${label} is not in the trash` });
+      }
 
-    if (supabase) {
       const { data, error } = await supabase
-        .from('banners')
-        .update(updateData)
+        .from(table)
+        .update({ deleted_at: null, deleted_by: null })
         .eq('id', id)
+        .not('deleted_at', 'is', null)
         .select()
-        .single();
+        .maybeSingle();
 
       if (error) {
         console.error('Supabase error:', error);
-        return res.status(500).json({ error: 'Failed to update banner', details: error.message });
+        return res.status(500).json({ error: `Failed to restore ${entityType}`, details: error.message });
       }
 
       if (!data) {
-        return res.status(404).json({ error: 'Banner not found' });
+        return res.status(404).json({ error: `${label} is not in the trash` });
       }
 
-      return res.json({ banner: data, message: 'Banner updated successfully' });
-    } else {
-      return res.json({ message: 'Banner updated successfully (not saved)' });
+      const snapshot = await getSnapshot(id);
+      await recordAudit({ actor: getAuditActor(req), entityType, entityId: id, action: 'restore', before: snapshot, after: snapshot });
+
+      if (entityType === 'product') {
+        invalidateSearchIndex();
+      }
+      return res.json({ [entityType]: data, message: `${label} restored successfully` });
+    } catch (error) {
+      console.error(`Error restoring ${entityType}:`, error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-  } catch (error) {
-    console.error('Error updating banner:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  };
+}
 
-// Delete a banner
-app.delete('/api/banners/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+// Handler purging a trashed record now
+function purgeFromTrash(entityType) {
+  const { table, label, uuid, getPurgeBlocker, purge } = TRASH_ENTITIES[entityType];
 
-    if (supabase) {
-      // First, get the banner to delete the image from storage if needed
-      const { data: banner, error: fetchError } = await supabase
-        .from('banners')
-        .select('image_url')
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (uuid && !UUID_PATTERN.test(id)) {
+        return res.status(404).json({ error: `${label} is not in the trash` });
+      }
+
+      const { data: trashed } = await supabase
+        .from(table)
+        .select('id')
         .eq('id', id)
-        .single();
+        .not('deleted_at', 'is', null)
+        .maybeSingle();
 
-      if (fetchError && fetchError.code !== 'PGRST116') {
-        console.error('Error fetching banner for deletion:', fetchError);
+      if (!trashed) {
+        return res.status(404).json({ error: `${label} is not in the trash` });
       }
 
-      // Delete banner from database
-      const { error } = await supabase
-        .from('banners')
-        .delete()
-        .eq('id', id);
+      const blocker = getPurgeBlocker ? await getPurgeBlocker(id) : null;
+      if (blocker) {
+        return res.status(409).json({ error: blocker, code: 'purge_blocked' });
+      }
+
+      const purgeError = await purge(getAuditActor(req), id);
+      if (purgeError) {
+        return res.status(500).json({ error: `Failed to purge ${entityType}`, details: purgeError });
+      }
+
+      return res.json({ message: `${label} deleted permanently` });
+    } catch (error) {
+      console.error(`Error purging ${entityType}:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+app.get('/api/admin/products/trash', requireAdmin, requirePermission('products:write'), validateRequest({ query: PAGINATION_QUERY_SCHEMA }), listTrash('product'));
+app.post('/api/admin/products/trash/:id/restore', requireAdmin, requirePermission('products:write'), restoreFromTrash('product'));
+app.delete('/api/admin/products/trash/:id', requireAdmin, requirePermission('products:write'), purgeFromTrash('product'));
+
+app.get('/api/admin/banners/trash', requireAdmin, requirePermission('banners:write'), validateRequest({ query: PAGINATION_QUERY_SCHEMA }), listTrash('banner'));
+app.post('/api/admin/banners/trash/:id/restore', requireAdmin, requirePermission('banners:write'), restoreFromTrash('banner'));
+app.delete('/api/admin/banners/trash/:id', requireAdmin, requirePermission('banners:write'), purgeFromTrash('banner'));
+
+// Purge the products and banners trashed more than TRASH_RETENTION_DAYS ago.
+// A dry run only reports what would be purged; run it from a scheduler with dryRun: false.
+// Body: { dryRun (default true) }
+app.post('/api/admin/trash/purge', requireAdmin, requirePermission('trash:purge'), validateRequest({ body: TRASH_PURGE_BODY_SCHEMA }), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const actor = getAuditActor(req);
+
+    const result = { dry_run: dryRun, retention_days: TRASH_RETENTION_DAYS, cutoff, kept: [], failed: [] };
+    for (const [entityType, { table, nameColumn, getPurgeBlocker, purge }] of Object.entries(TRASH_ENTITIES)) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(`id, ${nameColumn}, deleted_at`)
+        .lt('deleted_at', cutoff)
+        .order('deleted_at', { ascending: true });
 
       if (error) {
         console.error('Supabase error:', error);
-        return res.status(500).json({ error: 'Failed to delete banner', details: error.message });
+        return res.status(500).json({ error: `Failed to fetch trashed ${table}`, details: error.message });
       }
 
-      // Optionally delete image from storage (if it's in Supabase Storage)
-      if (banner && banner.image_url) {
-        await deleteFromSupabaseStorage(banner.image_url, 'products');
-      }
+      result[table] = [];
+      for (const row of data || []) {
+        const blocker = getPurgeBlocker ? await getPurgeBlocker(row.id) : null;
+        if (blocker) {
+          result.kept.push({ type: entityType, id: row.id, name: row[nameColumn], reason: blocker });
+          continue;
+        }
 
-      return res.json({ message: 'Banner deleted successfully' });
-    } else {
-      return res.json({ message: 'Banner deleted successfully (not saved)' });
+        const purgeError = dryRun ? null : await purge(actor, row.id);
+        if (purgeError) {
+          result.failed.push({ type: entityType, id: row.id, error: purgeError });
+        } else {
+          result[table].push({ id: row.id, name: row[nameColumn], deleted_at: row.deleted_at });
+        }
+      }
     }
+
+    return res.json(result);
   } catch (error) {
-    console.error('Error deleting banner:', error);
+    console.error('Error purging the trash:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ==================== END BANNERS API ====================
+// ==================== END TRASH ====================
 
-// Mock products data (fallback when Supabase is not configured or table doesn't exist)
-function getMockProducts() {
-  return [
-    {
-      id: 'prod-1',
-      name: 'Magnesium Glycinate | Magnizen',
-      rating: 4.5,
-      reviews: 120,
-      originalPrice: 4500,
-      discountedPrice: 3500,
-      image: '/assets/products/main-product.jpeg',
-      description: 'Calm the mind by supporting the nervous system. Relax muscles and nerves to promote restful sleep. Provide optimal support with its highly absorbable and gentle form.',
-      inStock: true
-    },
-    {
-      id: 'prod-2',
-      name: 'Vanur Men',
-      rating: 4.8,
-      reviews: 89,
-      originalPrice: 2000,
-      discountedPrice: 1650,
-      image: '/assets/products/product-1.jpeg',
-      description: 'Calm the mind by supporting the nervous system. Relax muscles and nerves to promote restful sleep. Provide optimal support with its highly absorbable and gentle form.',
-      inStock: true
-    },
-    {
-      id: 'prod-3',
-      name: 'Vanur Women',
-      rating: 4.6,
-      reviews: 156,
-      originalPrice: 1800,
-      discountedPrice: 1500,
-      image: '/assets/products/product-2.jpeg',
-      description: 'Calm the mind by supporting the nervous system. Relax muscles and nerves to promote restful sleep. Provide optimal support with its highly absorbable and gentle form.',
-      inStock: true
-    },
-    {
-      id: 'prod-4',
-      name: 'Certeza BM-405 Digital Blood Pressure Monitor',
-      rating: 4.7,
-      reviews: 245,
-      originalPrice: 6500,
-      discountedPrice: 5950,
-      image: '/assets/products/other-product/Certeza-1.webp',
-      description: 'Accurately measures blood pressure and pulse on the arm. Features a soft cuff material for added comfort. Includes a hypertension indicator and an irregular heartbeat detector.',
-      inStock: true
-    }
-  ];
-}
+// Must come after every route
+app.use('/api', handleNotFound);
+app.use(handleErrors);
 
 // Start server
 if (require.main === module) {
@@ -30,3 +30,812 @@ INSERT INTO products (id, name, rating, reviews, "originalPrice", "discountedPri
 ('prod-4', 'Certeza BM-405 Digital Blood Pressure Monitor', 4.7, 245, 6500, 5950, '/assets/products/other-product/Certeza-1.webp', 'Accurately measures blood pressure and pulse on the arm. Features a soft cuff material for added comfort. Includes a hypertension indicator and an irregular heartbeat detector.', true)
 ON CONFLICT (id) DO NOTHING;
 
+
+-- Admin users (passwords are stored as bcrypt hashes, never in plain text)
+-- The first account is created on first login from ADMIN_EMAIL / ADMIN_PASSWORD
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  password_hash TEXT NOT NULL,
+  -- owner | catalog_editor | pharmacist | marketing (permissions are defined in index.js)
+  role TEXT NOT NULL DEFAULT 'catalog_editor' CHECK (role IN ('owner', 'catalog_editor', 'pharmacist', 'marketing')),
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Admin login sessions (one row per refresh token family)
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  refresh_jti TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS admin_sessions_user_id_idx ON admin_sessions(user_id);
+
+-- No policies on purpose: these tables are only reachable with SUPABASE_SERVICE_ROLE_KEY
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Product listing: sortable id number (prod-2 before prod-10) and filterable discount percentage
+ALTER TABLE products ADD COLUMN IF NOT EXISTS id_number BIGINT
+  GENERATED ALWAYS AS (CASE WHEN id ~ '^prod-[0-9]+$' THEN substring(id FROM 6)::BIGINT END) STORED;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS discount_percent DECIMAL(5, 2)
+  GENERATED ALWAYS AS (
+    CASE WHEN "originalPrice" > 0
+      THEN ROUND((("originalPrice" - "discountedPrice") / "originalPrice") * 100, 2)
+      ELSE 0
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS products_id_number_idx ON products(id_number);
+CREATE INDEX IF NOT EXISTS products_discounted_price_idx ON products("discountedPrice");
+CREATE INDEX IF NOT EXISTS products_rating_idx ON products(rating);
+
+-- Hierarchical product categories
+CREATE TABLE IF NOT EXISTS categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  parent_id UUID REFERENCES categories(id) ON DELETE RESTRICT,
+  description TEXT,
+  image_url TEXT,
+  order_index INTEGER DEFAULT 0 NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS brands (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  logo_url TEXT,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS brand_id UUID REFERENCES brands(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS products_brand_id_idx ON products(brand_id);
+
+-- Products can belong to several categories
+CREATE TABLE IF NOT EXISTS product_categories (
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  PRIMARY KEY (product_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS product_categories_category_id_idx ON product_categories(category_id);
+
+-- Curated collections (e.g. "Sleep support") with manually ordered products
+CREATE TABLE IF NOT EXISTS collections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL UNIQUE,
+  description TEXT,
+  image_url TEXT,
+  order_index INTEGER DEFAULT 0 NOT NULL,
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS collection_products (
+  collection_id UUID NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  position INTEGER DEFAULT 0 NOT NULL,
+  PRIMARY KEY (collection_id, product_id)
+);
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brands ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collection_products ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access" ON categories FOR SELECT USING (true);
+CREATE POLICY "Allow public read access" ON brands FOR SELECT USING (true);
+CREATE POLICY "Allow public read access" ON product_categories FOR SELECT USING (true);
+CREATE POLICY "Allow public read access" ON collections FOR SELECT USING (true);
+CREATE POLICY "Allow public read access" ON collection_products FOR SELECT USING (true);
+
+-- Shopping carts. Guests are identified by the random token (X-Cart-Token header).
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token TEXT NOT NULL UNIQUE,
+  customer_id UUID,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'checking_out', 'converted', 'merged')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS cart_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cart_id UUID NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  product_id TEXT NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  UNIQUE (cart_id, product_id)
+);
+
+-- Orders keep a snapshot of the shipping address and of every line at checkout time
+CREATE TABLE IF NOT EXISTS orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_number TEXT NOT NULL UNIQUE,
+  cart_id UUID REFERENCES carts(id) ON DELETE SET NULL,
+  customer_id UUID,
+  email TEXT NOT NULL,
+  phone TEXT,
+  customer_name TEXT,
+  shipping_address JSONB NOT NULL,
+  payment_method TEXT NOT NULL CHECK (payment_method IN ('cod', 'bank_transfer', 'card')),
+  payment_status TEXT NOT NULL DEFAULT 'pending',
+  status TEXT NOT NULL DEFAULT 'pending',
+  subtotal DECIMAL(10, 2) NOT NULL,
+  shipping_fee DECIMAL(10, 2) DEFAULT 0 NOT NULL,
+  total DECIMAL(10, 2) NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id TEXT NOT NULL,
+  product_name TEXT NOT NULL,
+  product_image TEXT,
+  pack_size TEXT,
+  original_price DECIMAL(10, 2),
+  unit_price DECIMAL(10, 2) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  line_total DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS cart_items_cart_id_idx ON cart_items(cart_id);
+CREATE INDEX IF NOT EXISTS orders_customer_id_idx ON orders(customer_id);
+CREATE INDEX IF NOT EXISTS order_items_order_id_idx ON order_items(order_id);
+
+-- Only reachable through the API (service role)
+ALTER TABLE carts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cart_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+
+-- A cart is 'checking_out' while an order is placed from it, so it cannot be checked out twice
+ALTER TABLE carts DROP CONSTRAINT IF EXISTS carts_status_check;
+ALTER TABLE carts ADD CONSTRAINT carts_status_check
+  CHECK (status IN ('active', 'checking_out', 'converted', 'merged'));
+
+-- Order lifecycle: pending → confirmed → packed → shipped → delivered, plus cancelled and returned
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('pending', 'confirmed', 'packed', 'shipped', 'delivered', 'cancelled', 'returned'));
+CREATE INDEX IF NOT EXISTS orders_status_created_at_idx ON orders(status, created_at);
+
+-- Every status change with the staff member who made it (changed_by is null for the customer/system)
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  changed_by_name TEXT,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Internal staff notes (never shown to customers)
+CREATE TABLE IF NOT EXISTS order_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  author_name TEXT,
+  note TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_id_idx ON order_status_history(order_id);
+CREATE INDEX IF NOT EXISTS order_notes_order_id_idx ON order_notes(order_id);
+
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_notes ENABLE ROW LEVEL SECURITY;
+
+-- Prescription-only products
+ALTER TABLE products ADD COLUMN IF NOT EXISTS "requiresPrescription" BOOLEAN DEFAULT false NOT NULL;
+
+-- Uploaded prescriptions. Files live in the PRIVATE 'prescriptions' storage bucket
+-- (create it in Supabase Dashboard → Storage with "Public bucket" turned off).
+CREATE TABLE IF NOT EXISTS prescriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cart_id UUID REFERENCES carts(id) ON DELETE SET NULL,
+  customer_id UUID,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  file_path TEXT NOT NULL,
+  file_name TEXT,
+  mime_type TEXT,
+  file_size INTEGER,
+  patient_name TEXT,
+  customer_note TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  rejection_reason TEXT,
+  review_note TEXT,
+  reviewed_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  reviewed_by_name TEXT,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS prescriptions_status_idx ON prescriptions(status, created_at);
+CREATE INDEX IF NOT EXISTS prescriptions_cart_id_idx ON prescriptions(cart_id);
+-- A prescription can be used by one order only
+CREATE UNIQUE INDEX IF NOT EXISTS prescriptions_order_id_idx ON prescriptions(order_id) WHERE order_id IS NOT NULL;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS prescription_id UUID REFERENCES prescriptions(id) ON DELETE SET NULL;
+
+ALTER TABLE prescriptions ENABLE ROW LEVEL SECURITY;
+
+-- Inventory: stock is tracked per batch (lot) with an expiry date.
+-- products.stock_quantity / "inStock" are derived from the batches by the API.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS stock_quantity INTEGER DEFAULT 0 NOT NULL;
+
+CREATE TABLE IF NOT EXISTS product_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  lot_number TEXT NOT NULL,
+  expiry_date DATE NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity >= 0),
+  received_quantity INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  UNIQUE (product_id, lot_number)
+);
+
+-- Every stock change: receive, adjustment (with reason), reservation at checkout, release on cancel
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  batch_id UUID REFERENCES product_batches(id) ON DELETE SET NULL,
+  quantity_change INTEGER NOT NULL,
+  movement_type TEXT NOT NULL CHECK (movement_type IN ('receive', 'adjustment', 'reservation', 'release')),
+  reason TEXT,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  actor_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  actor_name TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Which batches an order's stock was taken from, so a cancellation returns it to the same batches
+CREATE TABLE IF NOT EXISTS order_stock_allocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  product_id TEXT NOT NULL,
+  batch_id UUID NOT NULL REFERENCES product_batches(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  released_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS product_batches_product_expiry_idx ON product_batches(product_id, expiry_date);
+CREATE INDEX IF NOT EXISTS stock_movements_product_id_idx ON stock_movements(product_id, created_at);
+CREATE INDEX IF NOT EXISTS order_stock_allocations_order_id_idx ON order_stock_allocations(order_id);
+
+ALTER TABLE product_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_stock_allocations ENABLE ROW LEVEL SECURITY;
+
+-- Existing and sample products have no batches yet: they are out of stock until one is received
+UPDATE products p SET stock_quantity = 0, "inStock" = false
+WHERE NOT EXISTS (SELECT 1 FROM product_batches b WHERE b.product_id = p.id AND b.quantity > 0);
+
+-- Customer reviews and product questions. products.rating / reviews / questions are
+-- recalculated by the API from approved entries.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS questions INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS product_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  author_name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT NOT NULL,
+  verified_purchase BOOLEAN DEFAULT false NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  rejection_reason TEXT,
+  moderated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  moderated_by_name TEXT,
+  moderated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  -- One review per customer per product
+  UNIQUE (product_id, email)
+);
+
+CREATE TABLE IF NOT EXISTS product_questions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  author_name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  question TEXT NOT NULL,
+  answer TEXT,
+  answered_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  answered_by_name TEXT,
+  answered_at TIMESTAMP WITH TIME ZONE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  rejection_reason TEXT,
+  moderated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  moderated_by_name TEXT,
+  moderated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS product_reviews_product_status_idx ON product_reviews(product_id, status, created_at);
+CREATE INDEX IF NOT EXISTS product_reviews_status_idx ON product_reviews(status, created_at);
+CREATE INDEX IF NOT EXISTS product_questions_product_status_idx ON product_questions(product_id, status, created_at);
+CREATE INDEX IF NOT EXISTS product_questions_status_idx ON product_questions(status, created_at);
+
+-- Emails must not be exposed, so reads go through the API
+ALTER TABLE product_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_questions ENABLE ROW LEVEL SECURITY;
+
+-- The seeded rating, reviews and questions have no entries behind them: recalculate them from approved
+-- entries as the API does (0 when there are none)
+UPDATE products p SET
+  rating = COALESCE((SELECT ROUND(AVG(r.rating), 1) FROM product_reviews r WHERE r.product_id = p.id AND r.status = 'approved'), 0),
+  reviews = (SELECT COUNT(*) FROM product_reviews r WHERE r.product_id = p.id AND r.status = 'approved'),
+  questions = (SELECT COUNT(*) FROM product_questions q WHERE q.product_id = p.id AND q.status = 'approved');
+
+-- Customer accounts. Separate from admin_users: customer tokens are signed for a different
+-- audience and checked against customer_sessions, so they can never reach admin routes.
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT UNIQUE,
+  phone TEXT UNIQUE,
+  name TEXT,
+  password_hash TEXT NOT NULL,
+  email_verified_at TIMESTAMP WITH TIME ZONE,
+  phone_verified_at TIMESTAMP WITH TIME ZONE,
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  CHECK (email IS NOT NULL OR phone IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS customer_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  refresh_jti TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- One-time codes for verification and password reset (only a hash of the code is stored)
+CREATE TABLE IF NOT EXISTS customer_otps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify', 'password_reset')),
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'phone')),
+  destination TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS customer_addresses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  label TEXT,
+  full_name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  line1 TEXT NOT NULL,
+  line2 TEXT,
+  city TEXT NOT NULL,
+  province TEXT,
+  postal_code TEXT,
+  country TEXT DEFAULT 'Pakistan' NOT NULL,
+  is_default BOOLEAN DEFAULT false NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS customer_sessions_customer_id_idx ON customer_sessions(customer_id);
+CREATE INDEX IF NOT EXISTS customer_otps_lookup_idx ON customer_otps(customer_id, purpose, channel, created_at);
+CREATE INDEX IF NOT EXISTS customer_addresses_customer_id_idx ON customer_addresses(customer_id);
+CREATE INDEX IF NOT EXISTS orders_customer_id_idx ON orders(customer_id, created_at);
+
+-- Link the customer_id columns added with carts and orders
+ALTER TABLE carts ADD CONSTRAINT carts_customer_id_fkey
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD CONSTRAINT orders_customer_id_fkey
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE prescriptions ADD CONSTRAINT prescriptions_customer_id_fkey
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL;
+
+-- No policies on purpose: only reachable with SUPABASE_SERVICE_ROLE_KEY
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_otps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE customer_addresses ENABLE ROW LEVEL SECURITY;
+
+-- Wellness coins: append-only ledger per customer. The balance is the sum of the entries.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coins_earned INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coins_redeemed INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coins_discount DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS coins_earned INTEGER DEFAULT 0 NOT NULL;
+
+CREATE TABLE IF NOT EXISTS coin_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- No cascade: customers with coin history are deactivated rather than deleted
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('earn', 'earn_reversal', 'redeem', 'redeem_refund', 'expire', 'adjustment')),
+  -- Positive credits, negative debits
+  amount INTEGER NOT NULL CHECK (amount <> 0),
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  -- The credit an 'expire' or 'earn_reversal' entry writes off
+  source_entry_id UUID REFERENCES coin_ledger(id),
+  -- Credits only
+  expires_at TIMESTAMP WITH TIME ZONE,
+  reason TEXT,
+  actor_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  actor_name TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS coin_ledger_customer_id_idx ON coin_ledger(customer_id, created_at);
+-- An order earns, reverses, redeems and refunds at most once
+CREATE UNIQUE INDEX IF NOT EXISTS coin_ledger_order_entry_idx ON coin_ledger(order_id, entry_type) WHERE order_id IS NOT NULL;
+-- A credit expires at most once
+CREATE UNIQUE INDEX IF NOT EXISTS coin_ledger_expire_idx ON coin_ledger(source_entry_id) WHERE entry_type = 'expire';
+
+-- Entries can never be changed or removed (ON DELETE SET NULL of order_id is still allowed)
+CREATE OR REPLACE FUNCTION coin_ledger_append_only() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.order_id IS NULL AND OLD.order_id IS NOT NULL
+     AND (to_jsonb(NEW) - 'order_id') = (to_jsonb(OLD) - 'order_id') THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'coin_ledger is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS coin_ledger_append_only ON coin_ledger;
+CREATE TRIGGER coin_ledger_append_only
+  BEFORE UPDATE OR DELETE ON coin_ledger
+  FOR EACH ROW EXECUTE FUNCTION coin_ledger_append_only();
+
+ALTER TABLE coin_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Promotions: coupons (with a code) and automatic promotions (without one)
+CREATE TABLE IF NOT EXISTS promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  -- Stored upper-case; NULL for automatic promotions
+  code TEXT UNIQUE,
+  type TEXT NOT NULL CHECK (type IN ('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y')),
+  -- Percentage (percentage, buy_x_get_y) or amount (fixed_amount)
+  value DECIMAL(10, 2),
+  buy_quantity INTEGER,
+  get_quantity INTEGER,
+  -- Limit to these products and/or categories (including subcategories); empty = whole cart
+  product_ids TEXT[] DEFAULT '{}' NOT NULL,
+  category_ids UUID[] DEFAULT '{}' NOT NULL,
+  min_subtotal DECIMAL(10, 2),
+  max_discount DECIMAL(10, 2),
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  usage_limit INTEGER,
+  usage_limit_per_customer INTEGER,
+  stackable BOOLEAN DEFAULT false NOT NULL,
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- One row per promotion used by an order; removed when the order is cancelled
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE RESTRICT,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+  email TEXT,
+  discount DECIMAL(10, 2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  UNIQUE (promotion_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS promotions_active_idx ON promotions(is_active);
+CREATE INDEX IF NOT EXISTS promotion_redemptions_promotion_idx ON promotion_redemptions(promotion_id, customer_id);
+CREATE INDEX IF NOT EXISTS promotion_redemptions_email_idx ON promotion_redemptions(promotion_id, email);
+
+ALTER TABLE carts ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_total DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+-- Itemized breakdown: [{ promotionId, name, code, type, amount }]
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discounts JSONB DEFAULT '[]'::jsonb NOT NULL;
+
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- Product variants (pack sizes / strengths), each with its own SKU, prices, stock, images and barcode.
+-- Every product has exactly one default variant; products."originalPrice", "discountedPrice" and
+-- "packSize" mirror it, and products.stock_quantity / "inStock" aggregate the active variants.
+CREATE TABLE IF NOT EXISTS product_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  pack_size TEXT,
+  strength TEXT,
+  original_price DECIMAL(10, 2) NOT NULL,
+  discounted_price DECIMAL(10, 2) NOT NULL,
+  -- Empty: the product images apply
+  images JSONB DEFAULT '[]'::jsonb NOT NULL,
+  barcode TEXT UNIQUE,
+  stock_quantity INTEGER DEFAULT 0 NOT NULL,
+  in_stock BOOLEAN DEFAULT false NOT NULL,
+  is_default BOOLEAN DEFAULT false NOT NULL,
+  -- Removed variants are deactivated, never deleted (batches and order lines refer to them)
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  position INTEGER DEFAULT 0 NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_default_idx ON product_variants(product_id) WHERE is_default;
+CREATE INDEX IF NOT EXISTS product_variants_product_id_idx ON product_variants(product_id, position);
+
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow public read access" ON product_variants FOR SELECT USING (true);
+
+-- Migrate existing products to a single default variant (SKU = product id)
+INSERT INTO product_variants (product_id, sku, name, pack_size, original_price, discounted_price, stock_quantity, in_stock, is_default)
+SELECT p.id, p.id, COALESCE(p."packSize", 'Default'), p."packSize", COALESCE(p."originalPrice", 0), COALESCE(p."discountedPrice", 0),
+  p.stock_quantity, COALESCE(p."inStock", false), true
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id);
+
+-- Stock is tracked per variant: batches belong to a variant, lot numbers are unique per variant
+ALTER TABLE product_batches ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+UPDATE product_batches b SET variant_id = v.id
+FROM product_variants v
+WHERE b.variant_id IS NULL AND v.product_id = b.product_id AND v.is_default;
+ALTER TABLE product_batches ALTER COLUMN variant_id SET NOT NULL;
+ALTER TABLE product_batches DROP CONSTRAINT IF EXISTS product_batches_product_id_lot_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS product_batches_variant_lot_idx ON product_batches(variant_id, lot_number);
+CREATE INDEX IF NOT EXISTS product_batches_variant_expiry_idx ON product_batches(variant_id, expiry_date);
+
+-- Variants migrated before batches were received are out of stock as well
+UPDATE product_variants v SET stock_quantity = 0, in_stock = false
+WHERE NOT EXISTS (SELECT 1 FROM product_batches b WHERE b.variant_id = v.id AND b.quantity > 0);
+
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE order_stock_allocations ADD COLUMN IF NOT EXISTS variant_id UUID;
+UPDATE stock_movements m SET variant_id = b.variant_id
+FROM product_batches b
+WHERE m.variant_id IS NULL AND m.batch_id = b.id;
+UPDATE order_stock_allocations a SET variant_id = b.variant_id
+FROM product_batches b
+WHERE a.variant_id IS NULL AND a.batch_id = b.id;
+
+-- Cart lines and order lines refer to the variant (order lines keep a snapshot of SKU and name)
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id UUID;
+UPDATE cart_items c SET variant_id = v.id
+FROM product_variants v
+WHERE c.variant_id IS NULL AND v.product_id = c.product_id AND v.is_default;
+DELETE FROM cart_items WHERE variant_id IS NULL;
+ALTER TABLE cart_items ALTER COLUMN variant_id SET NOT NULL;
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_cart_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS cart_items_cart_variant_idx ON cart_items(cart_id, variant_id);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id UUID;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku TEXT;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_name TEXT;
+UPDATE order_items i SET variant_id = v.id, sku = v.sku, variant_name = v.name
+FROM product_variants v
+WHERE i.variant_id IS NULL AND v.product_id = i.product_id AND v.is_default;
+CREATE INDEX IF NOT EXISTS order_items_variant_id_idx ON order_items(variant_id);
+
+-- Responsive renditions of uploaded images (see POST /api/upload/image):
+-- { id, url, width, height, placeholder, renditions: [{ name, format, width, height, size, url, path }] }
+ALTER TABLE products ADD COLUMN IF NOT EXISTS image_renditions JSONB DEFAULT '[]'::jsonb NOT NULL;
+ALTER TABLE IF EXISTS banners ADD COLUMN IF NOT EXISTS image_renditions JSONB;
+
+-- Media library: every upload of /api/upload/image(s) and /api/upload/video.
+-- An image asset covers all of its renditions: urls and paths list every stored file.
+CREATE TABLE IF NOT EXISTS media_assets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bucket TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'video')),
+  url TEXT NOT NULL,
+  urls TEXT[] NOT NULL,
+  paths TEXT[] NOT NULL,
+  mime_type TEXT,
+  size BIGINT DEFAULT 0 NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  original_name TEXT,
+  uploaded_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS media_assets_created_at_idx ON media_assets(created_at);
+CREATE INDEX IF NOT EXISTS media_assets_urls_idx ON media_assets USING GIN (urls);
+-- Order lines keep the product image for the order history: media lookups by URL
+CREATE INDEX IF NOT EXISTS order_items_product_image_idx ON order_items(product_image);
+
+ALTER TABLE media_assets ENABLE ROW LEVEL SECURITY;
+
+-- Product columns and the banners table were first created from the Supabase dashboard;
+-- they are declared here so that a new database (or the local data store) has them too
+ALTER TABLE products ADD COLUMN IF NOT EXISTS images JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS video TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS "packSize" TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS "wellnessCoins" DECIMAL(10, 2);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS helps JSONB;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS details TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS directions TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS ingredients JSONB;
+
+CREATE TABLE IF NOT EXISTS banners (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  image_url TEXT NOT NULL,
+  image_renditions JSONB,
+  title TEXT,
+  subtitle TEXT,
+  link TEXT,
+  order_index INTEGER DEFAULT 0 NOT NULL,
+  is_active BOOLEAN DEFAULT true NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE banners ENABLE ROW LEVEL SECURITY;
+
+-- Permanent URL slug of a product (GET /api/products/:id takes the id or the slug).
+-- Existing products get the slug of their name, numbered when several names give the same one.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS slug TEXT;
+UPDATE products p SET slug = s.slug
+FROM (
+  SELECT id, CASE WHEN n = 1 THEN base ELSE base || '-' || n END AS slug
+  FROM (
+    SELECT id, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY id_number NULLS LAST, id) AS n
+    FROM (
+      SELECT id, id_number, COALESCE(NULLIF(trim(BOTH '-' FROM regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')), ''), 'product') AS base
+      FROM products
+      WHERE slug IS NULL
+    ) named
+  ) numbered
+) s
+WHERE p.id = s.id;
+CREATE UNIQUE INDEX IF NOT EXISTS products_slug_idx ON products(slug);
+
+-- Counters behind product ids (prod-N) and generated SKU numbers. A value is taken with a conditional
+-- update, so concurrent creates never get the same one. The products counter starts after the
+-- highest existing prod-N on first use.
+CREATE TABLE IF NOT EXISTS id_counters (
+  name TEXT PRIMARY KEY,
+  value BIGINT DEFAULT 0 NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+ALTER TABLE id_counters ENABLE ROW LEVEL SECURITY;
+
+-- Background product imports (POST /api/admin/products/import with many rows).
+-- report: one entry per row { row, action, id, sku, error?, fields? }, saved when the job finishes.
+CREATE TABLE IF NOT EXISTS product_import_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status TEXT DEFAULT 'running' NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+  file_name TEXT,
+  total_rows INTEGER DEFAULT 0 NOT NULL,
+  processed_rows INTEGER DEFAULT 0 NOT NULL,
+  created_count INTEGER DEFAULT 0 NOT NULL,
+  updated_count INTEGER DEFAULT 0 NOT NULL,
+  failed_count INTEGER DEFAULT 0 NOT NULL,
+  report JSONB DEFAULT '[]'::jsonb NOT NULL,
+  error TEXT,
+  created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE,
+  -- Last time a running job saved its progress; jobs silent for too long are marked failed
+  heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS product_import_jobs_created_at_idx ON product_import_jobs(created_at);
+
+ALTER TABLE product_import_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Audit log of product and banner changes (GET /api/admin/audit, .../history).
+-- changes: { field: { before, after } } for the fields the action changed.
+-- snapshot: the record after the action (before it for a delete or purge), used to revert to that version.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('product', 'banner')),
+  -- No foreign key: the history of a deleted record is kept
+  entity_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'revert')),
+  actor_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  actor_name TEXT,
+  ip TEXT,
+  changes JSONB DEFAULT '{}'::jsonb NOT NULL,
+  snapshot JSONB,
+  -- The entry a 'revert' went back to
+  reverted_from UUID REFERENCES audit_log(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log(entity_type, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS audit_log_actor_id_idx ON audit_log(actor_id, created_at);
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log(created_at);
+
+-- Entries can never be changed or removed (ON DELETE SET NULL of actor_id is still allowed)
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.actor_id IS NULL AND OLD.actor_id IS NOT NULL
+     AND (to_jsonb(NEW) - 'actor_id') = (to_jsonb(OLD) - 'actor_id') THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Trash: DELETE /api/products/:id and /api/banners/:id set deleted_at. Trashed records are hidden from
+-- the public API, keep their slug, SKUs and media, and are purged (deleted for good) on request or
+-- after TRASH_RETENTION_DAYS by POST /api/admin/trash/purge.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES admin_users(id) ON DELETE SET NULL;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES admin_users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS products_deleted_at_idx ON products(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS banners_deleted_at_idx ON banners(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Restores and purges are audited too
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'revert', 'restore', 'purge'));
+
+-- Banner placement, scheduling, mobile images and audience (GET /api/banners?placement=&category=).
+-- A banner is shown while is_active and between starts_at and ends_at (either can be null).
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS placement TEXT DEFAULT 'home_hero' NOT NULL;
+ALTER TABLE banners DROP CONSTRAINT IF EXISTS banners_placement_check;
+ALTER TABLE banners ADD CONSTRAINT banners_placement_check
+  CHECK (placement IN ('home_hero', 'category', 'checkout'));
+-- Category page banners of one category (null: every category page)
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES categories(id) ON DELETE RESTRICT;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+-- image_url / image_renditions are the desktop image
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS mobile_image_url TEXT;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS mobile_image_renditions JSONB;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS audience TEXT DEFAULT 'all' NOT NULL;
+ALTER TABLE banners DROP CONSTRAINT IF EXISTS banners_audience_check;
+ALTER TABLE banners ADD CONSTRAINT banners_audience_check
+  CHECK (audience IN ('all', 'guests', 'customers', 'new_customers', 'returning_customers'));
+CREATE INDEX IF NOT EXISTS banners_placement_idx ON banners(placement, order_index);